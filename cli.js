@@ -0,0 +1,781 @@
+#!/usr/bin/env node
+/*******************************************************************************
+ * cli.js
+ *
+ * Generates the reports without a browser, writing the same CSV files as the
+ * page's download buttons. processing.js and reports.js are loaded unchanged
+ * (neither touches the DOM), so the numbers always match the page.
+ *
+ *   node cli.js --classes classes.csv --participants participants.csv \
+ *     --report teacher_hour_count --durations 30,60 --penalise-tardiness --out payroll/
+ *
+ * Pass --classes/--participants once per export to merge several of them.
+ * Only CSV exports are read here; run `node cli.js --help` for every option.
+ ******************************************************************************/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/* =============================================================================
+   ============================== 1. OPTIONS ===================================
+   =============================================================================
+*/
+
+/*
+ * CLI_OPTIONS
+ * ------------
+ * Every flag the command understands, with the same defaults as the page's panels.
+ * Booleans are switched on with --flag and off with --no-flag; 'list' flags may be
+ * repeated. `arg` names the value in --help.
+ */
+const CLI_OPTIONS = {
+  classes: { type: 'list', arg: 'file', help: 'Classes export (CSV); repeat together with --participants for several exports' },
+  participants: { type: 'list', arg: 'file', help: 'Participants export (CSV), in the same order as --classes' },
+  report: { type: 'string', help: 'overview | teacher_hour_count | teacher_report | course_report | student_report | class_list | reliability_alerts' },
+  out: { type: 'string', arg: 'folder', default: '.', help: 'Folder the CSV files are written to' },
+  columns: { type: 'string', arg: 'file', help: 'JSON column mapping: {"classes": {field: header}, "participants": {field: header}}' },
+  diagnostics: { type: 'boolean', default: false, help: 'Also write the data quality (and merge summary) CSVs' },
+  'source-tz': { type: 'string', default: '', help: 'Time zone the export timestamps are written in (default: this machine\'s)' },
+  'display-tz': { type: 'string', default: '', help: 'Time zone the reports show times in (default: this machine\'s)' },
+  config: { type: 'string', arg: 'file', help: 'Settings config exported from the page; its preset fills in the report settings not given here' },
+  preset: { type: 'string', help: 'Preset of --config to use (may be left out when it has only one)' },
+
+  // Report period (every report)
+  period: { type: 'string', default: 'all', help: 'all | this_month | last_month | this_pay_period | last_pay_period | custom' },
+  from: { type: 'string', default: '', help: 'First day (YYYY-MM-DD) of a custom period' },
+  to: { type: 'string', default: '', help: 'Last day (YYYY-MM-DD) of a custom period' },
+  'pay-period-start': { type: 'number', default: 1, help: 'Day of the month pay periods start on' },
+
+  // Report filters (every report); repeat a flag to allow several values
+  'only-teacher': { type: 'list', help: 'Only classes taught by this username' },
+  'only-company': { type: 'list', help: 'Only classes of this company' },
+  'only-subject': { type: 'list', help: 'Only classes of this subject' },
+  'only-level': { type: 'list', help: 'Only classes of this level' },
+  'only-course': { type: 'list', help: 'Only classes of this course ID' },
+  'only-class-type': { type: 'list', help: 'Only private or group classes' },
+
+  // Comparison (overview and teacher_report): the comparison files replace the plain ones
+  compare: { type: 'string', default: '', help: 'previous | range | export: compare with the previous period, --compare-from/--compare-to or a second export' },
+  'compare-from': { type: 'string', default: '', help: 'First day (YYYY-MM-DD) of the range to compare with' },
+  'compare-to': { type: 'string', default: '', help: 'Last day (YYYY-MM-DD) of the range to compare with' },
+  'compare-classes': { type: 'list', arg: 'file', help: 'Classes export (CSV) to compare with' },
+  'compare-participants': { type: 'list', arg: 'file', help: 'Participants export (CSV) to compare with' },
+  threshold: { type: 'number', default: 20, help: 'Flag teachers whose no-shows, tardiness or rating moved more than this (%)' },
+
+  // Overview, hour count, student report and reliability alerts
+  'cancellation-window': { type: 'number', default: 24, help: 'Hours before the class that make a cancellation "late"' },
+
+  // Overview
+  granularity: { type: 'string', default: '', help: 'Overview columns: week | month | quarter (default: by duration); --compare always compares by duration' },
+
+  // Teacher hour count
+  'tardiness-limit': { type: 'number', default: 5, help: 'Minutes of teacher tardiness tolerated' },
+  'penalise-tardiness': { type: 'boolean', default: false, help: 'Deduct classes the teacher was late to (see --tardiness-policy)' },
+  'tardiness-policy': { type: 'string', default: 'all_or_nothing', help: 'all_or_nothing | proportional | stepped' },
+  'tardiness-bands': { type: 'string', default: '5=25,10=50,20=100', help: 'Stepped policy bands as minutes late=% deducted' },
+  'pay-late-cancellation': { type: 'boolean', default: false, help: 'Pay for late cancellations' },
+  'cancellation-policy': { type: 'string', default: '', help: 'Pay late cancellations by who cancelled and class type as party-type=hours:payout%[:penalty%], e.g. "student-private=24:100,admin-*=24:100,teacher-*=48:0:50"; replaces --pay-late-cancellation' },
+  'pay-student-no-show': { type: 'boolean', default: true, help: 'Pay teachers for student no-shows' },
+  'student-no-show-rate': { type: 'number', default: 100, help: 'Pay rate for student no-shows (%)' },
+  'class-type': { type: 'string', default: 'both', help: 'private | group | both' },
+  durations: { type: 'string', default: '30,60', help: 'Scheduled durations (min) to include, e.g. 30,60, or "all"' },
+  'pay-basis': { type: 'string', default: 'scheduled', help: 'scheduled | actual | lesser: the duration classes are counted and paid by' },
+  'duration-rounding': { type: 'number', default: 1, help: 'Round the pay basis duration to this many minutes (e.g. 5 or 15)' },
+  'rounding-mode': { type: 'string', default: 'nearest', help: 'nearest | down | up: how --duration-rounding rounds' },
+  'duration-tolerance': { type: 'number', help: 'Flag classes whose actual duration is off schedule by more than this (min)' },
+  'group-tiers': { type: 'string', default: '', help: 'Group pay tiers as students=multiplier, e.g. "0=0,1=1,6=1.25"' },
+  'group-tier-basis': { type: 'string', default: 'attended', help: 'attended | seats: what the group tiers count' },
+  'pay-rates': { type: 'string', arg: 'file', help: 'Pay rate table (CSV: teacher,class type,duration,rate,no show rate,late cancellation rate); adds pay columns' },
+  currency: { type: 'string', default: 'EUR', help: 'Currency the pay rates are in' },
+  statements: { type: 'boolean', default: false, help: 'Also write a printable HTML statement per teacher, and all of them in one document' },
+
+  // Teacher report
+  scorecard: { type: 'string', arg: 'teacher', default: '', help: 'Also write the printable scorecard of this teacher, or "all" for one document with every teacher' },
+
+  // Reliability alerts
+  alerts: { type: 'string', default: 'no-shows=2,late-cancellations=10,tardiness=5,rating=4', help: 'Alert thresholds as rule=value: more than no-shows, cancellations, late-cancellations (% of classes) or tardiness (average min), rating under; rules left out are off' },
+
+  // Course report and class list
+  mode: { type: 'string', help: 'course_report: overview | detail | fundae | anpal; class_list: by_class | by_student' },
+  course: { type: 'string', help: 'Course ID for the detail, fundae and anpal course reports' },
+
+  // Student report
+  students: { type: 'string', default: 'all', help: 'all | company | custom' },
+  company: { type: 'string', default: 'ALL', help: 'Company ID when --students company' },
+  usernames: { type: 'string', default: '', help: 'Comma-separated usernames when --students custom' },
+
+  // Class list
+  'class-list-tz': { type: 'string', default: '', help: 'Time zone for the class list times (default: --display-tz)' },
+
+  help: { type: 'boolean', default: false, help: 'Show this help' }
+};
+
+/*
+ * parseArgs
+ * ----------
+ * Reads `--name value`, `--name=value`, `--flag` and `--no-flag` arguments into an
+ * options object filled with the CLI_OPTIONS defaults.
+ *
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @param {Object<string, *>} [defaults] - Values that replace the CLI_OPTIONS defaults
+ *   (see presetOptions())
+ * @returns {Object<string, *>}
+ */
+function parseArgs(argv, defaults = {}) {
+  const options = { ...defaults };
+  Object.entries(CLI_OPTIONS).forEach(([name, spec]) => {
+    if (name in options) return;
+    options[name] = spec.type === 'list' ? [] : spec.default;
+  });
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) throw new Error(`Unexpected argument "${arg}"`);
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+
+    if (!CLI_OPTIONS[name] && name.startsWith('no-') && CLI_OPTIONS[name.slice(3)]) {
+      name = name.slice(3);
+      if (CLI_OPTIONS[name].type !== 'boolean') throw new Error(`--no-${name} is not a switch`);
+      options[name] = false;
+      continue;
+    }
+    const spec = CLI_OPTIONS[name];
+    if (!spec) throw new Error(`Unknown option --${name}`);
+
+    if (spec.type === 'boolean') {
+      options[name] = value === undefined ? true : !/^(false|0|no)$/i.test(value);
+      continue;
+    }
+    if (value === undefined) {
+      value = argv[++i];
+      if (value === undefined) throw new Error(`--${name} needs a value`);
+    }
+    if (spec.type === 'number') {
+      if (value.trim() === '' || isNaN(Number(value))) throw new Error(`--${name} must be a number`);
+      options[name] = Number(value);
+    } else if (spec.type === 'list') {
+      options[name].push(value);
+    } else {
+      options[name] = value;
+    }
+  }
+  return options;
+}
+
+/*
+ * usage
+ * ------
+ * @returns {string} The --help text
+ */
+function usage() {
+  const lines = Object.entries(CLI_OPTIONS).map(([name, spec]) => {
+    const flag = spec.type === 'boolean' ? `--${name}` : `--${name} <${spec.arg || (spec.type === 'list' ? 'value' : spec.type)}>`;
+    const def = spec.default !== undefined && spec.default !== '' && spec.type !== 'boolean'
+      ? ` (default: ${spec.default})`
+      : spec.type === 'boolean' && spec.default ? ` (on by default; --no-${name} to turn off)` : '';
+    return `  ${flag.padEnd(34)}${spec.help}${def}`;
+  });
+  return [
+    'Usage: node cli.js --classes <file> --participants <file> --report <name> [options]',
+    '',
+    ...lines
+  ].join('\n');
+}
+
+/*
+ * presetOptions
+ * --------------
+ * Turns a preset of a settings config (exported from the page) into option values,
+ * so the command line builds reports with the same rules as the page. Panel fields
+ * map to the matching flags; the cancellation window comes from the panel of the
+ * report asked for. Fields the preset does not have keep the usual defaults.
+ *
+ * @param {function(string): *} lib
+ * @param {string} file - Settings config (JSON)
+ * @param {string} [name] - Preset to use; may be left out when there is only one
+ * @param {string} report - The --report being built
+ * @returns {Object<string, *>} option name → value, plus `payRatesText` when the
+ *   preset calculates pay
+ */
+function presetOptions(lib, file, name, report) {
+  const presets = lib('parseSettingsConfig')(fs.readFileSync(file, 'utf8'));
+  const names = Object.keys(presets);
+  if (!name && names.length !== 1) {
+    throw new Error(`${file} has ${names.length} presets; choose one with --preset: ${names.join(', ')}`);
+  }
+  const preset = presets[name || names[0]];
+  if (!preset) throw new Error(`${file} has no preset "${name}"; it has: ${names.join(', ')}`);
+
+  const panel = (id) => preset[id] || { values: {}, groups: {}, tags: [] };
+  const hourCount = panel('teacherHourCountSettings');
+  const v = hourCount.values;
+  const g = hourCount.groups;
+  const number = (value) => (value === undefined || value === '' ? undefined : Number(value));
+  const options = {
+    'tardiness-limit': number(v.tardinessLimit),
+    'penalise-tardiness': v.penaliseTardiness,
+    'tardiness-policy': v.tardinessPolicy,
+    'tardiness-bands': v.tardinessBands,
+    'pay-late-cancellation': v.payLastMinuteCancellation,
+    'pay-student-no-show': v.payStudentNoShow,
+    'student-no-show-rate': number(v.studentNoShowRate),
+    'class-type': g.classTypeFilter,
+    durations: Array.isArray(g.durationFilter) ? g.durationFilter.join(',') : undefined,
+    'pay-basis': v.payBasis,
+    'duration-rounding': number(v.durationRoundingStep),
+    'rounding-mode': v.durationRoundingMode,
+    'duration-tolerance': number(v.durationTolerance),
+    'group-tiers': v.useGroupTiers ? v.groupTiers : v.useGroupTiers === false ? '' : undefined,
+    'group-tier-basis': v.groupTierBasis,
+    currency: v.payCurrency,
+    granularity: panel('overviewSettings').values.overviewGranularity,
+    mode: panel('courseReportSettings').groups.courseType,
+    course: panel('courseReportSettings').values.courseSelect,
+    students: panel('studentReportSettings').groups.studentSelection,
+    company: panel('studentReportSettings').values.companySelect,
+    usernames: (panel('studentReportSettings').tags || []).join(',') || undefined,
+    'cancellation-window': number({
+      overview: panel('overviewSettings').values.overviewCancellationWindow,
+      teacher_hour_count: v.cancellationWindow,
+      student_report: panel('studentReportSettings').values.studentCancellationWindow,
+      reliability_alerts: panel('reliabilityAlertsSettings').values.alertCancellationWindow
+    }[report])
+  };
+  const alerts = panel('reliabilityAlertsSettings').values;
+  if (Object.keys(alerts).length) {
+    // Empty fields turn their rule off, as on the page
+    options.alerts = Object.entries({
+      'no-shows': alerts.alertNoShows,
+      cancellations: alerts.alertCancellations,
+      'late-cancellations': alerts.alertLateCancellations,
+      tardiness: alerts.alertTardiness,
+      rating: alerts.alertRating
+    }).filter(([, value]) => value !== undefined && value !== '').map(([name, value]) => `${name}=${value}`).join(',');
+  }
+  if (v.useCancellationPolicy) {
+    // The matrix's fields are cancel-<party>-<type>-<window|payout|penalty>
+    const cell = (party, type, field) => v[`cancel-${party}-${type}-${field}`] || '0';
+    options['cancellation-policy'] = ['student', 'teacher', 'admin']
+      .flatMap((party) => ['private', 'group'].map((type) =>
+        `${party}-${type}=${cell(party, type, 'window')}:${cell(party, type, 'payout')}:${cell(party, type, 'penalty')}`))
+      .join(',');
+  }
+  if (v.calculatePay) options.payRatesText = v.payRates;
+
+  Object.keys(options).forEach((key) => options[key] === undefined && delete options[key]);
+  return options;
+}
+
+
+/* =============================================================================
+   =========================== 2. LOADING THE DATA =============================
+   =============================================================================
+*/
+
+/*
+ * loadReportLibrary
+ * ------------------
+ * Runs processing.js and reports.js in a sandbox, exactly as the page loads them
+ * with <script> tags, and returns a lookup for their top-level names.
+ *
+ * @returns {function(string): *} e.g. lib('processData')
+ */
+function loadReportLibrary() {
+  const context = vm.createContext({ console });
+  ['processing.js', 'reports.js'].forEach((file) => {
+    const code = fs.readFileSync(path.join(__dirname, file), 'utf8');
+    vm.runInContext(code, context, { filename: file });
+  });
+  return (name) => vm.runInContext(name, context);
+}
+
+/*
+ * parseCSVText
+ * -------------
+ * Minimal RFC 4180 reader returning the same {headers, rows} shape as
+ * parseCSVFile(): quoted fields may hold commas, quotes ("") and line breaks, and
+ * empty lines are skipped. The delimiter (comma, semicolon or tab) is taken from
+ * the header line, as PapaParse guesses it in the browser.
+ *
+ * @param {string} text
+ * @returns {{headers: Array<string>, rows: Array<Array<string>>}}
+ */
+function parseCSVText(text) {
+  text = text.replace(/^\uFEFF/, '');
+  const firstLine = text.slice(0, text.search(/\r?\n|$/)).replace(/"[^"]*"/g, '');
+  const delimiter = [',', ';', '\t']
+    .map((d) => ({ d, count: firstLine.split(d).length }))
+    .sort((a, b) => b.count - a.count)[0].d;
+
+  const all = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.length > 1 || row[0] !== '') all.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.length > 1 || row[0] !== '') all.push(row);
+
+  const [headers = [], ...rows] = all;
+  return { headers: headers.map((h) => String(h).trim()), rows };
+}
+
+/*
+ * resolveColumns
+ * ---------------
+ * Maps a file's columns by header name (or the --columns profile). There is no
+ * mapping screen here, so missing required columns stop the run and columns only
+ * guessed by position are reported as warnings.
+ *
+ * @param {function(string): *} lib
+ * @param {Array<string>} headers
+ * @param {string} schemaName - 'CLASS_COLUMNS' | 'PARTICIPANT_COLUMNS'
+ * @param {Object} [profile]
+ * @param {string} file - For messages
+ * @returns {Object<string, {index: number, status: string}>}
+ */
+function resolveColumns(lib, headers, schemaName, profile, file) {
+  const schema = lib(schemaName);
+  const columns = lib('detectColumns')(headers, schema, profile);
+  const missing = lib('missingRequiredColumns')(columns, schema);
+  if (missing.length) {
+    throw new Error(`${file}: required columns not found: ${missing.join(', ')} (see --columns)`);
+  }
+  const guessed = schema.filter((field) => columns[field.key].status === 'position');
+  if (guessed.length) {
+    console.warn(`Warning: ${file}: guessed by position: ${guessed.map((f) => f.label).join(', ')}`);
+  }
+  return columns;
+}
+
+/*
+ * loadExports
+ * ------------
+ * Reads every classes/participants pair and runs the page's process task on them,
+ * so diagnostics and merging behave exactly as for an upload.
+ *
+ * @param {function(string): *} lib
+ * @param {Object} options - From parseArgs()
+ * @returns {{data: Object<string, Object>, issues: Array<Object>, summary: Array<Object>}}
+ */
+function loadExports(lib, options) {
+  if (!options.classes.length || options.classes.length !== options.participants.length) {
+    throw new Error('Give one --classes and one --participants file per export');
+  }
+  const profile = options.columns ? JSON.parse(fs.readFileSync(options.columns, 'utf8')) : {};
+  const parsedFiles = lib('parsedFiles');
+  let nextId = 1;
+
+  const exports = options.classes.map((classesFile, i) => {
+    const participantsFile = options.participants[i];
+    const classes = parseCSVText(fs.readFileSync(classesFile, 'utf8'));
+    const participants = parseCSVText(fs.readFileSync(participantsFile, 'utf8'));
+    const classesId = nextId++;
+    const participantsId = nextId++;
+    parsedFiles[classesId] = classes;
+    parsedFiles[participantsId] = participants;
+
+    return {
+      name: `${path.basename(classesFile)} + ${path.basename(participantsFile)}`,
+      classesId,
+      participantsId,
+      classesColumns: resolveColumns(lib, classes.headers, 'CLASS_COLUMNS', profile.classes, classesFile),
+      participantsColumns:
+        resolveColumns(lib, participants.headers, 'PARTICIPANT_COLUMNS', profile.participants, participantsFile),
+      fileNames: options.classes.length > 1
+        ? { classes: path.basename(classesFile), participants: path.basename(participantsFile) }
+        : undefined
+    };
+  });
+
+  return lib('processExportsTask')({
+    exports,
+    timeSettings: { sourceTimeZone: options['source-tz'], displayTimeZone: options['display-tz'] }
+  }, () => {});
+}
+
+
+/* =============================================================================
+   ============================= 3. THE REPORTS ================================
+   =============================================================================
+*/
+
+/*
+ * buildReportFiles
+ * -----------------
+ * Builds the CSV files of one report, named as the page's download buttons name
+ * them (the hour count's statements are HTML).
+ *
+ * @param {function(string): *} lib
+ * @param {Object<string, Object>} data - Processed dataset
+ * @param {Object} options - From parseArgs()
+ * @param {string} [scope] - The period and filters, for the statements
+ * @param {Object<string, Object>} [periodData=data] - The period without filters, the
+ *   team the scorecards compare a teacher with
+ * @returns {Array<{filename: string, csv: string}>}
+ */
+function buildReportFiles(lib, data, options, scope, periodData = data) {
+  const cancellationWindow = options['cancellation-window'];
+
+  switch (options.report) {
+    case 'overview': {
+      const granularity = options.granularity;
+      if (granularity && !['week', 'month', 'quarter'].includes(granularity)) {
+        throw new Error('--granularity must be week, month or quarter');
+      }
+      const { groupData, privateData } = lib('buildOverviewData')(data, cancellationWindow, granularity);
+      return [
+        { filename: 'overview-group.csv', csv: lib('buildOverviewCSV')(groupData, cancellationWindow, granularity) },
+        { filename: 'overview-private.csv', csv: lib('buildOverviewCSV')(privateData, cancellationWindow, granularity) }
+      ];
+    }
+
+    case 'teacher_hour_count': {
+      if (!['private', 'group', 'both'].includes(options['class-type'])) {
+        throw new Error('--class-type must be private, group or both');
+      }
+      if (!['all_or_nothing', 'proportional', 'stepped'].includes(options['tardiness-policy'])) {
+        throw new Error('--tardiness-policy must be all_or_nothing, proportional or stepped');
+      }
+      if (!['scheduled', 'actual', 'lesser'].includes(options['pay-basis'])) {
+        throw new Error('--pay-basis must be scheduled, actual or lesser');
+      }
+      if (!['nearest', 'down', 'up'].includes(options['rounding-mode'])) {
+        throw new Error('--rounding-mode must be nearest, down or up');
+      }
+      const settings = {
+        tardinessLimit: options['tardiness-limit'],
+        penaliseTardiness: options['penalise-tardiness'],
+        tardinessPolicy: options['tardiness-policy'],
+        tardinessBands: options['tardiness-policy'] === 'stepped'
+          ? lib('parseTardinessBands')(options['tardiness-bands'])
+          : [],
+        cancellationWindow,
+        payLastMinuteCancellation: options['pay-late-cancellation'],
+        payStudentNoShow: options['pay-student-no-show'],
+        studentNoShowRate: options['student-no-show-rate'],
+        classTypeFilter: options['class-type'],
+        payBasis: options['pay-basis'],
+        durationRounding: { step: options['duration-rounding'], mode: options['rounding-mode'] },
+        durationTolerance: options['duration-tolerance'],
+        cancellationPolicy: options['cancellation-policy']
+          ? lib('parseCancellationPolicy')(options['cancellation-policy'])
+          : null,
+        groupTiers: null,
+        payRates: null
+      };
+      if (options['group-tiers']) {
+        if (!['attended', 'seats'].includes(options['group-tier-basis'])) {
+          throw new Error('--group-tier-basis must be attended or seats');
+        }
+        settings.groupTiers = { basis: options['group-tier-basis'], tiers: lib('parseGroupTiers')(options['group-tiers']) };
+      }
+      // --pay-rates wins over the rate table of a --config preset
+      const ratesText = options['pay-rates']
+        ? fs.readFileSync(options['pay-rates'], 'utf8').replace(/^\uFEFF/, '')
+        : options.payRatesText;
+      if (ratesText) {
+        const rates = lib('parsePayRates')(ratesText);
+        if (!rates.length) throw new Error(`${options['pay-rates'] || 'The preset'} has no pay rates`);
+        settings.payRates = { rates, currency: options.currency };
+      }
+      const filteredData = options.durations === 'all'
+        ? data
+        : lib('filterClassesByDuration')(data, options.durations.split(',').map((d) => parseInt(d, 10)));
+      const files = [
+        { filename: 'teacher-hour-count.csv', csv: lib('buildTeacherHourCountCSV')(filteredData, settings, false) },
+        { filename: 'teacher-hour-count-simple.csv', csv: lib('buildTeacherHourCountCSV')(filteredData, settings, true) },
+        { filename: 'teacher-hour-count-line-items.csv', csv: lib('buildHourCountLineItemsCSV')(filteredData, settings) }
+      ];
+      if (options.statements) {
+        const statements = lib('buildTeacherStatements')(filteredData, settings, scope);
+        const statementDocument = lib('statementDocument');
+        files.push({ filename: 'teacher-statements.html', csv: statementDocument('Teacher statements', statements) });
+        statements.forEach((s) => files.push({
+          filename: lib('statementFileName')(s.teacher),
+          csv: statementDocument(`Statement: ${s.teacher}`, [s])
+        }));
+      }
+      return files;
+    }
+
+    case 'teacher_report': {
+      const files = [
+        { filename: 'teacher-private-classes.csv', csv: lib('buildTeacherPrivateClassesCSV')(data) },
+        { filename: 'teacher-group-classes.csv', csv: lib('buildTeacherGroupClassesCSV')(data) },
+        { filename: 'teacher-feedback.csv', csv: lib('buildTeacherFeedbackCSV')(data) },
+        { filename: 'teacher-feedback-summary.csv', csv: lib('buildFeedbackSummaryCSV')(data) },
+        { filename: 'teacher-feedback-flagged.csv', csv: lib('buildFlaggedFeedbackCSV')(data) }
+      ];
+      if (options.scorecard) {
+        const teachers = options.scorecard === 'all'
+          ? lib('unique')(Object.values(data).map((cls) => cls.teacher.username).filter(Boolean)).sort()
+          : [options.scorecard];
+        const scorecards = teachers.map((teacher) => {
+          const card = lib('buildTeacherScorecard')(data, teacher, periodData);
+          if (!card) throw new Error(`${teacher} has no classes in this period`);
+          return { html: lib('buildTeacherScorecardHTML')(card, scope) };
+        });
+        files.push(options.scorecard === 'all'
+          ? { filename: 'teacher-scorecards.html', csv: lib('statementDocument')('Teacher scorecards', scorecards) }
+          : {
+            filename: lib('scorecardFileName')(options.scorecard),
+            csv: lib('statementDocument')(`Scorecard: ${options.scorecard}`, scorecards)
+          });
+      }
+      return files;
+    }
+
+    case 'course_report': {
+      const mode = options.mode || 'overview';
+      if (mode === 'overview') {
+        return [{ filename: 'courses-overview.csv', csv: lib('buildAllCoursesOverviewCSV')(data) }];
+      }
+      if (!['detail', 'fundae', 'anpal'].includes(mode)) {
+        throw new Error('--mode must be overview, detail, fundae or anpal for course_report');
+      }
+      const courseId = options.course;
+      if (!courseId) throw new Error(`--course is required for the ${mode} course report`);
+      if (!Object.values(data).some((cls) => cls.course_id === courseId)) {
+        throw new Error(`Course "${courseId}" not found in the exports`);
+      }
+
+      const { infoCsv, classListCsv } = mode === 'anpal'
+        ? lib('buildCourseDetailReportANPAL')(data, courseId)
+        : lib('buildCourseDetailReport')(data, courseId);
+      const files = [
+        { filename: 'course-info.csv', csv: infoCsv },
+        { filename: mode === 'anpal' ? 'course-classes-anpal.csv' : 'course-classes.csv', csv: classListCsv }
+      ];
+      if (mode !== 'detail') {
+        files.push({ filename: 'course-student-overview.csv', csv: lib('buildCourseStudentOverviewCSV')(data, courseId) });
+      }
+      return files;
+    }
+
+    case 'student_report': {
+      const filterMode = options.students;
+      if (!['all', 'company', 'custom'].includes(filterMode)) {
+        throw new Error('--students must be all, company or custom');
+      }
+      // Like the page's tags, only usernames found in the exports are used
+      const known = new Set(Object.values(data).flatMap((cls) => (cls.students || []).map((s) => s.username)));
+      const customList = options.usernames.split(',').map((u) => u.trim()).filter(Boolean);
+      customList.filter((u) => !known.has(u)).forEach((u) => console.warn(`Warning: username not found: ${u}`));
+
+      return [{
+        filename: 'student-report.csv',
+        csv: lib('buildStudentReport')(data, {
+          cancellationWindow,
+          companyId: options.company,
+          filterMode,
+          customList: filterMode === 'custom' ? customList.filter((u) => known.has(u)) : []
+        })
+      }];
+    }
+
+    case 'class_list': {
+      const mode = options.mode || 'by_class';
+      const timeZone = options['class-list-tz'] || options['display-tz'];
+      if (mode === 'by_student') {
+        return [{ filename: 'class-list-by-student.csv', csv: lib('buildClassListByStudentTable')(data, timeZone) }];
+      }
+      if (mode !== 'by_class') throw new Error('--mode must be by_class or by_student for class_list');
+      const { privateCsv, groupCsv } = lib('buildClassListCSVs')(data, timeZone);
+      return [
+        { filename: 'class-list-private.csv', csv: privateCsv },
+        { filename: 'class-list-group.csv', csv: groupCsv }
+      ];
+    }
+
+    case 'reliability_alerts': {
+      const thresholds = lib('parseReliabilityThresholds')(options.alerts);
+      return [
+        { filename: 'reliability-alerts.csv', csv: lib('buildReliabilityAlertsCSV')(data, thresholds, cancellationWindow) },
+        { filename: 'reliability-alert-classes.csv', csv: lib('buildReliabilityAlertClassesCSV')(data, thresholds, cancellationWindow) }
+      ];
+    }
+
+    default:
+      throw new Error(options.report ? `Unknown report "${options.report}"` : '--report is required');
+  }
+}
+
+/*
+ * buildComparisonFiles
+ * ---------------------
+ * The comparison counterparts of the overview and Teacher Report files, named
+ * as the page's download buttons name them in comparison mode.
+ *
+ * @param {function(string): *} lib
+ * @param {Object<string, Object>} data - Processed dataset
+ * @param {Object<string, Object>} previousData - Dataset compared with
+ * @param {Object} options - From parseArgs()
+ * @returns {Array<{filename: string, csv: string}>}
+ */
+function buildComparisonFiles(lib, data, previousData, options) {
+  if (options.report === 'overview') {
+    const { groupCsv, privateCsv } =
+      lib('buildOverviewComparison')(data, previousData, options['cancellation-window']);
+    return [
+      { filename: 'overview-group-comparison.csv', csv: groupCsv },
+      { filename: 'overview-private-comparison.csv', csv: privateCsv }
+    ];
+  }
+  if (options.report === 'teacher_report') {
+    const { privateCsv, groupCsv } = lib('buildTeacherComparison')(data, previousData, options.threshold);
+    return [
+      { filename: 'teacher-private-classes-comparison.csv', csv: privateCsv },
+      { filename: 'teacher-group-classes-comparison.csv', csv: groupCsv }
+    ];
+  }
+  throw new Error('--compare only applies to the overview and teacher_report reports');
+}
+
+/*
+ * buildDiagnosticFiles
+ * ---------------------
+ * The data quality CSVs (one per check with findings) and, for several exports,
+ * the merge summary, named as on the page.
+ *
+ * @param {function(string): *} lib
+ * @param {{issues: Array<Object>, summary: Array<Object>}} processed
+ * @param {boolean} merged - More than one export was given
+ * @returns {Array<{filename: string, csv: string}>}
+ */
+function buildDiagnosticFiles(lib, { issues, summary }, merged) {
+  const files = issues
+    .filter((issue) => issue.rows.length)
+    .map((issue) => ({ filename: `diagnostics-${issue.key}.csv`, csv: lib('buildDiagnosticCSV')(issue) }));
+  if (merged) files.push({ filename: 'merge-summary.csv', csv: lib('buildMergeSummaryCSV')(summary) });
+  return files;
+}
+
+
+/* =============================================================================
+   ================================ 4. MAIN ====================================
+   =============================================================================
+*/
+
+function main() {
+  let options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(usage());
+    return;
+  }
+  if (!options.report) throw new Error('--report is required');
+
+  const lib = loadReportLibrary();
+  // A preset takes the place of the defaults; flags given here still win
+  if (options.config) {
+    options = parseArgs(process.argv.slice(2), presetOptions(lib, options.config, options.preset, options.report));
+  } else if (options.preset) {
+    throw new Error('--preset needs --config');
+  }
+  const processed = loadExports(lib, options);
+  const classCount = Object.keys(processed.data).length;
+  console.log(`Loaded ${classCount} classes from ${options.classes.length} export(s)`);
+  processed.issues
+    .filter((issue) => issue.rows.length)
+    .forEach((issue) => console.warn(`Data quality: ${issue.label}: ${issue.rows.length} rows`));
+
+  // Same period, filters and file names as the report selector
+  const range = lib('resolveDateRange')({
+    preset: options.period,
+    from: options.from,
+    to: options.to,
+    payPeriodStartDay: options['pay-period-start']
+  });
+  const filters = {
+    teacher: options['only-teacher'],
+    company: options['only-company'],
+    subject: options['only-subject'],
+    level: options['only-level'],
+    course: options['only-course'],
+    classType: options['only-class-type']
+  };
+  const periodData = lib('filterDataByDateRange')(processed.data, range);
+  const reportData = lib('filterDataByDimensions')(periodData, filters);
+  const scope = [range && range.label, lib('describeFilters')(filters)].filter(Boolean).join('; ');
+  if (scope) console.log(`${scope}: ${Object.keys(reportData).length} classes`);
+
+  let files = buildReportFiles(lib, reportData, options, scope, periodData);
+  if (options.compare) {
+    if (options.report === 'overview' && options.granularity) {
+      console.warn('Warning: the overview comparison is by duration; --granularity only applies without --compare');
+    }
+    let previousData;
+    let label;
+    if (options.compare === 'export') {
+      const previous = loadExports(lib, {
+        ...options,
+        classes: options['compare-classes'],
+        participants: options['compare-participants']
+      });
+      previousData = previous.data;
+      label = options['compare-classes'].map((f) => path.basename(f)).join(', ');
+    } else if (options.compare === 'previous' || options.compare === 'range') {
+      const previousRange = options.compare === 'previous'
+        ? range && lib('previousDateRange')(range)
+        : lib('resolveDateRange')({ preset: 'custom', from: options['compare-from'], to: options['compare-to'] });
+      if (!previousRange) {
+        throw new Error(options.compare === 'previous'
+          ? '--compare previous needs a --period'
+          : '--compare range needs --compare-from and --compare-to');
+      }
+      previousData = lib('filterDataByDateRange')(processed.data, previousRange);
+      label = previousRange.label;
+    } else {
+      throw new Error('--compare must be previous, range or export');
+    }
+    previousData = lib('filterDataByDimensions')(previousData, filters);
+    console.log(`Compared with ${label}: ${Object.keys(previousData).length} classes`);
+
+    // Each comparison file takes the place of the file it compares
+    const comparisonFiles = buildComparisonFiles(lib, reportData, previousData, options);
+    files = files.map((f) =>
+      comparisonFiles.find((c) => c.filename === f.filename.replace(/\.csv$/, '-comparison.csv')) || f);
+  }
+  files = files.map((f) => ({ ...f, filename: lib('periodFileName')(f.filename, range) }));
+  if (options.diagnostics) files.push(...buildDiagnosticFiles(lib, processed, options.classes.length > 1));
+
+  fs.mkdirSync(options.out, { recursive: true });
+  files.forEach(({ filename, csv }) => {
+    const file = path.join(options.out, filename);
+    fs.writeFileSync(file, csv);
+    console.log(`Wrote ${file}`);
+  });
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(`Error: ${e.message}`);
+  console.error('Run `node cli.js --help` for the options.');
+  process.exitCode = 1;
+}
@@ -2,1807 +2,1649 @@
  * main.js
  *
  * Refactored and thoroughly commented version of your original script.
- * This file is structured into clear sections: Helpers, Data Processing,
- * Report Builders, UI State & Event Handlers, and Utility Functions.
+ * This file holds the UI State & Event Handlers and Utility Functions. Helpers
+ * and Data Processing (sections 1 and 2) live in processing.js so they can also
+ * run in worker.js; the Report Builders (section 3) live in reports.js so they
+ * can also run from the command line (cli.js).
  * All original logic is preserved; comments explain each part for readability.
  ******************************************************************************/
 
 /* =============================================================================
-   ============================ 1. HELPER FUNCTIONS =============================
+   ====================== 4. UI STATE & EVENT HANDLERS ==========================
    =============================================================================
 */
 
+/* --------------------------- UI State Variables --------------------------- */
+
+// Holds the processed data once we upload CSVs
+let data = null;
+
+// Lists of unique course IDs & company IDs (for drop-downs)
+let courses = [];
+let companies = [];
+
+// IDs of all main panels in the UI (used by show())
+const panels = [
+  'fileUploadPanel',
+  'teacherHourCountSettings',
+  'overviewSettings',
+  'teacherReportPanel',
+  'courseReportSettings',
+  'studentReportSettings',
+  'classListPanel', 
+  'reliabilityAlertsSettings',
+  'hourCountReportOutput',
+  'teacherReportOutput',
+  'allCoursesOverviewReport',
+  'courseDetailedReport',
+  'studentReportOutput',
+  'overviewReportOutput',
+  'classListReportOutput',
+  'reliabilityAlertsOutput',
+  'drillDownPanel'
+];
+
 /*
- * parseCSVFile
- * --------------
- * Parses a CSV File object using PapaParse and returns a Promise that resolves
- * to a 2D array of rows (skipping the header row and any empty lines).
+ * show
+ * ----
+ * Hides all panels and then shows the panel with the given ID.
  *
- * @param {File} file - The CSV file input from an <input type="file"> element.
- * @returns {Promise<Array<Array<string>>>} - Resolves with parsed CSV data.
+ * @param {string} id - DOM element ID of the panel to show.
  */
-function parseCSVFile(file) {
-  return new Promise((resolve, reject) => {
-    Papa.parse(file, {
-      skipEmptyLines: true,
-      complete: (r) => {
-        // r.data is a 2D array; remove header (first row) and any rows of length ≤ 1
-        const filtered = r.data.slice(1).filter((row) => row.length > 1);
-        resolve(filtered);
-      },
-      error: reject
-    });
+function show(id) {
+  panels.forEach((p) => document.getElementById(p).classList.add('hidden'));
+  document.getElementById(id).classList.remove('hidden');
+}
+
+// Keep the Course Report Settings visible while showing a specific output panel
+function showCourseReport(id) {
+  panels.forEach((p) => {
+    const el = document.getElementById(p);
+    if (!el) return;
+    if (p === 'courseReportSettings' || p === id) {
+      el.classList.remove('hidden');   // keep settings + requested output visible
+    } else {
+      el.classList.add('hidden');      // hide everything else
+    }
   });
 }
 
+
+/* --------------------------- Time Zones --------------------------- */
+
 /*
- * parseBoolean
- * -------------
- * Safely parse a string value into a boolean. Considers only 'true' (case-insensitive)
- * as true; anything else returns false.
+ * listTimeZones
+ * --------------
+ * IANA zone names supported by the browser, UTC first. Falls back to a short list
+ * on browsers without Intl.supportedValuesOf.
  *
- * @param {string} v - The input string to parse.
- * @returns {boolean}
+ * @returns {Array<string>}
  */
-function parseBoolean(v) {
-  return v?.trim().toLowerCase() === 'true';
+function listTimeZones() {
+  let zones;
+  try {
+    zones = Intl.supportedValuesOf('timeZone');
+  } catch (e) {
+    zones = [
+      'Europe/London', 'Europe/Lisbon', 'Europe/Madrid', 'Europe/Paris', 'Europe/Rome',
+      'Europe/Berlin', 'Europe/Athens', 'America/New_York', 'America/Chicago',
+      'America/Denver', 'America/Los_Angeles', 'America/Mexico_City', 'America/Bogota',
+      'America/Sao_Paulo', 'America/Argentina/Buenos_Aires', 'Asia/Dubai', 'Asia/Kolkata',
+      'Asia/Shanghai', 'Asia/Tokyo', 'Australia/Sydney'
+    ];
+  }
+  return unique(['UTC', ...zones]);
 }
 
 /*
- * timestampDiff
- * --------------
- * Computes the difference between two timestamp strings (format: "YYYY-MM-DD HH:MM:SS")
- * returning the difference in seconds (rounded). If either timestamp is missing, returns 0.
+ * populateTimeZoneSelect
+ * -----------------------
+ * Fills a <select> with every zone after a first option whose value is ''.
  *
- * @param {string} a - The earlier timestamp string.
- * @param {string} b - The later timestamp string.
- * @returns {number} Difference in seconds (b - a).
+ * @param {string} id         - DOM ID of the <select>
+ * @param {string} emptyLabel - Label of the '' option
  */
-function timestampDiff(a, b) {
-  if (!a || !b) return 0;
-  // Convert "YYYY-MM-DD HH:MM:SS" → "YYYY-MM-DDTHH:MM:SS" so Date can parse.
-  const dateA = new Date(a.replace(' ', 'T'));
-  const dateB = new Date(b.replace(' ', 'T'));
-  return Math.round((dateB - dateA) / 1000);
+function populateTimeZoneSelect(id, emptyLabel) {
+  document.getElementById(id).innerHTML = `<option value="">${emptyLabel}</option>` +
+    listTimeZones().map((z) => `<option>${z}</option>`).join('');
 }
 
+const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+populateTimeZoneSelect('sourceTimeZone', `Browser time zone (${browserTimeZone})`);
+populateTimeZoneSelect('displayTimeZone', `Browser time zone (${browserTimeZone})`);
+populateTimeZoneSelect('classListTimeZone', 'Display time zone');
+
+// The export zone is applied when the files are processed (see finishUpload)
+document.getElementById('displayTimeZone').addEventListener('change', (e) => {
+  timeSettings.displayTimeZone = e.target.value;
+});
+
+
+/* --------------------------- Background Processing --------------------------- */
+
+// Worker running the parse/process tasks; null until first used, false if unavailable
+let processingWorker = null;
+let nextTaskId = 1;
+const pendingTasks = {}; // task id → { resolve, reject, onProgress }
+
 /*
- * clampTardiness
- * ----------------
- * Clamps a raw tardiness value (in seconds) between a minimum (-3600) and a maximum (d).
- * Used to prevent extreme negative or overly large tardiness values.
+ * getProcessingWorker
+ * --------------------
+ * Starts worker.js on first use. Browsers refuse workers on file:// pages, in which
+ * case the tasks run on the main thread instead.
  *
- * @param {number} raw - Raw tardiness in seconds (could be negative if student/teacher arrived early).
- * @param {number} d   - The maximum allowed tardiness (usually the scheduled duration in seconds).
- * @returns {number} A value between -3600 and d.
+ * @returns {Worker|null}
  */
-function clampTardiness(raw, d) {
-  const MIN = -3600; // Prevent more than 1 hour early
-  const MAX = d;     // Cannot be later than the class duration itself
-  if (raw < MIN) return MIN;
-  if (raw > MAX) return MAX;
-  return raw;
+function getProcessingWorker() {
+  if (processingWorker === null) {
+    try {
+      processingWorker = new Worker('worker.js');
+      processingWorker.onmessage = (e) => {
+        const { id, progress, result, error } = e.data;
+        const task = pendingTasks[id];
+        if (!task) return;
+        if (progress !== undefined) {
+          if (task.onProgress) task.onProgress(progress);
+          return;
+        }
+        delete pendingTasks[id];
+        if (error) task.reject(new Error(error));
+        else task.resolve(result);
+      };
+      // A worker that fails (e.g. its scripts cannot load) is dropped for the main thread.
+      // The files it parsed go with it: `workerLost` tells callers to ask for them again
+      processingWorker.onerror = (e) => {
+        console.error(e);
+        processingWorker.terminate();
+        processingWorker = false;
+        Object.keys(pendingTasks).forEach((id) => {
+          pendingTasks[id].reject(Object.assign(new Error('Background processing failed'), { workerLost: true }));
+          delete pendingTasks[id];
+        });
+      };
+    } catch (e) {
+      console.warn('Web Worker unavailable, processing on the main thread', e);
+      processingWorker = false;
+    }
+  }
+  return processingWorker || null;
 }
 
 /*
- * unique
- * -------
- * Returns a new array containing only the unique elements of the input array.
+ * runTask
+ * --------
+ * Runs one of PROCESSING_TASKS ('parse' | 'process'), in the worker when possible.
  *
- * @param {Array<any>} arr
- * @returns {Array<any>}
+ * @param {string} type
+ * @param {Object} payload
+ * @param {function(number)} [onProgress]
+ * @returns {Promise<any>}
  */
-function unique(arr) {
-  return [...new Set(arr)];
+function runTask(type, payload, onProgress) {
+  const worker = getProcessingWorker();
+  if (!worker) {
+    return Promise.resolve().then(() => PROCESSING_TASKS[type](payload, onProgress || (() => {})));
+  }
+  return new Promise((resolve, reject) => {
+    const id = nextTaskId++;
+    pendingTasks[id] = { resolve, reject, onProgress };
+    worker.postMessage({ id, type, payload });
+  });
 }
 
-
-/* =============================================================================
-   ========================= 2. DATA PROCESSING FUNCTION ========================
-   =============================================================================
-*/
+/*
+ * releaseParsedFiles
+ * -------------------
+ * Frees parsed files that will not be processed (see the release task). A failure
+ * only leaves the memory in use, so it is logged, not shown.
+ *
+ * @param {Array<number>} ids - From the parse task
+ */
+function releaseParsedFiles(ids) {
+  if (!ids.length) return;
+  runTask('release', { ids }).catch((e) => console.warn('Could not release the parsed files', e));
+}
 
 /*
- * processData
- * ------------
- * Transforms raw CSV data arrays for classes and participants into a structured
- * object where each class is keyed by its slug. Each class object includes:
- *   - scheduledStart, scheduledDuration (in seconds)
- *   - company, course_id, available_seats
- *   - cancellation info (by whom, when, interval)
- *   - teacher info (username, attended, tardiness, cancelled)
- *   - students array (with per-student attendance, tardiness, cancellation, feedback)
+ * showUploadProgress
+ * -------------------
+ * Updates the upload progress bar; pass null to hide it.
  *
- * @param {Array<Array<string>>} classesData      Parsed rows of CLASSES.csv (excluding header)
- * @param {Array<Array<string>>} participantsData Parsed rows of PARTICIPANTS.csv (excluding header)
- * @returns {Object<string, Object>} A map of classSlug → classObject
+ * @param {number|null} fraction - 0–1
+ * @param {string} [label]
  */
-function processData(classesData, participantsData) {
-  const output = {};
-
-  classesData.forEach((cs) => {
-    // The slug (unique identifier) is in column 6
-    const slug = cs[6];
-    if (!slug) return; // Skip rows without a slug
-
-    // Parse key class-level fields:
-    const scheduledStart = cs[0]; // e.g., "2023-01-15 10:00:00"
-    const scheduledEnd = cs[1];   // e.g., "2023-01-15 11:00:00"
-    const scheduledDuration = timestampDiff(cs[0], cs[1]); // in seconds
-    const actualDuration = parseInt(cs[4], 10) * 60;
-    const description = cs[9] || '';
-    const subject = cs[11] || '';
-    const level = cs[12] || '';
-    const teacherSummary = cs[14] || '';
-    const cancelledBy = cs[22] || '';    // Who cancelled this class (username or admin)
-    const cancelledTime = cs[23] || '';  // When the class was cancelled (timestamp)
-
-    // Build the base class object
-    const cls = {
-      scheduledStart,                      // Column 0
-      scheduledDuration,                   // Computed from Column 0 & 1
-      actualDuration,
-      description,
-      subject,
-      level,
-      teacherSummary,
-      company: cs[5],                      // Column 5
-      course_id: cs[29],                   // Column 29
-      available_seats: parseInt(cs[10], 10), // Column 10
-      cancelledBy,                         // Raw cancelledBy value (possibly username or empty)
-      cancelledTime,                       // Raw cancelledTime string
-      cancelledByStudent: false,           // Will set flags below
-      cancelledByTeacher: false,
-      cancelledByAdmin: false,
-      cancelledInterval: '',               // Computed below (in hours, if cancelled)
-      teacher: {},                         // Will populate if a teacher row exists
-      students: []                         // Array of student objects (populated below)
-    };
+function showUploadProgress(fraction, label) {
+  const wrapper = document.getElementById('uploadProgress');
+  wrapper.classList.toggle('hidden', fraction === null);
+  if (fraction === null) return;
+  document.getElementById('uploadProgressBar').value = fraction;
+  document.getElementById('uploadProgressLabel').textContent = `${label} ${Math.round(fraction * 100)}%`;
+}
 
-    cls.slug = slug;
-
-    // 1. Gather participants rows for this class
-    const participantsRows = participantsData.filter((p) => p[2] === slug);
-
-    // 2. Separate enrolled students (column 9 indicates teacher if 'true')
-    const enrolled = participantsRows.filter(
-      (p) => !(p[9]?.trim().toLowerCase() === 'true')
-    );
-
-    // 3. Map each enrolled student row → student object
-    cls.students = enrolled.map((pr) => {
-      const enrolledAt = pr[22];      // Enrollment timestamp
-      const studentCancelledTime = pr[14]; // Student cancellation timestamp
-
-      return {
-        username: pr[4],              // Column 4
-        firstName: pr[5],   // Column 5
-        lastName: pr[6],  
-        attended: parseBoolean(pr[10]), // Column 10: 'true'/'false'
-        tardiness: clampTardiness(
-          timestampDiff(pr[3], pr[11]), // Column 3 (scheduledStart) vs Column 11 (actual join)
-          scheduledDuration
-        ),
-        cancelled: parseBoolean(pr[12]), // Column 12 ('true' if student cancelled)
-        cancelledBy: pr[13] || '',      // Column 13 indicates who cancelled (username)
-        cancelledTime: studentCancelledTime, // Column 14
-        cancelledInterval: studentCancelledTime
-          ? (timestampDiff(studentCancelledTime, scheduledStart) / 3600).toFixed(2)
-          : '',
-        enrolledTime: enrolledAt, // Column 22
-        enrolmentInterval: enrolledAt
-          ? (timestampDiff(enrolledAt, scheduledStart) / 3600).toFixed(02)
-          : '',
-        rating: pr[15],   // Column 15: rating (string)
-        feedback: pr[16],  // Column 16: feedback (string)
-        joinTime: pr[11] || '',           // Column 11: actual join timestamp
-      };
-    });
 
-    // 4. Find the teacher row (column 9 === 'true')
-    const teacherRow = participantsRows.find(
-      (p) => p[9]?.trim().toLowerCase() === 'true'
-    );
-    if (teacherRow) {
-      cls.teacher = {
-        username: teacherRow[4], // Column 4
-        firstName: teacherRow[5],     // Column 5
-        lastName: teacherRow[6],
-        attended: parseBoolean(teacherRow[10]), // Column 10
-        tardiness: clampTardiness(
-          timestampDiff(teacherRow[3], teacherRow[11]), // Scheduled vs actual join
-          scheduledDuration
-        ),
-        joinTime: teacherRow[11] || '',
-        cancelled: parseBoolean(teacherRow[12]) // Column 12
-      };
-    }
+/* --------------------------- Upload & Parsing --------------------------- */
 
-    // 5. Calculate cancellation flags and intervals
-    const teacherName = cls.teacher?.username;
-    const studentNames = cls.students.map((s) => s.username);
-
-    if (cancelledBy) {
-      cls.cancelledByStudent = studentNames.includes(cancelledBy);
-      cls.cancelledByTeacher = cancelledBy === teacherName;
-      cls.cancelledByAdmin = !cls.cancelledByStudent && !cls.cancelledByTeacher;
-      cls.cancelledInterval = cancelledTime
-        ? (timestampDiff(cancelledTime, scheduledStart) / 3600).toFixed(2)
-        : '';
-    }
+// Each export is a participants + classes pair; several pairs are merged into one dataset
+const exportPairsContainer = document.getElementById('exportPairs');
+const uploadBtn = document.getElementById('uploadBtn');
 
-    // 6. Add finalized class object to output map
-    output[slug] = cls;
-  });
+// Files dropped on each export pair, by role: pair element → {classes, participants, source}
+// where source[role] says how the role was decided ('headers' | 'guess' | 'swapped')
+const exportPairFiles = new Map();
+
+const ROLE_SOURCE_LABELS = {
+  headers: '(detected from the column headers)',
+  guess: '(guessed; the headers did not tell. Swap if wrong)',
+  swapped: '(swapped by you)'
+};
 
-  return output;
+/*
+ * updateUploadButton
+ * -------------------
+ * Enables Upload only when every export pair has both its classes and its
+ * participants file.
+ */
+function updateUploadButton() {
+  const pairs = Array.from(exportPairFiles.values());
+  uploadBtn.disabled = !pairs.length || !pairs.every((roles) => roles.classes && roles.participants);
 }
 
+/*
+ * addExportPair
+ * --------------
+ * Appends an export drop zone to the upload panel. Files can be dropped on it or
+ * picked with "browse"; only the first pair cannot be removed.
+ */
+function addExportPair() {
+  const pair = document.getElementById('exportPairTemplate').content.firstElementChild.cloneNode(true);
+  exportPairsContainer.appendChild(pair);
+  exportPairFiles.set(pair, { classes: null, participants: null, source: {} });
+
+  const zone = pair.querySelector('.drop-zone');
+  zone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    zone.classList.add('dragover');
+  });
+  zone.addEventListener('dragleave', () => zone.classList.remove('dragover'));
+  zone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    zone.classList.remove('dragover');
+    assignExportFiles(pair, e.dataTransfer.files);
+  });
 
-/* =============================================================================
-   ======================= 3. REPORT BUILDING FUNCTIONS ========================
-   =============================================================================
-*/
+  const input = pair.querySelector('.export-files');
+  input.addEventListener('change', () => {
+    assignExportFiles(pair, input.files);
+    input.value = ''; // allow picking the same file again
+  });
 
-/* -----------------------------------------------------------------------------
-   3.1 Teacher Hour Count Report
-   ----------------------------------------------------------------------------- */
+  pair.querySelector('.swap-roles').addEventListener('click', () => swapExportRoles(pair));
+  pair.querySelector('.remove-export').addEventListener('click', () => {
+    exportPairFiles.delete(pair);
+    pair.remove();
+    renumberExportPairs();
+    updateUploadButton();
+  });
+  renumberExportPairs();
+  updateUploadButton();
+}
 
 /*
- * buildTeacherHourCountCSV
- * -------------------------
- * Builds a CSV string that reports, for each teacher, how many classes they taught
- * (group vs private), attended vs no-show, late arrivals, cancellations, etc.,
- * segmented by class duration buckets.
- *
- * @param {Object<string, Object>} processedData - Output from processData()
- * @param {Object} settings - User-selected settings:
- *   - tardinessLimit: number (minutes) beyond which to penalize teacher tardiness
- *   - cancellationWindow: number (hours) used to detect "last-minute cancellations"
- *   - penaliseTardiness: boolean
- *   - payLastMinuteCancellation: boolean (counts a private student’s last-minute cancellation as "cancelled" class)
- *   - payStudentNoShow: boolean (deducts student no-shows from pay if studentNoShowRate applies)
- *   - studentNoShowRate: number (percentage, 0–100)
- *   - classTypeFilter: 'private' | 'group' | 'both'
- * @param {boolean} simpleReport - If true, output only the net-count column per duration; if false, include full breakdown.
+ * assignExportFiles
+ * ------------------
+ * Works out from their headers which of the dropped files is the classes export and
+ * which the participants one (see exportRoleScore()). Two files are ranked against
+ * each other; a single file fills the role its headers point to, or the empty one.
  *
- * @returns {string} CSV-formatted string (headers + rows)
+ * @param {HTMLElement} pair
+ * @param {FileList|Array<File>} fileList
  */
-function buildTeacherHourCountCSV(processedData, settings, simpleReport) {
-  // Destructure settings for easier local variables
-  const {
-    tardinessLimit,
-    cancellationWindow,
-    penaliseTardiness,
-    payLastMinuteCancellation,
-    payStudentNoShow,
-    studentNoShowRate,
-    classTypeFilter
-  } = settings;
-
-  // Convert studentNoShowRate% → fraction if payment applies
-  const studentNoShowFrac = payStudentNoShow ? studentNoShowRate / 100 : 0;
-
-  // Structure to accumulate per-teacher, per-duration buckets
-  const teacherReports = {};
-  const durationsSet = new Set();
-
-  // 1) Aggregate per-class data into teacherReports
-  Object.keys(processedData).forEach((slug) => {
-    const cls = processedData[slug];
-    const durationMin = Math.round(cls.scheduledDuration / 60);
-    durationsSet.add(durationMin);
-
-    const teacherName = cls.teacher.username;
-    if (!teacherName) return; // Skip classes without a teacher
-
-    // Determine class type (private if available_seats === 1; otherwise group)
-    const type = cls.available_seats === 1 ? 'private' : 'group';
-    if (classTypeFilter !== 'both' && classTypeFilter !== type) {
-      return; // Skip if our filter excludes this type
-    }
+async function assignExportFiles(pair, fileList) {
+  const files = Array.from(fileList || []).filter((f) => /\.(csv|xlsx)$/i.test(f.name));
+  if (!files.length) {
+    alert('Please drop .csv or .xlsx files.');
+    return;
+  }
+  if (files.length > 2) {
+    alert('Drop one classes file and one participants file per export; use "Add Another Export" for more.');
+    return;
+  }
 
-    // Initialize teacher entry if needed
-    teacherReports[teacherName] = teacherReports[teacherName] || { durations: {} };
-    const durationBuckets = teacherReports[teacherName].durations;
+  let scores;
+  try {
+    scores = await Promise.all(files.map(async (f) => exportRoleScore(await readFileHeaders(f))));
+  } catch (e) {
+    console.error(e);
+    alert('Could not read the headers of the dropped files.');
+    return;
+  }
 
-    // Initialize duration bucket if needed
-    if (!durationBuckets[durationMin]) {
-      durationBuckets[durationMin] = {
-        private: { attended: 0, noShow: 0, cancelled: 0, late: 0, studentNoShow: 0 },
-        group:   { attended: 0, noShow: 0,               late: 0, studentNoShow: 0 }
-      };
-    }
-    const bucket = durationBuckets[durationMin][type];
-
-    // Flags for teacher attendance/cancellation
-    const teacherAttended = Boolean(cls.teacher.attended);
-    const teacherCancelled = Boolean(cls.teacher.cancelled);
-    const teacherTardinessMin = Math.round(cls.teacher.tardiness / 60);
-
-    // 1a) Count last-minute student cancellations for private classes if settings specify
-    if (type === 'private' && payLastMinuteCancellation && Array.isArray(cls.students)) {
-      cls.students.forEach((student) => {
-        if (student.cancelled && student.cancelledBy !== teacherName) {
-          // If the student cancelled within cancellationWindow hours before class start,
-          // we count that as a "cancelled" slot paid to teacher
-          const diffHr = timestampDiff(cls.scheduledStart, student.cancelledTime) / 3600;
-          if (diffHr < cancellationWindow) {
-            bucket.cancelled++;
-            // Only count the first such “late” student cancellation per class
-            return;
-          }
-        }
-      });
-    }
+  const roles = exportPairFiles.get(pair);
+  if (!roles) return; // removed while the headers were read
+  if (files.length === 2) {
+    // Ties keep the drop order; only call it detected when both files lean the right way
+    const classesIndex = scores[1] > scores[0] ? 1 : 0;
+    const participantsIndex = 1 - classesIndex;
+    const detected = scores[classesIndex] > 0 && scores[participantsIndex] < 0;
+    roles.classes = files[classesIndex];
+    roles.participants = files[participantsIndex];
+    roles.source = { classes: detected ? 'headers' : 'guess', participants: detected ? 'headers' : 'guess' };
+  } else {
+    const [score] = scores;
+    const role = score > 0 ? 'classes'
+      : score < 0 ? 'participants'
+      : (roles.classes && !roles.participants ? 'participants' : 'classes');
+    roles[role] = files[0];
+    roles.source[role] = score ? 'headers' : 'guess';
+  }
 
-    // 1b) Teacher attendance vs no-show vs late
-    if (teacherAttended) {
-      bucket.attended++;
-      if (penaliseTardiness && teacherTardinessMin > tardinessLimit) {
-        bucket.late++;
-      }
-    } else {
-      bucket.noShow++;
-    }
+  ['classes', 'participants'].forEach((role) => {
+    updateSheetPicker(roles[role], pair.querySelector(`.${role}-sheet`));
+  });
+  renderExportPair(pair);
+  updateUploadButton();
+}
 
-    // 1c) Student no-show case:
-    // - Teacher attended AND not cancelled AND all students did not attend
-    if (
-      teacherAttended &&
-      !teacherCancelled &&
-      Array.isArray(cls.students) &&
-      cls.students.length > 0 &&
-      cls.students.every((s) => !s.attended)
-    ) {
-      bucket.studentNoShow++;
-    }
+/*
+ * swapExportRoles
+ * ----------------
+ * Swaps the classes and participants files of a pair, along with their sheet pickers.
+ *
+ * @param {HTMLElement} pair
+ */
+function swapExportRoles(pair) {
+  const roles = exportPairFiles.get(pair);
+  [roles.classes, roles.participants] = [roles.participants, roles.classes];
+  roles.source = { classes: 'swapped', participants: 'swapped' };
+
+  const classesSheet = pair.querySelector('.classes-sheet');
+  const participantsSheet = pair.querySelector('.participants-sheet');
+  const [classesHtml, classesValue] = [classesSheet.innerHTML, classesSheet.value];
+  classesSheet.innerHTML = participantsSheet.innerHTML;
+  classesSheet.value = participantsSheet.value;
+  participantsSheet.innerHTML = classesHtml;
+  participantsSheet.value = classesValue;
+  [classesSheet, participantsSheet].forEach((select) => {
+    select.closest('.sheet-picker').classList.toggle('hidden', select.options.length < 2);
   });
 
-  // 2) Build CSV header row
-  const durations = Array.from(durationsSet).sort((a, b) => a - b);
-  const header = ['teacher'];
+  renderExportPair(pair);
+  updateUploadButton();
+}
 
-  /*
-   * Helper: push columns for a given class type ('private' or 'group') into the header.
-   * If simpleReport is true, only push the final "count" column per duration.
-   * Otherwise, push detailed columns (attended, cancelled (<window>h), noShow, studentNoShow, late, netCount).
-   */
-  function makeCols(type) {
-    durations.forEach((d) => {
-      if (simpleReport) {
-        header.push(`${d}min ${type} classes count`);
-      } else {
-        header.push(`${d}min ${type} classes attended`);
-        if (type === 'private') {
-          header.push(`${d}min ${type} classes cancelled < ${cancellationWindow}h`);
-        }
-        header.push(`${d}min ${type} classes no show`);
-        header.push(`${d}min ${type} student no show`);
-        header.push(`${d}min ${type} classes late`);
-        header.push(`${d}min ${type} classes count`);
-      }
-    });
-    // Add total count and total minutes columns for this type
-    header.push(`Total ${type} classes count`);
-    header.push(`Total ${type} minutes`);
-  }
+/*
+ * renderExportPair
+ * -----------------
+ * Shows which file each role got and how that was decided.
+ *
+ * @param {HTMLElement} pair
+ */
+function renderExportPair(pair) {
+  const roles = exportPairFiles.get(pair);
+  ['classes', 'participants'].forEach((role) => {
+    pair.querySelector(`.${role}-name`).textContent = roles[role] ? roles[role].name : '—';
+    pair.querySelector(`.${role}-source`).textContent = roles[role] ? ROLE_SOURCE_LABELS[roles.source[role]] : '';
+  });
+  pair.querySelector('.swap-roles').disabled = !roles.classes && !roles.participants;
+}
 
-  // Build columns for private and/or group depending on filter
-  if (classTypeFilter === 'both') {
-    makeCols('private');
-    makeCols('group');
-  } else {
-    makeCols(classTypeFilter);
+/*
+ * updateSheetPicker
+ * ------------------
+ * Shows a sheet dropdown next to an .xlsx file that has more than one sheet.
+ *
+ * @param {File} file
+ * @param {HTMLSelectElement} sheetSelect
+ */
+async function updateSheetPicker(file, sheetSelect) {
+  const picker = sheetSelect.closest('.sheet-picker');
+  sheetSelect.innerHTML = '';
+  picker.classList.add('hidden');
+  if (!isWorkbookFile(file)) return;
+
+  try {
+    const sheets = await readWorkbookSheetNames(file);
+    sheetSelect.innerHTML = sheets.map((name) => `<option>${name}</option>`).join('');
+    picker.classList.toggle('hidden', sheets.length < 2);
+  } catch (e) {
+    console.error(e);
+    alert(`Could not read the workbook ${file.name}.`);
   }
+}
 
-  // 3) Build data rows for each teacher
-  const rows = [header.join(',')];
-
-  Object.keys(teacherReports).forEach((teacher) => {
-    const durationBuckets = teacherReports[teacher].durations;
-    const row = [teacher];
-
-    let totalPrivCount = 0;
-    let totalPrivMin = 0;
-    let totalGrpCount = 0;
-    let totalGrpMin = 0;
-
-    /*
-     * Helper: push aggregated values for a given class type into the row.
-     * Calculates netCount = attended - (late? penalise) + (cancelled if last-minute) - (studentNoShow * (1 - studentNoShowFrac)).
-     */
-    function pushType(type) {
-      durations.forEach((d) => {
-        const bucket = (durationBuckets[d] && durationBuckets[d][type]) || {
-          attended: 0,
-          cancelled: 0,
-          noShow: 0,
-          late: 0,
-          studentNoShow: 0
-        };
-
-        // Base count before deductions/additions
-        let baseCount = bucket.attended;
-        if (penaliseTardiness) {
-          baseCount -= bucket.late;
-        }
-        if (type === 'private' && payLastMinuteCancellation) {
-          baseCount += bucket.cancelled;
-        }
+function renumberExportPairs() {
+  exportPairsContainer.querySelectorAll('.export-pair').forEach((pair, i) => {
+    pair.querySelector('.export-title').textContent = `Export ${i + 1}`;
+    pair.querySelector('.remove-export').classList.toggle('hidden', i === 0);
+  });
+}
 
-        // Deduct student no-shows (with a fraction if payStudentNoShow is true)
-        const deduction = bucket.studentNoShow * (1 - studentNoShowFrac);
-        const netCount = parseFloat((baseCount - deduction).toFixed(2));
-
-        if (simpleReport) {
-          row.push(netCount);
-        } else {
-          row.push(bucket.attended);
-          if (type === 'private') row.push(bucket.cancelled);
-          row.push(bucket.noShow);
-          row.push(bucket.studentNoShow);
-          row.push(bucket.late);
-          row.push(netCount);
-        }
+document.getElementById('addExportBtn').addEventListener('click', addExportPair);
+addExportPair();
 
-        if (type === 'private') {
-          totalPrivCount += netCount;
-          totalPrivMin += netCount * d;
-        } else {
-          totalGrpCount += netCount;
-          totalGrpMin += netCount * d;
-        }
-      });
+/* --------------------------- Column Mapping --------------------------- */
 
-      // Append totals for this type
-      if (type === 'private') {
-        row.push(totalPrivCount, totalPrivMin);
-      } else {
-        row.push(totalGrpCount, totalGrpMin);
-      }
-    }
+// localStorage keys for named mapping profiles and the one used last
+const COLUMN_PROFILES_KEY = 'learncubeReports.columnProfiles';
+const ACTIVE_COLUMN_PROFILE_KEY = 'learncubeReports.activeColumnProfile';
 
-    if (classTypeFilter === 'both') {
-      pushType('private');
-      pushType('group');
-    } else {
-      pushType(classTypeFilter);
-    }
+// Parsed exports waiting for the user to confirm their column mapping:
+// [{ name, confirmed, classes: {file, id, headers, columns}, participants: {…} }]
+// `id` points at the rows kept by the parse task (see processing.js, section 2.5)
+let pendingExports = [];
 
-    rows.push(row.join(','));
-  });
+// Index in pendingExports of the export shown on the mapping screen
+let mappingIndex = 0;
 
-  return rows.join('\n');
+/*
+ * releasePendingExports
+ * ----------------------
+ * Drops the exports waiting on the mapping screen and frees their parsed rows.
+ */
+function releasePendingExports() {
+  releaseParsedFiles(pendingExports.flatMap((exp) => [exp.classes.id, exp.participants.id]));
+  pendingExports = [];
 }
 
-
-/* -----------------------------------------------------------------------------
-   3.2 Teacher Overview & Feedback Report
-   ----------------------------------------------------------------------------- */
-
 /*
- * buildTeacherOverviewCSV
- * ------------------------
- * For each teacher, aggregates:
- *   - total group classes, total private classes
- *   - number attended vs noShow vs nonCancelled
- *   - cancellations by teacher vs by student
- *   - total/average tardiness
- *   - average rating (across all students)
- *
- * @param {Object<string, Object>} processedData - Output from processData()
- * @returns {string} CSV string with header + one row per teacher
- */
-/**
- * Builds CSV for private-class metrics per teacher.
+ * restartUpload
+ * --------------
+ * After the worker holding the parsed rows stopped, drops the pending exports and
+ * asks for the upload again (it then runs on the main thread); retrying with the
+ * old ids could only fail.
  */
-function buildTeacherPrivateClassesCSV(processedData) {
-  const stats = {};
-
-  Object.values(processedData).forEach((cls) => {
-    if (cls.available_seats !== 1) return; // skip non-private
-    const name = cls.teacher.username;
-    if (!name) return;
-
-    if (!stats[name]) {
-      stats[name] = {
-        totalBooked: 0,
-        cancelledByTeacher: 0,
-        cancelledByAdmin: 0,
-        cancelledByStudent: 0,
-        totalRemaining: 0,
-        teacherNoShows: 0,
-        studentNoShows: 0,
-        teacherTardinessSum: 0,
-        teacherTardinessCount: 0,
-        studentTardinessSum: 0,
-        studentTardinessCount: 0,
-        ratingSum: 0,
-        ratingCount: 0,
-        feedbackCount: 0
-      };
-    }
-    const s = stats[name];
-    s.totalBooked++;
-
-    // cancellations
-    if (cls.cancelledByTeacher) s.cancelledByTeacher++;
-    else if (cls.cancelledByStudent) s.cancelledByStudent++;
-    else if (cls.cancelledByAdmin)   s.cancelledByAdmin++;
-
-    // remaining & no-shows
-    if (!cls.cancelledBy) {
-      s.totalRemaining++;
-      if (!cls.teacher.attended) s.teacherNoShows++;
-      const allAbsent = cls.students.every((st) => !st.attended);
-      if (cls.teacher.attended && allAbsent) s.studentNoShows++;
-    }
-
-    // teacher tardiness
-    const tMin = cls.teacher.tardiness / 60;
-    s.teacherTardinessSum += tMin;
-    s.teacherTardinessCount++;
+function restartUpload() {
+  pendingExports = [];
+  document.getElementById('columnMappingPanel').classList.add('hidden');
+  show('fileUploadPanel');
+  alert('Background processing stopped and the files read so far were lost. Please click Upload again.');
+}
 
-    // students: tardiness, ratings, feedback
-    cls.students.forEach((st) => {
-      if (typeof st.tardiness === 'number') {
-        s.studentTardinessSum += st.tardiness / 60;
-        s.studentTardinessCount++;
-      }
-      const r = parseFloat(st.rating);
-      const hasFB = (st.feedback && st.feedback.trim()) || !isNaN(r);
-      if (!isNaN(r)) {
-        s.ratingSum += r;
-        s.ratingCount++;
-      }
-      if (hasFB) s.feedbackCount++;
-    });
-  });
+const columnProfileSelect = document.getElementById('columnProfileSelect');
 
-  // build CSV
-  const header = [
-    'teacher',
-    'total classes booked',
-    'cancelled by teacher',
-    'cancelled by admin',
-    'cancelled by student',
-    'total remaining classes',
-    'teacher no shows',
-    'student no shows',
-    'average teacher tardiness',
-    'average student tardiness',
-    'average rating',
-    'feedback rate'
-  ];
-  const rows = [header.join(',')];
-
-  Object.entries(stats).forEach(([name, s]) => {
-    const avgTardT = s.teacherTardinessCount
-      ? (s.teacherTardinessSum / s.teacherTardinessCount).toFixed(2)
-      : '0.00';
-    const avgTardS = s.studentTardinessCount
-      ? (s.studentTardinessSum / s.studentTardinessCount).toFixed(2)
-      : '0.00';
-    const avgRating = s.ratingCount
-      ? (s.ratingSum / s.ratingCount).toFixed(2)
-      : '0.00';
-    const fbRate = s.totalBooked
-      ? ((s.feedbackCount / s.totalBooked) * 100).toFixed(2)
-      : '0.00';
-
-    rows.push([
-      `"${name}"`,
-      s.totalBooked,
-      s.cancelledByTeacher,
-      s.cancelledByAdmin,
-      s.cancelledByStudent,
-      s.totalRemaining,
-      s.teacherNoShows,
-      s.studentNoShows,
-      avgTardT,
-      avgTardS,
-      avgRating,
-      fbRate
-    ].join(','));
-  });
+/*
+ * loadColumnProfiles / saveColumnProfiles
+ * ----------------------------------------
+ * Read and write the saved mapping profiles:
+ *   profileName → { classes: {fieldKey → header}, participants: {fieldKey → header} }
+ */
+function loadColumnProfiles() {
+  try {
+    return JSON.parse(localStorage.getItem(COLUMN_PROFILES_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
 
-  return rows.join('\n');
+function saveColumnProfiles(profiles) {
+  localStorage.setItem(COLUMN_PROFILES_KEY, JSON.stringify(profiles));
 }
 
-/**
- * Builds CSV for group-class metrics per teacher.
+/*
+ * populateColumnProfileSelect
+ * ----------------------------
+ * Rebuilds the profile dropdown and selects `selected` (or the last used profile).
  */
-function buildTeacherGroupClassesCSV(processedData) {
-  const stats = {};
-
-  Object.values(processedData).forEach((cls) => {
-    if (cls.available_seats <= 1) return; // skip private
-    const name = cls.teacher.username;
-    if (!name) return;
-
-    if (!stats[name]) {
-      stats[name] = {
-        totalBooked: 0,
-        cancelledByTeacher: 0,
-        cancelledByAdmin: 0,
-        totalRemaining: 0,
-        teacherNoShows: 0,
-        classStudentNoShowClasses: 0,
-        classStudentNoShowTotal: 0,
-        teacherTardinessSum: 0,
-        teacherTardinessCount: 0,
-        studentTardinessSum: 0,
-        studentTardinessCount: 0,
-        ratingSum: 0,
-        ratingCount: 0,
-        feedbackClassCount: 0
-      };
-    }
-    const s = stats[name];
-    s.totalBooked++;
-
-    if (cls.cancelledByTeacher) s.cancelledByTeacher++;
-    else if (cls.cancelledByAdmin)    s.cancelledByAdmin++;
-
-    if (!cls.cancelledBy) {
-      s.totalRemaining++;
-      if (!cls.teacher.attended) s.teacherNoShows++;
-      const anyNoShow = cls.students.some((st) => !st.attended && !st.cancelled);
-      if (anyNoShow) s.classStudentNoShowClasses++;
-    }
+function populateColumnProfileSelect(selected) {
+  const profiles = loadColumnProfiles();
+  const active = selected !== undefined ? selected : localStorage.getItem(ACTIVE_COLUMN_PROFILE_KEY) || '';
+  columnProfileSelect.innerHTML = '<option value="">-- Auto-detect --</option>' +
+    Object.keys(profiles).sort().map((name) => `<option>${name}</option>`).join('');
+  columnProfileSelect.value = profiles[active] ? active : '';
+}
 
-    // total student no-shows
-    const noShowCount = cls.students.filter((st) => !st.attended && !st.cancelled).length;
-    s.classStudentNoShowTotal += noShowCount;
+/*
+ * detectExportColumns
+ * --------------------
+ * (Re)resolves the columns of one pending export using the selected profile.
+ *
+ * @param {Object} exp - An entry of pendingExports
+ */
+function detectExportColumns(exp) {
+  const profile = loadColumnProfiles()[columnProfileSelect.value] || {};
+  exp.classes.columns = detectColumns(exp.classes.headers, CLASS_COLUMNS, profile.classes);
+  exp.participants.columns =
+    detectColumns(exp.participants.headers, PARTICIPANT_COLUMNS, profile.participants);
+}
 
-    // teacher tardiness
-    const tMin = cls.teacher.tardiness / 60;
-    s.teacherTardinessSum += tMin;
-    s.teacherTardinessCount++;
+/*
+ * renderColumnMapping
+ * --------------------
+ * Draws one table per file of the current export: expected field, detected column
+ * (editable), status.
+ */
+function renderColumnMapping() {
+  const exp = pendingExports[mappingIndex];
+  const statusLabels = {
+    profile: 'from profile',
+    header: 'matched',
+    position: 'guessed by position',
+    missing: 'missing',
+    manual: 'set by hand'
+  };
 
-    cls.students.forEach((st) => {
-      if (typeof st.tardiness === 'number') {
-        s.studentTardinessSum += st.tardiness / 60;
-        s.studentTardinessCount++;
-      }
-      const r = parseFloat(st.rating);
-      const hasFB = (st.feedback && st.feedback.trim()) || !isNaN(r);
-      if (!isNaN(r)) {
-        s.ratingSum += r;
-        s.ratingCount++;
-      }
-      if (hasFB) s.feedbackClassCount++;
+  function renderTable(file, schema, tableId) {
+    const { headers, columns } = exp[file];
+    const options = ['<option value="-1">-- not mapped --</option>']
+      .concat(headers.map((h, i) => `<option value="${i}">${h || `(column ${i + 1})`}</option>`));
+
+    let html = '<table><thead><tr><th>Expected</th><th>Detected column</th><th>Status</th></tr></thead><tbody>';
+    schema.forEach((field) => {
+      const { index, status } = columns[field.key];
+      const shownStatus = index < 0 && field.required ? 'missing' : status;
+      html += `<tr>
+        <th>${field.label}${field.required ? ' *' : ''}</th>
+        <td><select data-key="${field.key}">${options.join('')}</select></td>
+        <td class="mapping-status-${shownStatus}">${statusLabels[shownStatus]}</td>
+      </tr>`;
     });
-  });
+    html += '</tbody></table>';
+
+    const container = document.getElementById(tableId);
+    container.innerHTML = html;
+    container.querySelectorAll('select').forEach((sel) => {
+      sel.value = String(columns[sel.dataset.key].index);
+      sel.addEventListener('change', () => {
+        columns[sel.dataset.key] = { index: parseInt(sel.value, 10), status: 'manual' };
+        renderColumnMapping();
+      });
+    });
+  }
 
-  // build CSV
-  const header = [
-    'teacher',
-    'total classes booked',
-    'cancelled by teacher',
-    'cancelled by admin',
-    'total remaining classes',
-    'teacher no shows',
-    'student no shows (classes)',
-    'student no shows (total)',
-    'average teacher tardiness',
-    'average student tardiness',
-    'average rating',
-    'feedback rate'
-  ];
-  const rows = [header.join(',')];
-
-  Object.entries(stats).forEach(([name, s]) => {
-    const avgTardT = s.teacherTardinessCount
-      ? (s.teacherTardinessSum / s.teacherTardinessCount).toFixed(2)
-      : '0.00';
-    const avgTardS = s.studentTardinessCount
-      ? (s.studentTardinessSum / s.studentTardinessCount).toFixed(2)
-      : '0.00';
-    const avgRating = s.ratingCount
-      ? (s.ratingSum / s.ratingCount).toFixed(2)
-      : '0.00';
-    const fbRate = s.totalBooked
-      ? ((s.feedbackClassCount / s.totalBooked) * 100).toFixed(2)
-      : '0.00';
-
-    rows.push([
-      `"${name}"`,
-      s.totalBooked,
-      s.cancelledByTeacher,
-      s.cancelledByAdmin,
-      s.totalRemaining,
-      s.teacherNoShows,
-      s.classStudentNoShowClasses,
-      s.classStudentNoShowTotal,
-      avgTardT,
-      avgTardS,
-      avgRating,
-      fbRate
-    ].join(','));
-  });
+  renderTable('classes', CLASS_COLUMNS, 'classesMappingTable');
+  renderTable('participants', PARTICIPANT_COLUMNS, 'participantsMappingTable');
 
-  return rows.join('\n');
+  const missing = [
+    ...missingRequiredColumns(exp.classes.columns, CLASS_COLUMNS).map((l) => `Classes: ${l}`),
+    ...missingRequiredColumns(exp.participants.columns, PARTICIPANT_COLUMNS).map((l) => `Participants: ${l}`)
+  ];
+  const which = pendingExports.length > 1
+    ? `Export ${mappingIndex + 1} of ${pendingExports.length} (${exp.name}). `
+    : '';
+  document.getElementById('columnMappingStatus').textContent = which + (missing.length
+    ? `Required columns not found: ${missing.join(', ')}. Pick them below, then apply.`
+    : 'Check the detected columns (* = required), then apply the mapping.');
+  document.getElementById('columnMappingPanel').classList.remove('hidden');
 }
 
 /*
- * buildTeacherFeedbackCSV
- * ------------------------
- * Produces a CSV of individual feedback entries per teacher per student:
- * Columns: teacher, student, class date, feedback, rating
+ * loadDataset
+ * ------------
+ * Stores the processed data and fills every report option that depends on it
+ * (course/company dropdowns, duration checkboxes, student usernames).
  *
- * @param {Object<string, Object>} processedData - Output from processData()
- * @returns {string} CSV string with header + one row per feedback entry
+ * @param {Object<string, Object>} processed - Output from processData()
  */
-function buildTeacherFeedbackCSV(processedData) {
-  const rows = ['teacher,student,class date,feedback,rating'];
-
-  Object.keys(processedData).forEach((classSlug) => {
-    const cls = processedData[classSlug];
-    const teacherUsername = cls.teacher.username;
-    if (!teacherUsername) return;
-
-    const classDate = cls.scheduledStart; // e.g., "2023-01-15 10:00:00"
-
-    cls.students.forEach((student) => {
-      const feedback = (student.feedback || '').trim();
-      const rating = (student.rating || '').trim();
-
-      // Only include if there is a non-empty feedback or rating
-      if (feedback || rating) {
-        // Wrap feedback in quotes to handle commas inside
-        rows.push([
-          teacherUsername,
-          student.username,
-          classDate,
-          `"${feedback}"`,
-          rating
-        ].join(','));
+function loadDataset(processed) {
+  data = processed;
+
+  // 1) Extract unique course IDs & companies from processed data
+  courses = unique(Object.values(data).map((c) => c.course_id));
+  companies = unique(Object.values(data).map((c) => c.company).filter(Boolean));
+
+  // 2) Populate course dropdown
+  document.getElementById('courseSelect').innerHTML = courses
+    .map((id) => `<option>${id}</option>`)
+    .join('');
+
+  // 3) Populate company dropdown (with "All" option)
+  const companySelect = document.getElementById('companySelect');
+  companySelect.innerHTML = '<option value="ALL">All</option>' +
+    companies.map((id) => `<option>${id}</option>`).join('');
+
+  // 4) Enable or disable Company radio button based on whether any companies exist
+  const hasCompanies = companies.length > 0;
+  document.getElementById('companyRadio').disabled = !hasCompanies;
+
+  // 5) Populate duration checkboxes (30, 60, etc.)
+  const durations = [...new Set(
+    Object.values(data).map((c) => Math.round(c.scheduledDuration / 60))
+  )].sort((a, b) => a - b);
+
+  const durContainer = document.getElementById('durationFilterContainer');
+  durContainer.innerHTML = durations.map((d) => {
+    const isChecked = (d === 30 || d === 60) ? 'checked' : '';
+    return `
+      <label style="margin-right:1rem;">
+        <input type="checkbox" name="durationFilter" value="${d}" ${isChecked}>
+        ${d} min
+      </label>`;
+  }).join('');
+
+  // 6) Build list of all validated student usernames (for custom filtering)
+  validatedStudentUsernames = [];
+  Object.values(data).forEach((cls) => {
+    (cls.students || []).forEach((s) => {
+      if (s.username && !validatedStudentUsernames.includes(s.username)) {
+        validatedStudentUsernames.push(s.username);
       }
     });
   });
 
-  return rows.join('\n');
-}
+  // 7) Fill the report filters (teacher, company, subject, ...)
+  populateReportFilters();
 
+  // 8) Show the report selector panel
+  show('reportSelectorPanel');
 
-/* -----------------------------------------------------------------------------
-   3.3 Course Reports
-   ----------------------------------------------------------------------------- */
+  // 9) Bring back the settings used last time
+  restoreSessionSettings();
+}
 
 /*
- * buildAllCoursesOverviewCSV
- * ---------------------------
- * Summarizes courses by aggregating all classes with the same course ID. For each
- * course ID, reports:
- *   - teacher(s) involved
- *   - first class date, last class date
- *   - level, subject, course description (from the first class's metadata)
- *   - total number of classes, available seats
- *   - number of unique students enrolled
- *   - overall attendance rate across all students & all classes
- *
- * @param {Object<string, Object>} processedData - Output from processData()
- * @returns {string} CSV string with header + one row per course ID
+ * showNextColumnMapping
+ * ----------------------
+ * Moves the mapping screen to the next export whose columns still need confirming,
+ * or processes everything once all exports are confirmed.
  */
-function buildAllCoursesOverviewCSV(processedData) {
-  // 1) Group classes by course ID
-  const byCourse = {};
-  Object.keys(processedData).forEach((slug) => {
-    const cls = processedData[slug];
-    const courseId = cls['course_id'] || 'NO_ID';
-    byCourse[courseId] = byCourse[courseId] || [];
-    byCourse[courseId].push(cls);
-  });
+function showNextColumnMapping() {
+  mappingIndex = pendingExports.findIndex((exp) => !exp.confirmed);
+  if (mappingIndex === -1) {
+    finishUpload();
+  } else {
+    renderColumnMapping();
+  }
+}
 
-  // 2) Build header
-  const header = [
-    'course ID',
-    'teacher',
-    'start date',
-    'end date',
-    'level',
-    'subject',
-    'course description',
-    'total classes',
-    'seats',
-    'students enrolled (unique)',
-    'attendance rate (%)'
+/*
+ * applyColumnMapping
+ * -------------------
+ * Confirms the mapping of the export on screen. Refuses to continue while a
+ * required column is unmapped.
+ */
+function applyColumnMapping() {
+  const exp = pendingExports[mappingIndex];
+  const missing = [
+    ...missingRequiredColumns(exp.classes.columns, CLASS_COLUMNS),
+    ...missingRequiredColumns(exp.participants.columns, PARTICIPANT_COLUMNS)
   ];
-  const rows = [header.join(',')];
-
-  // 3) For each course ID, compute aggregates
-  Object.keys(byCourse).forEach((courseId) => {
-    const classes = byCourse[courseId].sort(
-      (a, b) => new Date(a.scheduledStart) - new Date(b.scheduledStart)
-    );
-    const firstClass = classes[0];
-    const teachers = unique(classes.map((c) => c.teacher.username).filter(Boolean));
-
-    let allStudentUsernames = [];
-    let attendedCount = 0;
-    let totalStudentParticipations = 0;
-
-    classes.forEach((cls) => {
-      if (!Array.isArray(cls.students)) return;
-      cls.students.forEach((student) => {
-        allStudentUsernames.push(student.username);
-        totalStudentParticipations++;
-        if (student.attended) attendedCount++;
-      });
-    });
+  if (missing.length) {
+    alert(`Please map the required columns first: ${missing.join(', ')}`);
+    return;
+  }
 
-    const uniqueStudents = unique(allStudentUsernames);
-    const classCount = classes.length;
-    const attendanceRate = totalStudentParticipations
-      ? Math.round((attendedCount / totalStudentParticipations) * 100)
-      : '';
-
-    rows.push([
-      `"${courseId}"`,
-      `"${teachers.join(' - ')}"`,
-      `"${classes[0].scheduledStart}"`,
-      `"${classes[classes.length - 1].scheduledStart}"`,
-      `"${firstClass.level || ''}"`,
-      `"${firstClass.subject || ''}"`,
-      `"${firstClass['course description'] || ''}"`,
-      classCount,
-      `"${firstClass.available_seats || ''}"`,
-      uniqueStudents.length,
-      attendanceRate
-    ].join(','));
-  });
+  localStorage.setItem(ACTIVE_COLUMN_PROFILE_KEY, columnProfileSelect.value);
+  exp.confirmed = true;
+  showNextColumnMapping();
+}
 
-  return rows.join('\n');
+/*
+ * finishUpload
+ * -------------
+ * Maps and processes every confirmed export, merges them into `data` and shows the
+ * diagnostics and (for several exports) the merge summary.
+ */
+async function finishUpload() {
+  // Every interval computed by processData() depends on the zone the export was written in
+  timeSettings.sourceTimeZone = document.getElementById('sourceTimeZone').value;
+
+  try {
+    const { data: merged, issues, summary } = await runTask('process', {
+      exports: pendingExports.map((exp) => ({
+        name: exp.name,
+        classesId: exp.classes.id,
+        participantsId: exp.participants.id,
+        classesColumns: exp.classes.columns,
+        participantsColumns: exp.participants.columns,
+        fileNames: pendingExports.length > 1
+          ? { classes: exp.classes.file.name, participants: exp.participants.file.name }
+          : undefined
+      })),
+      timeSettings: { ...timeSettings }
+    }, (f) => showUploadProgress(f, 'Processing classes…'));
+
+    showUploadProgress(null);
+    // Their rows were released by the process task
+    pendingExports = [];
+    const fileNames = pendingExports.flatMap((exp) => [exp.classes.file.name, exp.participants.file.name]);
+    const shownSummary = pendingExports.length > 1 ? summary : null;
+    loadDataset(merged);
+    renderDiagnostics(issues);
+    renderMergeSummary(shownSummary);
+    showSessionBanner(fileNames, Object.keys(merged).length);
+    saveSessionDataset({
+      data: merged,
+      fileNames,
+      issues,
+      summary: shownSummary,
+      sourceTimeZone: timeSettings.sourceTimeZone
+    });
+  } catch (e) {
+    console.error(e);
+    showUploadProgress(null);
+    // Otherwise the rows are kept, so the mapping can be fixed and tried again
+    if (e.workerLost) restartUpload();
+    else alert('Processing error: please check the column mapping.');
+  }
 }
 
 /*
- * buildCourseDetailReport
- * ------------------------
- * For a specific course ID, produces two CSV strings:
- *   - infoCsv: high-level info about course (ID, teachers, first/last date, etc.)
- *   - classListCsv: one row per class with each student's status (attended / cancelled / no show)
- *
- * Also returns uniqueStudents array for possible further UI use.
+ * renderDiagnostics
+ * ------------------
+ * Lists every data quality check with its count, the offending source rows and a
+ * CSV download of those rows.
  *
- * @param {Object<string, Object>} processedData - Output from processData()
- * @param {string} courseId - The course ID to filter by
- * @returns {Object} { infoCsv: string, classListCsv: string, uniqueStudents: Array<string> }
+ * @param {Array<Object>} issues - Output of buildDataDiagnostics()
  */
-function buildCourseDetailReport(processedData, courseId) {
-  // Filter classes belonging to this course ID
-  const classes = Object.values(processedData)
-    .filter((cls) => (cls.course_id || 'NO_ID') === courseId)
-    .sort((a, b) => new Date(a.scheduledStart) - new Date(b.scheduledStart));
-
-  if (!classes.length) {
-    return { infoCsv: '', classListCsv: '', uniqueStudents: [] };
-  }
+function renderDiagnostics(issues) {
+  const MAX_ROWS_SHOWN = 20;
+  const total = issues.reduce((sum, issue) => sum + issue.rows.length, 0);
+  document.getElementById('diagnosticsSummary').textContent = total
+    ? `(${total} issue rows found; clean the export before running payroll)`
+    : '(no issues found)';
+
+  let html = '<table><thead><tr><th>Check</th><th>Count</th><th>Data rows (first after the header = 1)</th><th></th></tr></thead><tbody>';
+  issues.forEach((issue) => {
+    // Group data row numbers by file: "classes: 3, 7; participants: 12"
+    const byFile = {};
+    issue.rows.forEach((r) => (byFile[r.file] = byFile[r.file] || []).push(r.rowNumber));
+    const rowList = Object.entries(byFile).map(([file, nums]) => {
+      const shown = nums.slice(0, MAX_ROWS_SHOWN).join(', ');
+      const more = nums.length > MAX_ROWS_SHOWN ? ` … and ${nums.length - MAX_ROWS_SHOWN} more` : '';
+      return `${file}: ${shown}${more}`;
+    }).join('; ');
 
-  const teachers = unique(classes.map((cls) => cls.teacher.username).filter(Boolean));
-  let allStudentUsernames = [];
-  let attendedCount = 0;
-  let totalStudentParticipations = 0;
-
-  classes.forEach((cls) => {
-    if (!Array.isArray(cls.students)) return;
-    cls.students.forEach((student) => {
-      allStudentUsernames.push(student.username);
-      totalStudentParticipations++;
-      if (student.attended) attendedCount++;
-    });
+    html += `<tr>
+      <th>${issue.label}</th>
+      <td>${issue.rows.length}</td>
+      <td>${rowList}</td>
+      <td>${issue.rows.length ? `<button type="button" data-issue="${issue.key}">Download CSV</button>` : ''}</td>
+    </tr>`;
   });
+  html += '</tbody></table>';
 
-  const uniqueStudents = unique(allStudentUsernames);
-  const attendanceRate = totalStudentParticipations
-    ? Math.round((attendedCount / totalStudentParticipations) * 100)
-    : '';
+  const container = document.getElementById('diagnosticsTable');
+  container.innerHTML = html;
+  container.querySelectorAll('button[data-issue]').forEach((btn) => {
+    const issue = issues.find((i) => i.key === btn.dataset.issue);
+    btn.onclick = () => downloadCSV(buildDiagnosticCSV(issue), `diagnostics-${issue.key}.csv`);
+  });
+  document.getElementById('dataDiagnosticsPanel').classList.remove('hidden');
+}
 
-  // Build the infoCsv header & single row
-  const infoHeader = [
-    'course ID',
-    'teacher(s)',
-    'start date',
-    'end date',
-    'level',
-    'subject',
-    'course description',
-    'seats',
-    'students enrolled',
-    'total classes',
-    'attendance rate (%)'
-  ];
-  const firstClass = classes[0];
-  const infoRow = [
-    `"${courseId}"`,
-    `"${teachers.join(' - ')}"`,
-    `"${classes[0].scheduledStart}"`,
-    `"${classes[classes.length - 1].scheduledStart}"`,
-    `"${firstClass.level || ''}"`,
-    `"${firstClass.subject || ''}"`,
-    `"${firstClass['course description'] || ''}"`,
-    `"${firstClass.available_seats || ''}"`,
-    uniqueStudents.length,
-    classes.length,
-    attendanceRate
-  ];
+/*
+ * renderMergeSummary
+ * -------------------
+ * Shows how many classes each export contributed and how many were overwritten.
+ * Hidden when only one export was uploaded.
+ *
+ * @param {Array<Object>|null} summary - mergeDatasets().summary
+ */
+function renderMergeSummary(summary) {
+  const section = document.getElementById('mergeSummarySection');
+  section.classList.toggle('hidden', !summary);
+  if (!summary) return;
+
+  const csv = buildMergeSummaryCSV(summary);
+  document.getElementById('mergeSummaryTable').innerHTML = csvToTable(csv);
+  document.getElementById('downloadMergeSummaryBtn').onclick = () =>
+    downloadCSV(csv, 'merge-summary.csv');
+}
 
-  // Build the classListCsv
-  const classListHeader = [
-    'class number',
-    'date',
-    'time',
-    'duration',
-    'status',
-    ...uniqueStudents.map((u) => `"${u}"`)
-  ];
-  const classListRows = [classListHeader.join(',')];
-
-  classes.forEach((cls, idx) => {
-    const dtObj = new Date(cls.scheduledStart.replace(' ', 'T'));
-    const date = dtObj.toLocaleDateString();
-    const time = dtObj.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-    const hours = Math.floor((cls.scheduledDuration || 0) / 60)
-      .toString()
-      .padStart(2, '0');
-    const mins = ((cls.scheduledDuration || 0) % 60).toString().padStart(2, '0');
-    const duration = `${hours}:${mins}`;
-    const status = cls.cancelledBy ? 'cancelled' : 'completed';
-
-    // For each unique student, find their status in this class
-    const rowByStudent = uniqueStudents.map((username) => {
-      const studentObj = Array.isArray(cls.students)
-        ? cls.students.find((s) => s.username === username)
-        : undefined;
-      if (!studentObj) return '';
-      if (studentObj.cancelled) return 'cancelled';
-      if (studentObj.attended) return 'attended';
-      return 'no show';
+// After clicking Upload, parse every export and resolve its columns. Exports whose
+// columns are all recognised go straight through; the others wait on the mapping screen.
+uploadBtn.addEventListener('click', async () => {
+  // Files parsed by this upload, freed again if it fails half-way
+  const parsedIds = [];
+  try {
+    const pairs = Array.from(exportPairsContainer.querySelectorAll('.export-pair')).map((pair) => ({
+      classes: exportPairFiles.get(pair).classes,
+      participants: exportPairFiles.get(pair).participants,
+      classesSheet: pair.querySelector('.classes-sheet').value,
+      participantsSheet: pair.querySelector('.participants-sheet').value
+    }));
+
+    // Overall progress = bytes read across every file
+    const files = pairs.flatMap((pair) => [pair.classes, pair.participants]);
+    const totalBytes = files.reduce((sum, f) => sum + (f.size || 0), 0) || 1;
+    const readFraction = new Map();
+    const parse = (file, sheet) => runTask('parse', { file, sheet }, (f) => {
+      readFraction.set(file, f);
+      const read = files.reduce((sum, fl) => sum + (readFraction.get(fl) || 0) * (fl.size || 0), 0);
+      showUploadProgress(read / totalBytes, 'Reading files…');
+    }).then((parsed) => {
+      parsedIds.push(parsed.id);
+      return parsed;
     });
 
-    classListRows.push([
-      `Class ${idx + 1}`,
-      date,
-      time,
-      duration,
-      status,
-      ...rowByStudent
-    ].join(','));
-  });
+    // A new upload replaces the exports still waiting on the mapping screen
+    releasePendingExports();
+    uploadBtn.disabled = true;
+    showUploadProgress(0, 'Reading files…');
+    pendingExports = await Promise.all(pairs.map(async (pair) => {
+      const [classesParsed, participantsParsed] = await Promise.all([
+        parse(pair.classes, pair.classesSheet),
+        parse(pair.participants, pair.participantsSheet)
+      ]);
+      const exp = {
+        name: `${pair.classes.name} + ${pair.participants.name}`,
+        confirmed: false,
+        classes: { file: pair.classes, ...classesParsed, columns: null },
+        participants: { file: pair.participants, ...participantsParsed, columns: null }
+      };
+      detectExportColumns(exp);
+      exp.confirmed = columnsConfirmed(exp.classes.columns) && columnsConfirmed(exp.participants.columns);
+      return exp;
+    }));
 
-  return {
-    infoCsv: [infoHeader.join(','), infoRow.join(',')].join('\n'),
-    classListCsv: classListRows.join('\n'),
-    uniqueStudents
-  };
-}
+    showUploadProgress(null);
+    showNextColumnMapping();
+  } catch (e) {
+    console.error(e);
+    showUploadProgress(null);
+    releaseParsedFiles(parsedIds);
+    if (e.workerLost) restartUpload();
+    else alert('Parsing error: please check your CSV / Excel files.');
+  } finally {
+    updateUploadButton();
+  }
+});
 
+document.getElementById('applyColumnMappingBtn').addEventListener('click', () => {
+  try {
+    applyColumnMapping();
+  } catch (e) {
+    console.error(e);
+    alert('Processing error: please check the column mapping.');
+  }
+});
 
-function buildCourseDetailReportANPAL(processedData, courseId) {
-  // Reuse the same filtering and aggregates as the standard detail report
-  const classes = Object.values(processedData)
-    .filter((cls) => (cls.course_id || 'NO_ID') === courseId)
-    .sort((a, b) => new Date(a.scheduledStart) - new Date(b.scheduledStart));
+// Switching profile re-detects the columns of the export on screen
+columnProfileSelect.addEventListener('change', () => {
+  if (!pendingExports.length) return;
+  detectExportColumns(pendingExports[mappingIndex]);
+  renderColumnMapping();
+});
+
+// Save the current mapping under a name; stored by header name, not position
+document.getElementById('saveColumnProfileBtn').addEventListener('click', () => {
+  const name = document.getElementById('columnProfileName').value.trim();
+  const exp = pendingExports[mappingIndex];
+  if (!name || !exp) return;
 
-  if (!classes.length) {
-    return { infoCsv: '', classListCsv: '', uniqueStudents: [] };
+  const toProfile = ({ headers, columns }) => Object.fromEntries(
+    Object.entries(columns).map(([key, c]) => [key, c.index >= 0 ? headers[c.index] : null])
+  );
+  const profiles = loadColumnProfiles();
+  profiles[name] = {
+    classes: toProfile(exp.classes),
+    participants: toProfile(exp.participants)
+  };
+  saveColumnProfiles(profiles);
+  populateColumnProfileSelect(name);
+  detectExportColumns(exp);
+  renderColumnMapping();
+  document.getElementById('columnProfileName').value = '';
+});
+
+document.getElementById('deleteColumnProfileBtn').addEventListener('click', () => {
+  const name = columnProfileSelect.value;
+  if (!name || !confirm(`Delete mapping profile "${name}"?`)) return;
+  const profiles = loadColumnProfiles();
+  delete profiles[name];
+  saveColumnProfiles(profiles);
+  populateColumnProfileSelect('');
+  if (pendingExports.length) {
+    detectExportColumns(pendingExports[mappingIndex]);
+    renderColumnMapping();
   }
+});
 
-  // ===== Info CSV (unchanged from standard) =====
-  const teachers = unique(classes.map((cls) => cls.teacher.username).filter(Boolean));
-  let allStudentUsernames = [];
-  let attendedCount = 0;
-  let totalStudentParticipations = 0;
-
-  classes.forEach((cls) => {
-    (cls.students || []).forEach((student) => {
-      allStudentUsernames.push(student.username);
-      totalStudentParticipations++;
-      if (student.attended) attendedCount++;
-    });
-  });
+populateColumnProfileSelect();
 
-  const uniqueStudents = unique(allStudentUsernames);
-  const attendanceRate = totalStudentParticipations
-    ? Math.round((attendedCount / totalStudentParticipations) * 100)
-    : '';
 
-  const infoHeader = [
-    'course ID',
-    'teacher(s)',
-    'start date',
-    'end date',
-    'level',
-    'subject',
-    'course description',
-    'seats',
-    'students enrolled',
-    'total classes',
-    'attendance rate (%)'
-  ];
-  const firstClass = classes[0];
-  const infoRow = [
-    `"${courseId}"`,
-    `"${teachers.join(' - ')}"`,
-    `"${classes[0].scheduledStart}"`,
-    `"${classes[classes.length - 1].scheduledStart}"`,
-    `"${firstClass.level || ''}"`,
-    `"${firstClass.subject || ''}"`,
-    `"${firstClass['course description'] || ''}"`,
-    `"${firstClass.available_seats || ''}"`,
-    uniqueStudents.length,
-    classes.length,
-    attendanceRate
-  ];
-  const infoCsv = [infoHeader.join(','), infoRow.join(',')].join('\n');
+/* --------------------------- Saved Session --------------------------- */
 
-  // ===== Class List CSV (ANPAL variant) =====
-  // Helpers
-  const toLocalDate = (ts) => {
-    const dt = new Date(ts.replace(' ', 'T'));
-    return dt.toLocaleDateString();
-  };
-  const toLocalTime = (ts) => {
-    const dt = new Date(ts.replace(' ', 'T'));
-    return dt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-  };
-  const addSeconds = (ts, seconds) => {
-    const dt = new Date(ts.replace(' ', 'T'));
-    const end = new Date(dt.getTime() + (seconds || 0) * 1000);
-    return end.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-  };
+// The processed dataset and the last-used report settings are kept in IndexedDB so a
+// refresh does not mean uploading and configuring everything again
+const SESSION_DB_NAME = 'learncubeReports';
+const SESSION_STORE = 'session';
 
-  // Header: ANPAL replaces duration with Class End Time and adds extra columns
-  const classListHeader = [
-    'class number',
-    'date',
-    'time',
-    'class end time (actual)',
-    'status',
-    'class ID',
-    'teacher username',
-    'teacher name',
-    'teacher attended time',
-    ...uniqueStudents.map((u) => `"${u}"`)
-  ];
-  const classListRows = [classListHeader.join(',')];
-
-  classes.forEach((cls, idx) => {
-    const date = toLocalDate(cls.scheduledStart);
-    const time = toLocalTime(cls.scheduledStart);
-    const endTime = addSeconds(cls.scheduledStart, cls.actualDuration); // actual end
-    const status = cls.cancelledBy ? 'cancelled' : 'completed';
-    const teacherFullName = `${cls.teacher.firstName ? cls.teacher.firstName : ''} ${cls.teacher.lastName ? cls.teacher.lastName : ''}`.trim();
-    const teacherJoin = cls.teacher.joinTime ? toLocalTime(cls.teacher.joinTime) : '';
-
-    // For each unique student, show:
-    // - join time if attended & we have a joinTime
-    // - "cancelled" if cancelled
-    // - "no show" otherwise
-    const rowByStudent = uniqueStudents.map((username) => {
-      const s = (cls.students || []).find((st) => st.username === username);
-      if (!s) return '';
-      if (s.cancelled) return 'cancelled';
-      if (s.attended) {
-        return s.joinTime ? toLocalTime(s.joinTime) : 'attended';
-      }
-      return 'no show';
-    });
+// Panels whose inputs are remembered; reportSelectorPanel last so that restoring
+// the chosen report opens its settings panel
+const SETTINGS_PANELS = [
+  'teacherHourCountSettings',
+  'overviewSettings',
+  'courseReportSettings',
+  'studentReportSettings',
+  'classListPanel',
+  'reliabilityAlertsSettings',
+  'reportSelectorPanel'
+];
 
-    classListRows.push([
-      `Class ${idx + 1}`,
-      date,
-      time,
-      endTime,
-      status,
-      cls.slug,
-      cls.teacher.username || '',
-      `"${teacherFullName}"`,
-      teacherJoin,
-      ...rowByStudent
-    ].join(','));
+// Last-used settings per panel id, as returned by collectPanelSettings()
+let sessionSettings = {};
+// Set while restoring, so the change events fired then are not saved half-way
+let restoringSettings = false;
+
+/*
+ * openSessionDb
+ * --------------
+ * Opens (creating on first use) the IndexedDB database holding the saved session.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openSessionDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(SESSION_DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(SESSION_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
   });
+}
 
-  return {
-    infoCsv,
-    classListCsv: classListRows.join('\n'),
-    uniqueStudents
-  };
+/*
+ * sessionStore
+ * -------------
+ * Runs one request against the session store, e.g.
+ * sessionStore('readwrite', (store) => store.put(value, key)).
+ *
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} action
+ * @returns {Promise<*>} The request's result
+ */
+async function sessionStore(mode, action) {
+  const db = await openSessionDb();
+  return new Promise((resolve, reject) => {
+    const request = action(db.transaction(SESSION_STORE, mode).objectStore(SESSION_STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).finally(() => db.close());
 }
 
+/*
+ * saveSessionDataset
+ * -------------------
+ * Stores the processed dataset with what is needed to show it again: the source
+ * file names, diagnostics, merge summary and the export time zone.
+ *
+ * @param {Object} session - {data, fileNames, issues, summary, sourceTimeZone}
+ */
+function saveSessionDataset(session) {
+  sessionStore('readwrite', (store) => store.put({ ...session, savedAt: Date.now() }, 'dataset'))
+    .catch((e) => console.warn('Could not save the dataset for the next session', e));
+}
 
-/**
- * Builds a CSV for each student’s overview stats in a particular course.
+/*
+ * collectPanelSettings
+ * ---------------------
+ * Reads every input of a panel: fields with an id by id (multi-selects as lists),
+ * radio groups and checkbox lists by name, plus the custom student tags.
+ *
+ * @param {HTMLElement} panel
+ * @returns {{values: Object, groups: Object, tags: Array<string>}}
  */
-function buildCourseStudentOverviewCSV(processedData, courseId) {
-  // 1. Get all classes for this course
-  const classes = Object.values(processedData)
-    .filter((cls) => (cls.course_id || 'NO_ID') === courseId);
-
-  // 2. Tally per‐student stats
-  const stats = {}; // username → { enrolled, attended, noShow, cancelled }
-  classes.forEach((cls) => {
-    (cls.students || []).forEach((s) => {
-      const u = s.username;
-      if (!stats[u]) {
-        stats[u] = { enrolled: 0, attended: 0, noShow: 0, cancelled: 0 };
-      }
-      stats[u].enrolled += 1;
-      if (s.attended) {
-        stats[u].attended += 1;
-      } else if (s.cancelled) {
-        stats[u].cancelled += 1;
+function collectPanelSettings(panel) {
+  const settings = { values: {}, groups: {}, tags: [] };
+  panel.querySelectorAll('input, select, textarea').forEach((el) => {
+    if (el.type === 'file' || el.type === 'button') return;
+    if (el.type === 'radio') {
+      if (el.checked) settings.groups[el.name] = el.value;
+    } else if (el.type === 'checkbox' && !el.id) {
+      settings.groups[el.name] = settings.groups[el.name] || [];
+      if (el.checked) settings.groups[el.name].push(el.value);
+    } else if (el.multiple) {
+      settings.values[el.id] = Array.from(el.selectedOptions, (o) => o.value);
+    } else if (el.id) {
+      settings.values[el.id] = el.type === 'checkbox' ? el.checked : el.value;
+    }
+  });
+  panel.querySelectorAll('.tag[data-username]').forEach((tag) => settings.tags.push(tag.dataset.username));
+  return settings;
+}
+
+/*
+ * applyPanelSettings
+ * -------------------
+ * Puts saved values back into a panel and fires `change` on each field so the
+ * handlers that depend on them (visibility toggles, display zone) run as usual.
+ * Values that no longer exist, e.g. a course missing from a new upload, are skipped.
+ *
+ * @param {HTMLElement} panel
+ * @param {Object} settings - From collectPanelSettings()
+ */
+function applyPanelSettings(panel, settings) {
+  const changed = [];
+  panel.querySelectorAll('input, select, textarea').forEach((el) => {
+    if (el.type === 'radio') {
+      if (settings.groups[el.name] === undefined) return;
+      el.checked = el.value === settings.groups[el.name];
+      if (el.checked) changed.push(el);
+    } else if (el.type === 'checkbox' && !el.id) {
+      if (!Array.isArray(settings.groups[el.name])) return;
+      el.checked = settings.groups[el.name].includes(el.value);
+      changed.push(el);
+    } else if (el.multiple) {
+      if (!Array.isArray(settings.values[el.id])) return;
+      Array.from(el.options).forEach((o) => (o.selected = settings.values[el.id].includes(o.value)));
+      changed.push(el);
+    } else if (el.id && settings.values[el.id] !== undefined) {
+      if (el.type === 'checkbox') {
+        el.checked = settings.values[el.id];
+      } else if (el.tagName === 'SELECT' && !Array.from(el.options).some((o) => o.value === settings.values[el.id])) {
+        return;
       } else {
-        stats[u].noShow += 1;
+        el.value = settings.values[el.id];
       }
-    });
+      changed.push(el);
+    }
   });
+  changed.forEach((el) => el.dispatchEvent(new Event('change', { bubbles: true })));
 
-  // 3. Build CSV lines
-  const header = ['username', 'enrolled', 'attended', 'no_show', 'cancelled', 'attendance_rate'];
-  const rows = [header.join(',')];
+  if (settings.tags && settings.tags.length) {
+    const tagInput = panel.querySelector('#customStudentInput');
+    panel.querySelectorAll('.tag').forEach((tag) => tag.remove());
+    tagInput.value = settings.tags.join(',');
+    document.getElementById('addCustomStudentBtn').click();
+  }
+}
 
-  Object.keys(stats).forEach((u) => {
-    const { enrolled, attended, noShow, cancelled } = stats[u];
-    const rate = ((attended / enrolled) * 100).toFixed(2) + '%';
-    // wrap username in quotes in case it contains commas
-    rows.push([`"${u}"`, enrolled, attended, noShow, cancelled, rate].join(','));
+/*
+ * saveSessionSettings
+ * --------------------
+ * Records the current inputs of every settings panel.
+ */
+function saveSessionSettings() {
+  if (restoringSettings) return;
+  SETTINGS_PANELS.forEach((id) => {
+    sessionSettings[id] = collectPanelSettings(document.getElementById(id));
   });
+  sessionStore('readwrite', (store) => store.put(sessionSettings, 'settings'))
+    .catch((e) => console.warn('Could not save the report settings', e));
+}
 
-  return rows.join('\n');
+/*
+ * restoreSessionSettings
+ * -----------------------
+ * Applies the last-used settings; called once a dataset has filled the dropdowns.
+ */
+function restoreSessionSettings() {
+  restoringSettings = true;
+  try {
+    SETTINGS_PANELS.forEach((id) => {
+      if (sessionSettings[id]) applyPanelSettings(document.getElementById(id), sessionSettings[id]);
+    });
+  } finally {
+    restoringSettings = false;
+  }
 }
 
+/*
+ * showSessionBanner
+ * ------------------
+ * Shows which files the loaded dataset came from, or hides the banner for null.
+ *
+ * @param {Array<string>|null} fileNames
+ * @param {number} [classCount]
+ */
+function showSessionBanner(fileNames, classCount) {
+  const banner = document.getElementById('sessionBanner');
+  banner.classList.toggle('hidden', !fileNames);
+  if (fileNames) {
+    banner.textContent = `Loaded: ${fileNames.join(', ')}, ${classCount.toLocaleString()} classes`;
+  }
+}
 
-/* -----------------------------------------------------------------------------
-   3.4 Student Report
-   ----------------------------------------------------------------------------- */
+/*
+ * restoreSession
+ * ---------------
+ * On page load, reloads the saved settings and dataset (if any) so the reports can
+ * be run straight away.
+ */
+async function restoreSession() {
+  try {
+    sessionSettings = (await sessionStore('readonly', (store) => store.get('settings'))) || {};
+    const saved = await sessionStore('readonly', (store) => store.get('dataset'));
+    if (!saved || data) return; // nothing saved, or the user already uploaded meanwhile
+
+    timeSettings.sourceTimeZone = saved.sourceTimeZone;
+    document.getElementById('sourceTimeZone').value = saved.sourceTimeZone;
+    loadDataset(saved.data);
+    renderDiagnostics(saved.issues);
+    renderMergeSummary(saved.summary);
+    showSessionBanner(saved.fileNames, Object.keys(saved.data).length);
+  } catch (e) {
+    console.warn('Could not restore the previous session', e);
+  }
+}
 
 /*
- * buildStudentReport
- * -------------------
- * Builds a per-student CSV report based on processedData and filters. Aggregates,
- * for each student:
- *   - total group/private classes
- *   - number attended, no-show, cancellations (and late cancellations)
- *   - average cancellation interval (hrs), average tardiness (min)
- *   - average rating, average enrolment interval (hrs)
- *   - average class interval (hrs)
- *
- * @param {Object<string, Object>} processedData - Output from processData()
- * @param {Object} options - Must include:
- *   - cancellationWindow: number (hours)
- *   - companyId: string ('ALL' or specific company)
- *   - filterMode: 'all' | 'company' | 'custom'
- *   - customList: Array<string> of valid usernames to include (if filterMode === 'custom')
- * @returns {string} CSV string with header + one row per student
+ * clearSession
+ * -------------
+ * Forgets the loaded dataset (in memory and in IndexedDB) and returns to the upload
+ * panel. Report settings are kept for the next upload.
  */
-function buildStudentReport(processedData, options) {
-  const { cancellationWindow, companyId, filterMode, customList } = options;
+async function clearSession() {
+  if (data && !confirm('Clear the loaded data? You will need to upload the exports again.')) return;
+  try {
+    await sessionStore('readwrite', (store) => store.delete('dataset'));
+  } catch (e) {
+    console.warn('Could not clear the saved dataset', e);
+  }
+
+  data = null;
+  releasePendingExports();
+  exportPairFiles.clear();
+  exportPairsContainer.innerHTML = '';
+  addExportPair();
+  document.getElementById('reportSelect').value = '';
+  ['reportSelectorPanel', 'dataDiagnosticsPanel', 'columnMappingPanel'].forEach((id) =>
+    document.getElementById(id).classList.add('hidden')
+  );
+  showSessionBanner(null);
+  show('fileUploadPanel');
+}
 
-  // Map of username → student aggregate object
-  const students = {};
+document.getElementById('newUploadBtn').addEventListener('click', clearSession);
 
-  Object.keys(processedData).forEach((slug) => {
-    const cls = processedData[slug];
+SETTINGS_PANELS.forEach((id) => {
+  document.getElementById(id).addEventListener('change', saveSessionSettings);
+});
 
-    // --- FILTER CLASSES ACCORDING TO filterMode ---
-    if (filterMode === 'company' && companyId !== 'ALL' && String(cls.company) !== String(companyId)) {
-      return;
-    }
-    // filterMode 'all' or 'custom' → no class-level filter here
+restoreSession();
 
-    const scheduledStartD = new Date(cls.scheduledStart.replace(' ', 'T'));
-    const seats = cls.available_seats;
+/* --------------------------- Settings Presets --------------------------- */
 
-    // For each student in this class, accumulate stats if they pass student filter
-    cls.students.forEach((student) => {
-      const username = student.username;
-      if (!username) return;
+// localStorage key for the named settings presets
+const SETTINGS_PRESETS_KEY = 'learncubeReports.settingsPresets';
 
-      // --- FILTER STUDENTS ACCORDING TO filterMode ---
-      if (filterMode === 'custom' && !customList.includes(username)) {
-        return;
-      }
-      // 'all' & 'company' → all students in included classes are fine
-
-      // Initialize aggregate object if first time seeing this student
-      if (!students[username]) {
-        students[username] = {
-          username,
-          company: cls.company,
-          totalGroup: 0,
-          totalPrivate: 0,
-          attended: 0,
-          noShow: 0,
-          cancelled: 0,
-          cancelledLate: 0,
-          cancellationIntervals: [],
-          ratingSum: 0,
-          ratingCount: 0,
-          enrolmentIntervals: [],
-          tardinessSum: 0,
-          tardinessCount: 0,
-          classDates: []
-        };
-      }
+// Panels a preset fills in: the report rules, not the period, filters or dataset
+const PRESET_PANELS = [
+  'teacherHourCountSettings',
+  'overviewSettings',
+  'courseReportSettings',
+  'studentReportSettings',
+  'reliabilityAlertsSettings'
+];
 
-      const s = students[username];
-      // PRIVATE vs GROUP
-      if (seats === 1) {
-        s.totalPrivate++;
-      } else {
-        s.totalGroup++;
-      }
+const settingsPresetSelect = document.getElementById('settingsPresetSelect');
 
-      s.classDates.push(scheduledStartD);
-
-      // ATTENDANCE / CANCELLATION
-      if (student.cancelled) {
-        // Count all cancellations
-        s.cancelled++;
-        if (student.cancelledTime) {
-          const cancelledD = new Date(student.cancelledTime.replace(' ', 'T'));
-          const diffHr = (scheduledStartD - cancelledD) / 3600e3; // hours difference
-          s.cancellationIntervals.push(diffHr);
-          if (diffHr < cancellationWindow) {
-            s.cancelledLate++;
-          }
-        }
-      } else if (student.attended) {
-        // Student did attend
-        s.attended++;
-      } else {
-        // Student did not attend and did not explicitly cancel → no-show
-        s.noShow++;
-      }
+/*
+ * loadSettingsPresets / saveSettingsPresets
+ * ------------------------------------------
+ * Read and write the saved presets: presetName → { panelId: collectPanelSettings() }
+ */
+function loadSettingsPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(SETTINGS_PRESETS_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
 
-      // ENROLMENT INTERVAL
-      if (student.enrolledTime) {
-        const enrD = new Date(student.enrolledTime.replace(' ', 'T'));
-        const diffHr = (scheduledStartD - enrD) / 3600e3;
-        s.enrolmentIntervals.push(diffHr);
-      }
+function saveSettingsPresets(presets) {
+  localStorage.setItem(SETTINGS_PRESETS_KEY, JSON.stringify(presets));
+}
 
-      // TARDINESS (store minutes)
-      if (typeof student.tardiness === 'number') {
-        s.tardinessSum += student.tardiness / 60;
-        s.tardinessCount++;
-      }
+/*
+ * populateSettingsPresetSelect
+ * -----------------------------
+ * Rebuilds the preset dropdown, keeping `selected` (or the current choice) if it still exists.
+ */
+function populateSettingsPresetSelect(selected = settingsPresetSelect.value) {
+  const presets = loadSettingsPresets();
+  settingsPresetSelect.innerHTML = '<option value="">-- Choose --</option>';
+  Object.keys(presets).sort().forEach((name) => settingsPresetSelect.appendChild(new Option(name, name)));
+  settingsPresetSelect.value = presets[selected] ? selected : '';
+}
 
-      // RATING
-      const r = parseFloat(student.rating);
-      if (!isNaN(r)) {
-        s.ratingSum += r;
-        s.ratingCount++;
-      }
-    });
+document.getElementById('saveSettingsPresetBtn').addEventListener('click', () => {
+  const name = document.getElementById('settingsPresetName').value.trim();
+  if (!name) {
+    alert('Please enter a name for the preset.');
+    return;
+  }
+  const presets = loadSettingsPresets();
+  if (presets[name] && !confirm(`Replace preset "${name}" with the current settings?`)) return;
+  presets[name] = {};
+  PRESET_PANELS.forEach((id) => {
+    presets[name][id] = collectPanelSettings(document.getElementById(id));
   });
+  saveSettingsPresets(presets);
+  populateSettingsPresetSelect(name);
+  document.getElementById('settingsPresetName').value = '';
+});
 
-  // Build CSV header
-  const header = [
-    'student',
-    'company',
-    'total group classes',
-    'total private classes',
-    'attendance rate',
-    'no show rate',
-    'cancellation rate',
-    'late cancellation rate',
-    'average cancellation interval (hrs)',
-    'average tardiness (min)',
-    'average rating',
-    'average enrolment interval (hrs)',
-    'average class interval (hrs)'
-  ].join(',');
-  const rows = [header];
-
-  // Populate one row per student
-  Object.values(students).forEach((s) => {
-    const totalClasses = s.totalGroup + s.totalPrivate;
-    const attRate = totalClasses ? (s.attended / totalClasses).toFixed(2) : '';
-    const noShowRate = totalClasses ? (s.noShow / totalClasses).toFixed(2) : '';
-    const cancelRate = totalClasses ? (s.cancelled / totalClasses).toFixed(2) : '';
-    const lateCancelRate = totalClasses ? (s.cancelledLate / totalClasses).toFixed(2) : '';
-
-    const avgCancelInt = s.cancellationIntervals.length
-      ? (s.cancellationIntervals.reduce((a, b) => a + b, 0) / s.cancellationIntervals.length).toFixed(2)
-      : '';
-
-    const avgTard = s.tardinessCount
-      ? (s.tardinessSum / s.tardinessCount).toFixed(2)
-      : '';
-
-    const avgRating = s.ratingCount
-      ? (s.ratingSum / s.ratingCount).toFixed(2)
-      : '';
-
-    const avgEnrol = s.enrolmentIntervals.length
-      ? (s.enrolmentIntervals.reduce((a, b) => a + b, 0) / s.enrolmentIntervals.length).toFixed(2)
-      : '';
-
-    // Calculate average interval between classes (only for students with multiple classes)
-    let avgClassInt = '';
-    if (s.classDates.length > 1) {
-      const sortedDates = s.classDates.sort((a, b) => a - b);
-      let sumDiffHr = 0;
-      for (let i = 1; i < sortedDates.length; i++) {
-        sumDiffHr += (sortedDates[i] - sortedDates[i - 1]) / 3600e3;
-      }
-      avgClassInt = (sumDiffHr / (sortedDates.length - 1)).toFixed(2);
-    }
-
-    rows.push([
-      s.username,
-      s.company,
-      s.totalGroup,
-      s.totalPrivate,
-      attRate,
-      noShowRate,
-      cancelRate,
-      lateCancelRate,
-      avgCancelInt,
-      avgTard,
-      avgRating,
-      avgEnrol,
-      avgClassInt
-    ].join(','));
+// Fills in every panel the preset has; the change events save them as the session's settings
+document.getElementById('applySettingsPresetBtn').addEventListener('click', () => {
+  const preset = loadSettingsPresets()[settingsPresetSelect.value];
+  if (!preset) {
+    alert('Please choose a preset.');
+    return;
+  }
+  PRESET_PANELS.forEach((id) => {
+    if (preset[id]) applyPanelSettings(document.getElementById(id), preset[id]);
   });
+});
 
-  return rows.join('\n');
-}
+document.getElementById('deleteSettingsPresetBtn').addEventListener('click', () => {
+  const name = settingsPresetSelect.value;
+  if (!name || !confirm(`Delete settings preset "${name}"?`)) return;
+  const presets = loadSettingsPresets();
+  delete presets[name];
+  saveSettingsPresets(presets);
+  populateSettingsPresetSelect('');
+});
 
+document.getElementById('exportSettingsBtn').addEventListener('click', () => {
+  const presets = loadSettingsPresets();
+  if (!Object.keys(presets).length) {
+    alert('There are no presets to export yet. Save the current settings as a preset first.');
+    return;
+  }
+  const blob = new Blob([buildSettingsConfig(presets)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'learncube-reports-settings.json';
+  a.click();
+  URL.revokeObjectURL(url);
+});
 
-/* -----------------------------------------------------------------------------
-   3.5 Overview Data & Private Averages Table (HTML)
-   ----------------------------------------------------------------------------- */
+// Imported presets are added to the saved ones; presets with the same name are replaced after asking
+document.getElementById('importSettingsFile').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  let imported;
+  try {
+    imported = parseSettingsConfig(await file.text());
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+  const presets = loadSettingsPresets();
+  const replaced = Object.keys(imported).filter((name) => presets[name]);
+  if (replaced.length && !confirm(`Replace these presets with the ones in ${file.name}? ${replaced.join(', ')}`)) return;
+  saveSettingsPresets({ ...presets, ...imported });
+  const names = Object.keys(imported);
+  populateSettingsPresetSelect(names.length === 1 ? names[0] : undefined);
+  alert(`Imported ${names.length} preset(s) from ${file.name}.`);
+});
 
-/*
- * buildOverviewData
- * ------------------
- * Creates aggregated statistics for all classes, broken out by class type (private vs group)
- * and by duration. Returns two objects: groupData and privateData, each mapping:
- *   duration (minutes) → { total, completed, cancelled, cancelledByStudent, cancelledByTeacher, cancelledByAdmin, studentCancelledLate, teacherNoShow, studentNoShow, bothNoShow }
- *
- * @param {Object<string, Object>} processedData - Output from processData()
- * @param {number} cancellationWindow - Hours within which a student cancellation is "late"
- * @returns {Object} { groupData: Object, privateData: Object }
- */
-function buildOverviewData(processedData, cancellationWindow) {
-  /*
-   * tally
-   * -----
-   * Helper to compute the bucketed stats for a given class type.
-   *
-   * @param {string} type - 'private' or 'group'
-   * @returns {Object<number, Object>} Map: duration (minutes) → metrics object
-   */
-  function tally(type) {
-    const byDuration = {};
-
-    Object.values(processedData)
-      .filter((cls) => (type === 'private' ? cls.available_seats === 1 : cls.available_seats > 1))
-      .forEach((cls) => {
-        const d = Math.round(cls.scheduledDuration / 60);
-        if (!byDuration[d]) {
-          byDuration[d] = {
-            total: 0,
-            completed: 0,
-            cancelled: 0,
-            cancelledByStudent: 0,
-            cancelledByTeacher: 0,
-            cancelledByAdmin: 0,
-            studentCancelledLate: 0,
-            teacherNoShow: 0,
-            studentNoShow: 0,
-            bothNoShow: 0
-          };
-        }
-        const bucket = byDuration[d];
-        bucket.total++;
+populateSettingsPresetSelect();
 
-        const teacherAttended = cls.teacher.attended;
-        const classCancelled = Boolean(cls.cancelledBy);
 
-        // Completed = teacher attended & class not cancelled
-        if (teacherAttended && !classCancelled) {
-          bucket.completed++;
-        }
+/* --------------------------- Report Selection --------------------------- */
 
-        // Any cancellation → classify
-        if (classCancelled) {
-          bucket.cancelled++;
-          if (cls.cancelledByStudent) bucket.cancelledByStudent++;
-          if (cls.cancelledByTeacher) bucket.cancelledByTeacher++;
-          if (cls.cancelledByAdmin) bucket.cancelledByAdmin++;
-
-          // Late student cancellation?
-          if (
-            cls.cancelledByStudent &&
-            cls.cancelledInterval !== '' &&
-            parseFloat(cls.cancelledInterval) < cancellationWindow
-          ) {
-            bucket.studentCancelledLate++;
-          }
-        }
+// When user changes the report type dropdown, show the appropriate settings panel
+document.getElementById('reportSelect').addEventListener('change', (e) => {
+  const v = e.target.value;
+  if (v === 'teacher_hour_count') show('teacherHourCountSettings');
+  else if (v === 'overview') show('overviewSettings');
+  else if (v === 'teacher_report') show('teacherReportPanel');
+  else if (v === 'course_report') show('courseReportSettings');
+  else if (v === 'student_report') show('studentReportSettings');
+  else if (v === 'student_report')        show('studentReportSettings');
+  else if (v === 'class_list')            show('classListPanel');
+  else if (v === 'reliability_alerts')    show('reliabilityAlertsSettings');
+  else show('reportSelectorPanel');
+});
 
-        // Teacher no-show (teacher didn't attend & class not cancelled)
-        if (!teacherAttended && !classCancelled) {
-          bucket.teacherNoShow++;
-        }
+/* --------------------------- Report Period & Filters --------------------------- */
 
-        // Student no-show: group vs private differ slightly:
-        const allStudentsAbsent =
-          Array.isArray(cls.students) &&
-          cls.students.length > 0 &&
-          cls.students.every((s) => !s.attended);
-
-        if (type === 'group') {
-          if (allStudentsAbsent) {
-            bucket.studentNoShow++;
-          }
-        } else {
-          // private: teacher attended & allStudentsAbsent → student no-show
-          if (teacherAttended && allStudentsAbsent) {
-            bucket.studentNoShow++;
-          }
-        }
+// Range used by the last generated report: {from, to, label} or null for all dates
+let activeDateRange = null;
 
-        // Both no-show: teacher no-show & all students absent
-        if (!teacherAttended && !classCancelled && allStudentsAbsent) {
-          bucket.bothNoShow++;
-        }
-      });
+/*
+ * readDateRange
+ * --------------
+ * Resolves the period picked in the report selector (see resolveDateRange()).
+ *
+ * @returns {{from: string, to: string, label: string}|null}
+ */
+function readDateRange() {
+  return resolveDateRange({
+    preset: document.getElementById('dateRangePreset').value,
+    from: document.getElementById('dateRangeFrom').value,
+    to: document.getElementById('dateRangeTo').value,
+    payPeriodStartDay: document.getElementById('payPeriodStartDay').value
+  });
+}
 
-    return byDuration;
+/*
+ * updateDateRangeUI
+ * ------------------
+ * Shows the inputs the chosen preset needs and the dates it resolves to.
+ */
+function updateDateRangeUI() {
+  const preset = document.getElementById('dateRangePreset').value;
+  document.getElementById('customRangeWrapper').classList.toggle('hidden', preset !== 'custom');
+  document.getElementById('payPeriodWrapper').classList.toggle('hidden', !/pay_period/.test(preset));
+  let label;
+  try {
+    const range = readDateRange();
+    label = range ? `(${range.label})` : '';
+  } catch (e) {
+    label = e.message;
   }
-
-  const groupData = tally('group');
-  const privateData = tally('private');
-  return { groupData, privateData };
+  document.getElementById('dateRangeLabel').textContent = label;
 }
 
 /*
- * buildPrivateAveragesTable
- * --------------------------
- * Builds an HTML <table> that compares average metrics across all private classes
- * for both students and teachers. Metrics include:
- *   - total classes, attended, cancelled (by student, teacher, admin)
- *   - average cancellation interval, average tardiness, average enrolment interval, average class interval, etc.
+ * getReportData
+ * --------------
+ * The loaded data limited to the chosen period and filters; every report is built
+ * from this. Also records them for the output headers and the period for file names.
  *
- * @param {Object<string, Object>} data - processedData from processData()
- * @returns {string} HTML string representing the table
+ * @returns {Object<string, Object>|null} null (after an alert) when the period is invalid
  */
-function buildPrivateAveragesTable(data) {
-  const studentStats = {};
-  const teacherStats = {};
-
-  // 1) Accumulate stats across all private classes
-  Object.values(data).forEach((cls) => {
-    if (cls.available_seats !== 1) return; // Only private classes
-
-    const teacher = cls.teacher.username;
-    const teacherAttended = cls.teacher.attended;
-
-    // Initialize teacherStats if first time
-    if (teacher) {
-      teacherStats[teacher] = teacherStats[teacher] || {
-        total: 0,
-        attended: 0,
-        cancelled: 0,
-        cancelledByTeacher: 0,
-        cancelledByStudent: 0,
-        cancelledByAdmin: 0,
-        cancelledIntervalSum: 0,
-        cancelledIntervalCount: 0,
-        teacherNoShow: 0,
-        studentNoShow: 0,
-        tardinessSum: 0,
-        tardinessCount: 0,
-        classDates: []
-      };
-      const t = teacherStats[teacher];
-      t.total++;
-      if (teacherAttended) t.attended++;
-      if (cls.teacher.cancelled) t.teacherNoShow++;
-      if (cls.cancelledBy) t.cancelled++;
-      if (cls.cancelledByTeacher) t.cancelledByTeacher++;
-      if (cls.cancelledByStudent) t.cancelledByStudent++;
-      if (cls.cancelledByAdmin) t.cancelledByAdmin++;
-      if (cls.cancelledInterval !== '') {
-        t.cancelledIntervalSum += parseFloat(cls.cancelledInterval);
-        t.cancelledIntervalCount++;
-      }
-      if (typeof cls.teacher.tardiness === 'number') {
-        t.tardinessSum += cls.teacher.tardiness / 60;
-        t.tardinessCount++;
-      }
-
-      // Count if all students absent → student no-show for teacher
-      const allStudentsAbsent =
-        cls.students.length > 0 && cls.students.every((s) => !s.attended);
-      if (allStudentsAbsent) t.studentNoShow++;
-
-      t.classDates.push(new Date(cls.scheduledStart.replace(' ', 'T')));
-    }
+function getReportData() {
+  try {
+    activeDateRange = readDateRange();
+  } catch (e) {
+    alert(e.message);
+    return null;
+  }
+  const filters = readReportFilters();
+  const scope = [activeDateRange && activeDateRange.label, describeFilters(filters)].filter(Boolean).join('; ');
+  document.querySelectorAll('.report-period').forEach((el) => {
+    el.textContent = scope ? `(${scope})` : '';
+  });
+  return filterDataByDimensions(filterDataByDateRange(data, activeDateRange), filters);
+}
 
-    // Accumulate stats per student in this private class
-    cls.students.forEach((student) => {
-      const username = student.username;
-      if (!username) return;
-      studentStats[username] = studentStats[username] || {
-        total: 0,
-        attended: 0,
-        cancelled: 0,
-        cancelledByStudent: 0,
-        cancelledByTeacher: 0,
-        cancelledByAdmin: 0,
-        cancelledIntervalSum: 0,
-        cancelledIntervalCount: 0,
-        enrolIntervalSum: 0,
-        enrolIntervalCount: 0,
-        tardinessSum: 0,
-        tardinessCount: 0,
-        studentNoShow: 0,
-        teacherNoShow: 0,
-        classDates: []
-      };
-      const s = studentStats[username];
-      s.total++;
-      if (student.attended) s.attended++;
-      else s.studentNoShow++;
-      if (!teacherAttended) s.teacherNoShow++;
-      if (student.cancelled) {
-        s.cancelled++;
-        if (student.cancelledBy === username) s.cancelledByStudent++;
-        else if (student.cancelledBy === teacher) s.cancelledByTeacher++;
-        else if (student.cancelledBy) s.cancelledByAdmin++;
-        if (!isNaN(parseFloat(student.cancelledInterval))) {
-          s.cancelledIntervalSum += parseFloat(student.cancelledInterval);
-          s.cancelledIntervalCount++;
-        }
-      }
-      if (!isNaN(parseFloat(student.enrolmentInterval))) {
-        s.enrolIntervalSum += parseFloat(student.enrolmentInterval);
-        s.enrolIntervalCount++;
-      }
-      if (typeof student.tardiness === 'number') {
-        s.tardinessSum += student.tardiness / 60;
-        s.tardinessCount++;
-      }
-      s.classDates.push(new Date(cls.scheduledStart.replace(' ', 'T')));
+/*
+ * populateReportFilters
+ * ----------------------
+ * Fills the filter lists with the values found in the loaded data, keeping any
+ * selection that still exists.
+ */
+function populateReportFilters() {
+  const options = buildFilterOptions(data);
+  document.querySelectorAll('#reportFilters select[data-filter]').forEach((select) => {
+    const selected = new Set(Array.from(select.selectedOptions, (o) => o.value));
+    select.innerHTML = '';
+    options[select.dataset.filter].forEach(({ value, label }) => {
+      const option = new Option(label, value);
+      option.selected = selected.has(value);
+      select.appendChild(option);
     });
   });
+  updateFilterSummary();
+}
 
+/*
+ * readReportFilters
+ * ------------------
+ * @returns {Object<string, Array<string>>} filter key → selected values
+ */
+function readReportFilters() {
+  const filters = {};
+  document.querySelectorAll('#reportFilters select[data-filter]').forEach((select) => {
+    filters[select.dataset.filter] = Array.from(select.selectedOptions, (o) => o.value);
+  });
+  return filters;
+}
 
-  
-  /*
-   * calcAvg
-   * -------
-   * Given a map of stats, calculates average metrics across all keys.
-   *
-   * @param {Object<string, Object>} statsMap - Map: key (username) → stats object
-   * @returns {Object<string, string>} Map: metric label → average value (string with 2 decimals)
-   */
-  function calcAvg(statsMap) {
-    const values = Object.values(statsMap);
-    const avg = (key) =>
-      values.length
-        ? (values.reduce((sum, v) => sum + (v[key] || 0), 0) / values.length).toFixed(2)
-        : '0.00';
-
-    const avgDiv = (numKey, denomKey) =>
-      values.length
-        ? (
-            values.reduce((sum, v) => {
-              if (!v[denomKey]) return sum;
-              return sum + v[numKey] / v[denomKey];
-            }, 0) / values.length
-          ).toFixed(2)
-        : '0.00';
-
-    const avgClassInterval = values.length
-      ? (
-          values.reduce((acc, stats) => {
-            const dates = stats.classDates.sort((a, b) => a - b);
-            if (dates.length < 2) return acc;
-            let sumInterval = 0;
-            for (let i = 1; i < dates.length; i++) {
-              sumInterval += (dates[i] - dates[i - 1]) / (1000 * 3600);
-            }
-            return acc + sumInterval / (dates.length - 1);
-          }, 0) / values.length
-        ).toFixed(2)
-      : '0.00';
-
-    return {
-      'Average Classes': avg('total'),
-      'Average Attended Classes': avg('attended'),
-      'Average Cancellations (Total)': avg('cancelled'),
-      'Average Cancellations by Student': avg('cancelledByStudent'),
-      'Average Cancellations by Teacher': avg('cancelledByTeacher'),
-      'Average Cancellations by Admin': avg('cancelledByAdmin'),
-      'Average Cancellation Interval (hours)': avgDiv('cancelledIntervalSum', 'cancelledIntervalCount'),
-      'Average Teacher No Shows': avg('teacherNoShow'),
-      'Average Student No Shows': avg('studentNoShow'),
-      'Average Tardinesss (min)': avgDiv('tardinessSum', 'tardinessCount'),
-      'Average Enrolment Interval (hours)': avgDiv('enrolIntervalSum', 'enrolIntervalCount'),
-      'Average Class Interval (hours)': avgClassInterval
-    };
+// Tells how many classes the current period and filters leave
+function updateFilterSummary() {
+  const summary = document.getElementById('filterSummary');
+  if (!data) {
+    summary.textContent = '';
+    return;
+  }
+  let count;
+  try {
+    count = Object.keys(filterDataByDimensions(filterDataByDateRange(data, readDateRange()), readReportFilters())).length;
+  } catch (e) {
+    summary.textContent = '';
+    return;
   }
+  summary.textContent = `${count} of ${Object.keys(data).length} classes selected`;
+}
 
-  const studentRow = calcAvg(studentStats);
-  const teacherRow = calcAvg(teacherStats);
+document.getElementById('clearFiltersBtn').addEventListener('click', () => {
+  document.querySelectorAll('#reportFilters option').forEach((o) => (o.selected = false));
+  document.getElementById('reportFilters').dispatchEvent(new Event('change', { bubbles: true }));
+});
+document.getElementById('reportFilters').addEventListener('change', updateFilterSummary);
 
-  // Build HTML table
-  const labels = Object.keys(studentRow);
-  let html = '<table><thead><tr><th>Metric</th><th>Students</th><th>Teachers</th></tr></thead><tbody>';
-  labels.forEach((label) => {
-    html += `<tr>
-      <th>${label}</th>
-      <td>${studentRow[label]}</td>
-      <td>${teacherRow[label]}</td>
-    </tr>`;
-  });
-  html += '</tbody></table>';
-  return html;
+// Download name with the period of the report it was generated for
+function reportFileName(filename) {
+  return periodFileName(filename, activeDateRange);
 }
 
+['dateRangePreset', 'dateRangeFrom', 'dateRangeTo', 'payPeriodStartDay', 'displayTimeZone'].forEach((id) => {
+  document.getElementById(id).addEventListener('change', () => {
+    updateDateRangeUI();
+    updateFilterSummary();
+  });
+});
+updateDateRangeUI();
 
-/* =============================================================================
-   ====================== 4. UI STATE & EVENT HANDLERS ==========================
-   =============================================================================
-*/
+/* --------------------------- Period Comparison --------------------------- */
 
-/* --------------------------- UI State Variables --------------------------- */
+// Second export uploaded to compare against: {data, label} or null
+let comparisonExport = null;
 
-// Holds the processed data once we upload CSVs
-let data = null;
+/*
+ * updateComparisonUI
+ * -------------------
+ * Shows the inputs the chosen comparison needs and what it will be compared with.
+ */
+function updateComparisonUI() {
+  const mode = document.getElementById('comparisonMode').value;
+  document.getElementById('comparisonRangeWrapper').classList.toggle('hidden', mode !== 'range');
+  document.getElementById('comparisonUploadWrapper').classList.toggle('hidden', mode !== 'upload');
+  document.getElementById('comparisonThresholdWrapper').classList.toggle('hidden', !mode);
+  let label = '';
+  if (mode === 'previous') {
+    try {
+      const range = readDateRange();
+      label = range ? `(${previousDateRange(range).label})` : 'Pick a period above first.';
+    } catch (e) {
+      label = e.message;
+    }
+  } else if (mode === 'upload') {
+    label = comparisonExport ? `(${comparisonExport.label})` : '';
+  }
+  document.getElementById('comparisonLabel').textContent = label;
+}
 
-// Lists of unique course IDs & company IDs (for drop-downs)
-let courses = [];
-let companies = [];
+/*
+ * getComparisonData
+ * ------------------
+ * The data the current report is compared with: the previous period, another date
+ * range of the loaded data, or the second export, with the same filters applied.
+ *
+ * @returns {{data: Object<string, Object>, label: string}|null|undefined}
+ *   null when comparison is off, undefined (after an alert) when it can't be built
+ */
+function getComparisonData() {
+  const mode = document.getElementById('comparisonMode').value;
+  if (!mode) return null;
+
+  const filters = readReportFilters();
+  if (mode === 'upload') {
+    if (!comparisonExport) {
+      alert('Please choose the export to compare with.');
+      return undefined;
+    }
+    return {
+      data: filterDataByDimensions(comparisonExport.data, filters),
+      label: comparisonExport.label
+    };
+  }
 
-// IDs of all main panels in the UI (used by show())
-const panels = [
-  'fileUploadPanel',
-  'teacherHourCountSettings',
-  'overviewSettings',
-  'teacherReportPanel',
-  'courseReportSettings',
-  'studentReportSettings',
-  'classListPanel', 
-  'hourCountReportOutput',
-  'teacherReportOutput',
-  'allCoursesOverviewReport',
-  'courseDetailedReport',
-  'studentReportOutput',
-  'overviewReportOutput',
-  'classListReportOutput'
-];
+  let range;
+  try {
+    range = mode === 'previous'
+      ? activeDateRange && previousDateRange(activeDateRange)
+      : resolveDateRange({
+        preset: 'custom',
+        from: document.getElementById('comparisonFrom').value,
+        to: document.getElementById('comparisonTo').value
+      });
+  } catch (e) {
+    alert(e.message);
+    return undefined;
+  }
+  if (!range) {
+    alert(mode === 'previous'
+      ? 'Pick a period to compare with the one before it.'
+      : 'Please enter the dates to compare with.');
+    return undefined;
+  }
+  return { data: filterDataByDimensions(filterDataByDateRange(data, range), filters), label: range.label };
+}
 
 /*
- * show
- * ----
- * Hides all panels and then shows the panel with the given ID.
+ * showComparisonScope
+ * --------------------
+ * Adds "vs <baseline>" to the scope shown next to the output titles.
  *
- * @param {string} id - DOM element ID of the panel to show.
+ * @param {HTMLElement} section - Output section
+ * @param {string} label
  */
-function show(id) {
-  panels.forEach((p) => document.getElementById(p).classList.add('hidden'));
-  document.getElementById(id).classList.remove('hidden');
+function showComparisonScope(section, label) {
+  section.querySelectorAll('.report-period').forEach((el) => {
+    const scope = el.textContent.replace(/^\(|\)$/g, '') || 'all dates';
+    el.textContent = `(${scope} vs ${label})`;
+  });
 }
 
-// Keep the Course Report Settings visible while showing a specific output panel
-function showCourseReport(id) {
-  panels.forEach((p) => {
-    const el = document.getElementById(p);
-    if (!el) return;
-    if (p === 'courseReportSettings' || p === id) {
-      el.classList.remove('hidden');   // keep settings + requested output visible
-    } else {
-      el.classList.add('hidden');      // hide everything else
-    }
+/*
+ * renderComparisonTable
+ * ----------------------
+ * csvToTable() for a comparison, highlighting the flagged rows.
+ *
+ * @param {string} tableId
+ * @param {string} csv - From compareReportCSVs()
+ */
+function renderComparisonTable(tableId, csv) {
+  const container = document.getElementById(tableId);
+  renderDrillDownTable(tableId, csv);
+  container.querySelectorAll('tbody tr').forEach((tr) => {
+    if (tr.lastElementChild.textContent) tr.classList.add('flagged');
   });
 }
 
+/*
+ * loadComparisonExport
+ * ---------------------
+ * Parses and processes a second export (classes + participants files) to compare
+ * against. Columns are resolved with the active profile; the mapping screen is
+ * not shown, so every required column must be recognised.
+ *
+ * @param {FileList} fileList
+ */
+async function loadComparisonExport(fileList) {
+  const files = Array.from(fileList || []);
+  comparisonExport = null;
+  updateComparisonUI();
+  if (files.length !== 2) {
+    if (files.length) alert('Please choose one classes file and one participants file.');
+    return;
+  }
 
-/* --------------------------- Upload & Parsing --------------------------- */
-
-// Grab references to file inputs and upload button
-const participantsInput = document.getElementById('participantsFile');
-const classesInput = document.getElementById('classesFile');
-const uploadBtn = document.getElementById('uploadBtn');
-
-// Disable upload button until both CSV files are chosen
-[participantsInput, classesInput].forEach((inputEl) =>
-  inputEl.addEventListener('change', () => {
-    uploadBtn.disabled = !(participantsInput.files[0] && classesInput.files[0]);
-  })
-);
-
-// After clicking Upload, parse both CSVs, process data, and populate UI options
-uploadBtn.addEventListener('click', async () => {
+  // Files parsed here; the process task frees them, anything else must
+  const parsedIds = [];
   try {
-    // 1) Parse both CSV files
-    const [classesData, participantsData] = await Promise.all([
-      parseCSVFile(classesInput.files[0]),
-      parseCSVFile(participantsInput.files[0])
-    ]);
-
-    // 2) Process data into structured object
-    data = processData(classesData, participantsData);
-
-    // 3) Extract unique course IDs & companies from processed data
-    courses = unique(Object.values(data).map((c) => c.course_id));
-    companies = unique(Object.values(data).map((c) => c.company).filter(Boolean));
-
-    // 4) Populate course dropdown
-    document.getElementById('courseSelect').innerHTML = courses
-      .map((id) => `<option>${id}</option>`)
-      .join('');
-
-    // 5) Populate company dropdown (with "All" option)
-    const companySelect = document.getElementById('companySelect');
-    companySelect.innerHTML = '<option value="ALL">All</option>' +
-      companies.map((id) => `<option>${id}</option>`).join('');
-
-    // 6) Enable or disable Company radio button based on whether any companies exist
-    const hasCompanies = companies.length > 0;
-    document.getElementById('companyRadio').disabled = !hasCompanies;
-
-    // 7) Populate duration checkboxes (30, 60, etc.)
-    const durations = [...new Set(
-      Object.values(data).map((c) => Math.round(c.scheduledDuration / 60))
-    )].sort((a, b) => a - b);
-
-    const durContainer = document.getElementById('durationFilterContainer');
-    durContainer.innerHTML = durations.map((d) => {
-      const isChecked = (d === 30 || d === 60) ? 'checked' : '';
-      return `
-        <label style="margin-right:1rem;">
-          <input type="checkbox" name="durationFilter" value="${d}" ${isChecked}>
-          ${d} min
-        </label>`;
-    }).join('');
-
-    // 8) Build list of all validated student usernames (for custom filtering)
-    validatedStudentUsernames = [];
-    Object.values(data).forEach((cls) => {
-      (cls.students || []).forEach((s) => {
-        if (s.username && !validatedStudentUsernames.includes(s.username)) {
-          validatedStudentUsernames.push(s.username);
-        }
-      });
+    const scores = await Promise.all(files.map(async (f) => exportRoleScore(await readFileHeaders(f))));
+    const [classesFile, participantsFile] = scores[1] > scores[0] ? [files[1], files[0]] : files;
+    const label = `${classesFile.name} + ${participantsFile.name}`;
+    document.getElementById('comparisonLabel').textContent = 'Reading files…';
+
+    const parse = (file) => runTask('parse', { file }).then((parsed) => {
+      parsedIds.push(parsed.id);
+      return parsed;
     });
+    const [classesParsed, participantsParsed] = await Promise.all([parse(classesFile), parse(participantsFile)]);
+    const exp = { classes: { ...classesParsed }, participants: { ...participantsParsed } };
+    detectExportColumns(exp);
+    const missing = [
+      ...missingRequiredColumns(exp.classes.columns, CLASS_COLUMNS),
+      ...missingRequiredColumns(exp.participants.columns, PARTICIPANT_COLUMNS)
+    ];
+    if (missing.length) {
+      releaseParsedFiles(parsedIds);
+      updateComparisonUI();
+      alert(`The comparison export is missing required columns: ${missing.join(', ')}`);
+      return;
+    }
 
-    // 9) Show the report selector panel
-    show('reportSelectorPanel');
+    document.getElementById('comparisonLabel').textContent = 'Processing classes…';
+    const { data: processed } = await runTask('process', {
+      exports: [{
+        name: label,
+        classesId: exp.classes.id,
+        participantsId: exp.participants.id,
+        classesColumns: exp.classes.columns,
+        participantsColumns: exp.participants.columns
+      }],
+      timeSettings: { ...timeSettings }
+    });
+    comparisonExport = { data: processed, label };
   } catch (e) {
     console.error(e);
-    alert('Parsing error: please check your CSV files.');
+    releaseParsedFiles(parsedIds);
+    alert('Could not read the comparison export: please check your CSV / Excel files.');
   }
-});
+  updateComparisonUI();
+}
 
-// "New Upload" button reloads the page
-document.getElementById('newUploadBtn').addEventListener('click', () => {
-  location.reload();
+document.getElementById('comparisonFiles').addEventListener('change', (e) => loadComparisonExport(e.target.files));
+['comparisonMode', 'dateRangePreset', 'dateRangeFrom', 'dateRangeTo', 'payPeriodStartDay'].forEach((id) => {
+  document.getElementById(id).addEventListener('change', updateComparisonUI);
 });
+updateComparisonUI();
 
+/* --------------------------- Drill-down --------------------------- */
 
-/* --------------------------- Report Selection --------------------------- */
+// Classes behind the cells of each rendered table: table container ID → cellSlugs (or null)
+const drillDownSlugs = {};
 
-// When user changes the report type dropdown, show the appropriate settings panel
-document.getElementById('reportSelect').addEventListener('change', (e) => {
-  const v = e.target.value;
-  if (v === 'teacher_hour_count') show('teacherHourCountSettings');
-  else if (v === 'overview') show('overviewSettings');
-  else if (v === 'teacher_report') show('teacherReportPanel');
-  else if (v === 'course_report') show('courseReportSettings');
-  else if (v === 'student_report') show('studentReportSettings');
-  else if (v === 'student_report')        show('studentReportSettings');
-  else if (v === 'class_list')            show('classListPanel');
-  else show('reportSelectorPanel');
+/*
+ * renderDrillDownTable
+ * ---------------------
+ * csvToTable() into a table container, remembering the classes behind its cells.
+ *
+ * @param {string} tableId
+ * @param {string} csv
+ * @param {Object} [cellSlugs] - From the report builder; omit for a plain table
+ */
+function renderDrillDownTable(tableId, csv, cellSlugs) {
+  drillDownSlugs[tableId] = cellSlugs || null;
+  document.getElementById(tableId).innerHTML = csvToTable(csv, cellSlugs);
+}
+
+/*
+ * showDrillDown
+ * --------------
+ * Lists the classes behind a clicked cell in the drill-down panel, with a CSV download.
+ *
+ * @param {HTMLTableCellElement} cell - A td.drill
+ */
+function showDrillDown(cell) {
+  const container = cell.closest('.table-container');
+  const rowKey = cell.parentElement.firstElementChild.textContent;
+  const column = container.querySelectorAll('thead th')[cell.cellIndex].textContent;
+  const slugs = ((drillDownSlugs[container.id] || {})[rowKey] || {})[column];
+  if (!slugs) return;
+
+  const csv = buildDrillDownCSV(data, slugs);
+  const count = csv.split('\n').length - 1;
+  document.getElementById('drillDownTitle').textContent =
+    `${rowKey} – ${column}: ${count} class${count === 1 ? '' : 'es'}`;
+  document.getElementById('drillDownTable').innerHTML = csvToTable(csv);
+  const name = ['classes', rowKey, column]
+    .map((part) => part.replace(/[^\w.-]+/g, '-').replace(/^-|-$/g, ''))
+    .join('_');
+  document.getElementById('downloadDrillDownBtn').onclick = () =>
+    downloadCSV(csv, reportFileName(`${name}.csv`));
+
+  const panel = document.getElementById('drillDownPanel');
+  panel.classList.remove('hidden');
+  if (panel.scrollIntoView) panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+document.addEventListener('click', (e) => {
+  const cell = e.target.closest && e.target.closest('td.drill');
+  if (cell) showDrillDown(cell);
+});
+document.getElementById('closeDrillDownBtn').addEventListener('click', () => {
+  document.getElementById('drillDownPanel').classList.add('hidden');
 });
 
 /* ----------------------- Course Report: Toggle Course‐ID Dropdown ----------------------- */
@@ -1829,8 +1671,14 @@ document.querySelectorAll('input[name="courseType"]').forEach(radio => {
 /* ----------------------- Generate Overview Report ----------------------- */
 
 document.getElementById('generateOverviewBtn').addEventListener('click', () => {
+  const reportData = getReportData();
+  if (!reportData) return;
+  const comparison = getComparisonData();
+  if (comparison === undefined) return;
+
   const cancellationWindow = +document.getElementById('overviewCancellationWindow').value;
-  const { groupData, privateData } = buildOverviewData(data, cancellationWindow);
+  const granularity = document.getElementById('overviewGranularity').value;
+  const { groupData, privateData } = buildOverviewData(reportData, cancellationWindow, granularity);
 
   /*
    * render
@@ -1838,89 +1686,203 @@ document.getElementById('generateOverviewBtn').addEventListener('click', () => {
    * Helper to render an HTML table from a dataset (groupData or privateData)
    * and also wire up a CSV download button.
    *
-   * @param {string} type - 'group' or 'private'
    * @param {Object<number, Object>} dataset - The data returned from buildOverviewData()
    * @param {string} tableId - DOM ID where to inject the HTML table
    * @param {string} downloadBtnId - DOM ID of the "Download CSV" button
    * @param {string} filename - Filename for the downloaded CSV
    */
-  function render(type, dataset, tableId, downloadBtnId, filename) {
-    const durations = Object.keys(dataset).map(Number).sort((a, b) => a - b);
-    const header = ['Metric', ...durations.map((d) => `${d} min`), 'Total'];
-
-    const metrics = [
-      { key: 'total', label: 'Total classes' },
-      { key: 'completed', label: 'Completed classes' },
-      { key: 'cancelled', label: 'Cancelled classes' },
-      { key: 'cancelledByStudent', label: 'Cancelled by student' },
-      { key: 'cancelledByTeacher', label: 'Cancelled by teacher' },
-      { key: 'cancelledByAdmin', label: 'Cancelled by admin' },
-      { key: 'studentCancelledLate', label: `Student cancelled < ${cancellationWindow}h` },
-      { key: 'teacherNoShow', label: 'Teacher no show' },
-      { key: 'studentNoShow', label: 'Student no show' },
-      { key: 'bothNoShow', label: 'No show (both)' }
-    ];
-
-    // Build CSV rows
-    const csvRows = [header.join(',')];
-    const tbodyRows = [];
-
-    metrics.forEach((m) => {
-      const row = [m.label];
-      let totalSum = 0;
-      durations.forEach((d) => {
-        const v = dataset[d][m.key] || 0;
-        row.push(v);
-        totalSum += v;
-      });
-      row.push(totalSum);
-      csvRows.push(row.join(','));
-
-      // Build HTML <tr> for this metric
-      const htmlRow = '<tr>' + row.map((c, i) =>
-        i === 0 ? `<th>${c}</th>` : `<td>${c}</td>`
-      ).join('') + '</tr>';
-      tbodyRows.push(htmlRow);
-    });
-
-    // Inject HTML table into page
-    const tableHTML = '<table><thead><tr>' +
-      header.map((h) => `<th>${h}</th>`).join('') +
-      '</tr></thead><tbody>' +
-      tbodyRows.join('') +
-      '</tbody></table>';
-    document.getElementById(tableId).innerHTML = tableHTML;
-
-    // Wire download button to generate CSV
-    document.getElementById(downloadBtnId).onclick = () =>
-      downloadCSV(csvRows.join('\n'), filename);
+  function render(dataset, tableId, downloadBtnId, filename) {
+    const cellSlugs = {};
+    const csv = buildOverviewCSV(dataset, cancellationWindow, granularity, cellSlugs);
+    renderDrillDownTable(tableId, csv, cellSlugs);
+    document.getElementById(downloadBtnId).onclick = () => downloadCSV(csv, reportFileName(filename));
   }
 
   // Render both group and private overview tables
-  render('group', groupData, 'groupOverviewTable', 'downloadGroupOverviewBtn', 'overview-group.csv');
-  render('private', privateData, 'privateOverviewTable', 'downloadPrivateOverviewBtn', 'overview-private.csv');
+  render(groupData, 'groupOverviewTable', 'downloadGroupOverviewBtn', 'overview-group.csv');
+  render(privateData, 'privateOverviewTable', 'downloadPrivateOverviewBtn', 'overview-private.csv');
+
+  // In comparison mode the tables show both datasets by duration instead
+  if (comparison) {
+    const { groupCsv, privateCsv } = buildOverviewComparison(reportData, comparison.data, cancellationWindow);
+    renderComparisonTable('groupOverviewTable', groupCsv);
+    renderComparisonTable('privateOverviewTable', privateCsv);
+    document.getElementById('downloadGroupOverviewBtn').onclick = () =>
+      downloadCSV(groupCsv, reportFileName('overview-group-comparison.csv'));
+    document.getElementById('downloadPrivateOverviewBtn').onclick = () =>
+      downloadCSV(privateCsv, reportFileName('overview-private-comparison.csv'));
+    // The two datasets cover different weeks/months, so only durations line up
+    showComparisonScope(document.getElementById('overviewReportOutput'),
+      granularity ? `${comparison.label}, by duration` : comparison.label);
+  }
 
   // Build and inject the private averages table (HTML)
-  document.getElementById('privateAveragesTable').innerHTML = buildPrivateAveragesTable(data);
+  document.getElementById('privateAveragesTable').innerHTML = buildPrivateAveragesTable(reportData);
 
   // Show the overview report panel
   show('overviewReportOutput');
 });
 
 
+/* ----------------------- Hour Count: Tardiness Policy ----------------------- */
+
+/*
+ * readTardinessBands
+ * -------------------
+ * The bands of the stepped tardiness policy; an empty list for the other policies.
+ *
+ * @returns {Array<Object>|undefined} undefined (after an alert) when the bands are invalid
+ */
+function readTardinessBands() {
+  if (document.getElementById('tardinessPolicy').value !== 'stepped') return [];
+  try {
+    return parseTardinessBands(document.getElementById('tardinessBands').value);
+  } catch (e) {
+    alert(e.message);
+    return undefined;
+  }
+}
+
+document.getElementById('tardinessPolicy').addEventListener('change', (e) => {
+  document.getElementById('tardinessBandsWrapper').classList.toggle('hidden', e.target.value !== 'stepped');
+});
+
+/* ----------------------- Hour Count: Cancellation Policy ----------------------- */
+
+/*
+ * readCancellationPolicy
+ * -----------------------
+ * The cancellation policy matrix of the hour count, or null when it is off.
+ *
+ * @returns {Object|null|undefined} As parseCancellationPolicy(); undefined (after an
+ *   alert) when a window or percentage is invalid
+ */
+function readCancellationPolicy() {
+  if (!document.getElementById('useCancellationPolicy').checked) return null;
+  const policy = emptyCancellationPolicy();
+  for (const party of CANCELLATION_PARTIES) {
+    for (const type of ['private', 'group']) {
+      const read = (field) => {
+        const input = document.getElementById(`cancel-${party}-${type}-${field}`);
+        return input ? input.value.trim() : '0';
+      };
+      const [hours, payout, penalty] = ['window', 'payout', 'penalty'].map(read).map(Number);
+      if ([hours, payout, penalty].some((n) => isNaN(n) || n < 0) || payout > 100 || penalty > 100) {
+        alert(`Please check the cancellation policy for ${type} classes cancelled by the ${party}: ` +
+          'hours of 0 or more and percentages from 0 to 100.');
+        return undefined;
+      }
+      policy[party][type] = { window: hours, payout, penalty };
+    }
+  }
+  return policy;
+}
+
+document.getElementById('useCancellationPolicy').addEventListener('change', (e) => {
+  document.getElementById('cancellationPolicyWrapper').classList.toggle('hidden', !e.target.checked);
+});
+
+/* ----------------------- Hour Count: Group Pay Tiers ----------------------- */
+
+/*
+ * readGroupTiers
+ * ---------------
+ * The group pay tiers of the hour count, or null when they are off.
+ *
+ * @returns {{basis: string, tiers: Array<Object>}|null|undefined}
+ *   undefined (after an alert) when the tiers are invalid or empty
+ */
+function readGroupTiers() {
+  if (!document.getElementById('useGroupTiers').checked) return null;
+  let tiers;
+  try {
+    tiers = parseGroupTiers(document.getElementById('groupTiers').value);
+  } catch (e) {
+    alert(e.message);
+    return undefined;
+  }
+  if (!tiers.length) {
+    alert('Please enter the group pay tiers, or untick "Group pay tiers".');
+    return undefined;
+  }
+  return { basis: document.getElementById('groupTierBasis').value, tiers };
+}
+
+document.getElementById('useGroupTiers').addEventListener('change', (e) => {
+  document.getElementById('groupTiersWrapper').classList.toggle('hidden', !e.target.checked);
+});
+
+/* ----------------------- Hour Count: Pay Rates ----------------------- */
+
+/*
+ * readPayRates
+ * -------------
+ * The pay settings of the hour count, or null when pay is not calculated.
+ *
+ * @returns {{rates: Array<Object>, currency: string}|null|undefined}
+ *   undefined (after an alert) when the rate table is invalid or empty
+ */
+function readPayRates() {
+  if (!document.getElementById('calculatePay').checked) return null;
+  let rates;
+  try {
+    rates = parsePayRates(document.getElementById('payRates').value);
+  } catch (e) {
+    alert(e.message);
+    return undefined;
+  }
+  if (!rates.length) {
+    alert('Please add at least one pay rate, or untick "Calculate pay".');
+    return undefined;
+  }
+  return { rates, currency: document.getElementById('payCurrency').value };
+}
+
+document.getElementById('calculatePay').addEventListener('change', (e) => {
+  document.getElementById('payRatesWrapper').classList.toggle('hidden', !e.target.checked);
+});
+
+// A loaded file replaces the table in the text box, which is then saved with the settings
+document.getElementById('payRatesFile').addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+  const textarea = document.getElementById('payRates');
+  textarea.value = (await file.text()).replace(/^\uFEFF/, '');
+  textarea.dispatchEvent(new Event('change', { bubbles: true }));
+  e.target.value = '';
+});
+
 /* ----------------------- Generate Teacher Hour Count ----------------------- */
 
 document.getElementById('generateHourCountBtn').addEventListener('click', () => {
+  const reportData = getReportData();
+  if (!reportData) return;
+
   // 1) Gather settings from UI
   const settings = {
     tardinessLimit: +document.getElementById('tardinessLimit').value,
     penaliseTardiness: document.getElementById('penaliseTardiness').checked,
+    tardinessPolicy: document.getElementById('tardinessPolicy').value,
+    tardinessBands: readTardinessBands(),
     cancellationWindow: +document.getElementById('cancellationWindow').value,
     payLastMinuteCancellation: document.getElementById('payLastMinuteCancellation').checked,
     payStudentNoShow: document.getElementById('payStudentNoShow').checked,
     studentNoShowRate: +document.getElementById('studentNoShowRate').value, // percent
-    classTypeFilter: document.querySelector('input[name="classTypeFilter"]:checked').value
+    classTypeFilter: document.querySelector('input[name="classTypeFilter"]:checked').value,
+    payBasis: document.getElementById('payBasis').value,
+    durationRounding: {
+      step: +document.getElementById('durationRoundingStep').value,
+      mode: document.getElementById('durationRoundingMode').value
+    },
+    // Blank = no off-schedule flag
+    durationTolerance: document.getElementById('durationTolerance').value === ''
+      ? null
+      : +document.getElementById('durationTolerance').value,
+    cancellationPolicy: readCancellationPolicy(),
+    groupTiers: readGroupTiers(),
+    payRates: readPayRates()
   };
+  if ([settings.tardinessBands, settings.cancellationPolicy, settings.groupTiers, settings.payRates].includes(undefined)) return;
 
   // 2) Read which durations are checked
   const selectedDurations = Array.from(
@@ -1928,74 +1890,201 @@ document.getElementById('generateHourCountBtn').addEventListener('click', () =>
   ).map((el) => parseInt(el.value, 10));
 
   // 3) Filter processedData to only include classes whose duration (rounded minutes) is in selectedDurations
-  const filteredData = Object.fromEntries(
-    Object.entries(data)
-      .filter(([slug, cls]) => selectedDurations.includes(Math.round(cls.scheduledDuration / 60)))
-  );
+  const filteredData = filterClassesByDuration(reportData, selectedDurations);
 
-  // 4) Build CSV strings (detailed and simplified)
-  const detailedCsv = buildTeacherHourCountCSV(filteredData, settings, false);
+  // 4) Build CSV strings (detailed, simplified and the per-class line items behind them)
+  const cellSlugs = {};
+  const detailedCsv = buildTeacherHourCountCSV(filteredData, settings, false, cellSlugs);
   const simplifiedCsv = buildTeacherHourCountCSV(filteredData, settings, true);
+  const lineItemsCsv = buildHourCountLineItemsCSV(filteredData, settings);
 
-  // 5) Render detailed table onto the page
-  document.getElementById('hourCountTable').innerHTML = csvToTable(detailedCsv);
+  // 5) Render detailed table onto the page (numbers open the classes behind them)
+  renderDrillDownTable('hourCountTable', detailedCsv, cellSlugs);
 
   // 6) Wire up download buttons
   document.getElementById('downloadHourCountBtn').onclick = () =>
-    downloadCSV(detailedCsv, 'teacher-hour-count.csv');
+    downloadCSV(detailedCsv, reportFileName('teacher-hour-count.csv'));
   document.getElementById('downloadSimplifiedHourCountBtn').onclick = () =>
-    downloadCSV(simplifiedCsv, 'teacher-hour-count-simple.csv');
+    downloadCSV(simplifiedCsv, reportFileName('teacher-hour-count-simple.csv'));
+  document.getElementById('downloadHourCountLineItemsBtn').onclick = () =>
+    downloadCSV(lineItemsCsv, reportFileName('teacher-hour-count-line-items.csv'));
+
+  // 7) Statements are built on demand from the same data and settings
+  const scope = [activeDateRange && activeDateRange.label, describeFilters(readReportFilters())].filter(Boolean).join('; ');
+  document.getElementById('statementsSection').classList.add('hidden');
+  document.getElementById('generateStatementsBtn').onclick = () =>
+    showStatements(buildTeacherStatements(filteredData, settings, scope));
 
-  // 7) Show the report output panel
+  // 8) Show the report output panel
   show('hourCountReportOutput');
 });
 
+/* ----------------------- Hour Count: Teacher Statements ----------------------- */
+
+/*
+ * showStatements
+ * ---------------
+ * Lists the teachers' statements with a download each, and wires the buttons that
+ * download them all as one printable document or as one file per teacher.
+ *
+ * @param {Array<{teacher: string, html: string}>} statements - From buildTeacherStatements()
+ */
+function showStatements(statements) {
+  const downloadStatement = (s) =>
+    downloadHTML(statementDocument(`Statement: ${s.teacher}`, [s]), reportFileName(statementFileName(s.teacher)));
+
+  const list = document.getElementById('statementList');
+  list.innerHTML = '';
+  statements.forEach((s) => {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = '#';
+    link.textContent = s.teacher;
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      downloadStatement(s);
+    });
+    item.appendChild(link);
+    list.appendChild(item);
+  });
+
+  document.getElementById('downloadAllStatementsBtn').onclick = () =>
+    downloadHTML(statementDocument('Teacher statements', statements), reportFileName('teacher-statements.html'));
+  document.getElementById('downloadEachStatementBtn').onclick = () => statements.forEach(downloadStatement);
+  document.getElementById('statementsSection').classList.toggle('hidden', !statements.length);
+  if (!statements.length) alert('No teacher has classes in this hour count.');
+}
+
 
 /* ----------------------- Generate Teacher Report (Overview & Feedback) ----------------------- */
 
 document.getElementById('generateTeacherReportBtn').addEventListener('click', () => {
-  const privateCsv = buildTeacherPrivateClassesCSV(data);
-  const groupCsv   = buildTeacherGroupClassesCSV(data);
-  const feedbackCsv = buildTeacherFeedbackCSV(data);
-
-  document.getElementById('teacherPrivateTable').innerHTML = csvToTable(privateCsv);
-  document.getElementById('teacherGroupTable').innerHTML   = csvToTable(groupCsv);
+  const reportData = getReportData();
+  if (!reportData) return;
+  const comparison = getComparisonData();
+  if (comparison === undefined) return;
+
+  const privateSlugs = {};
+  const groupSlugs = {};
+  const privateCsv = buildTeacherPrivateClassesCSV(reportData, privateSlugs);
+  const groupCsv   = buildTeacherGroupClassesCSV(reportData, groupSlugs);
+  const feedbackCsv = buildTeacherFeedbackCSV(reportData);
+  const feedbackSummaryCsv = buildFeedbackSummaryCSV(reportData);
+  const flaggedFeedbackCsv = buildFlaggedFeedbackCSV(reportData);
+
+  renderDrillDownTable('teacherPrivateTable', privateCsv, privateSlugs);
+  renderDrillDownTable('teacherGroupTable', groupCsv, groupSlugs);
   document.getElementById('feedbackTable').innerHTML       = csvToTable(feedbackCsv);
+  document.getElementById('feedbackSummaryTable').innerHTML = csvToTable(feedbackSummaryCsv);
+  document.getElementById('flaggedFeedbackTable').innerHTML = csvToTable(flaggedFeedbackCsv);
 
   document.getElementById('downloadTeacherPrivateBtn').onclick = () => 
-    downloadCSV(privateCsv, 'teacher-private-classes.csv');
+    downloadCSV(privateCsv, reportFileName('teacher-private-classes.csv'));
   document.getElementById('downloadTeacherGroupBtn').onclick = () => 
-    downloadCSV(groupCsv,   'teacher-group-classes.csv');
+    downloadCSV(groupCsv,   reportFileName('teacher-group-classes.csv'));
   document.getElementById('downloadFeedbackBtn').onclick     = () => 
-    downloadCSV(feedbackCsv, 'teacher-feedback.csv');
+    downloadCSV(feedbackCsv, reportFileName('teacher-feedback.csv'));
+  document.getElementById('downloadFeedbackSummaryBtn').onclick = () =>
+    downloadCSV(feedbackSummaryCsv, reportFileName('teacher-feedback-summary.csv'));
+  document.getElementById('downloadFlaggedFeedbackBtn').onclick = () =>
+    downloadCSV(flaggedFeedbackCsv, reportFileName('teacher-feedback-flagged.csv'));
+
+  // In comparison mode the private and group tables show both datasets, flagged rows highlighted
+  if (comparison) {
+    const threshold = +document.getElementById('comparisonThreshold').value;
+    const { privateCsv: privateComparison, groupCsv: groupComparison } =
+      buildTeacherComparison(reportData, comparison.data, threshold);
+    renderComparisonTable('teacherPrivateTable', privateComparison);
+    renderComparisonTable('teacherGroupTable', groupComparison);
+    document.getElementById('downloadTeacherPrivateBtn').onclick = () =>
+      downloadCSV(privateComparison, reportFileName('teacher-private-classes-comparison.csv'));
+    document.getElementById('downloadTeacherGroupBtn').onclick = () =>
+      downloadCSV(groupComparison, reportFileName('teacher-group-classes-comparison.csv'));
+    showComparisonScope(document.getElementById('teacherReportOutput'), comparison.label);
+  }
+
+  // Scorecards of the same data, starting with the first teacher; the team they are
+  // compared with is everyone in the period, whatever the filters
+  scorecardData = reportData;
+  scorecardTeamData = filterDataByDateRange(data, activeDateRange);
+  scorecardScope = [activeDateRange && activeDateRange.label, describeFilters(readReportFilters())].filter(Boolean).join('; ');
+  const teachers = unique(Object.values(reportData).map((cls) => cls.teacher.username).filter(Boolean)).sort();
+  const select = document.getElementById('scorecardTeacherSelect');
+  select.innerHTML = '';
+  teachers.forEach((t) => select.appendChild(new Option(t, t)));
+  showScorecard(teachers[0]);
 
   show('teacherReportOutput');
 });
 
+/* ----------------------- Teacher Report: Scorecard ----------------------- */
+
+// Data, team (the period without filters) and period (with filters) of the last
+// Teacher Report, for its scorecards
+let scorecardData = null;
+let scorecardTeamData = null;
+let scorecardScope = '';
+
+/*
+ * showScorecard
+ * --------------
+ * Shows one teacher's scorecard under the Teacher Report and points the download
+ * button at it.
+ *
+ * @param {string} teacher - Username
+ */
+function showScorecard(teacher) {
+  const container = document.getElementById('scorecardContainer');
+  const card = teacher && buildTeacherScorecard(scorecardData, teacher, scorecardTeamData);
+  document.getElementById('scorecardTeacherSelect').value = teacher || '';
+  if (!card) {
+    container.textContent = teacher ? `${teacher} has no classes in this period.` : '';
+    document.getElementById('downloadScorecardBtn').onclick = null;
+    return;
+  }
+  const html = buildTeacherScorecardHTML(card, scorecardScope);
+  container.innerHTML = html;
+  document.getElementById('downloadScorecardBtn').onclick = () =>
+    downloadHTML(statementDocument(`Scorecard: ${teacher}`, [{ html }]), reportFileName(scorecardFileName(teacher)));
+}
+
+document.getElementById('scorecardTeacherSelect').addEventListener('change', (e) => showScorecard(e.target.value));
+
+// A teacher's name in the private or group table opens their scorecard
+document.getElementById('teacherReportOutput').addEventListener('click', (e) => {
+  const cell = e.target.closest('#teacherPrivateTable tbody tr > :first-child, #teacherGroupTable tbody tr > :first-child');
+  if (!cell) return;
+  showScorecard(cell.textContent.trim().replace(/^"|"$/g, ''));
+  document.getElementById('scorecardContainer').scrollIntoView({ behavior: 'smooth' });
+});
+
 
 /* ----------------------- Generate Course Report (Overview vs Detail) ----------------------- */
 
 document.getElementById('generateCourseReportBtn').addEventListener('click', () => {
+  const reportData = getReportData();
+  if (!reportData) return;
+
   const courseType = document.querySelector('input[name="courseType"]:checked').value;
   const selectedCourseId = document.getElementById('courseSelect').value;
 
   if (courseType === 'overview') {
     // Build overview of all courses
-    const allCoursesCsv = buildAllCoursesOverviewCSV(data);
+    const allCoursesCsv = buildAllCoursesOverviewCSV(reportData);
     document.getElementById('allCoursesTable').innerHTML = csvToTable(allCoursesCsv);
     document.getElementById('downloadAllCoursesBtn').onclick = () =>
-      downloadCSV(allCoursesCsv, 'courses-overview.csv');
+      downloadCSV(allCoursesCsv, reportFileName('courses-overview.csv'));
     showCourseReport('allCoursesOverviewReport');
 
   } else if (courseType === 'detail') {
     // Build detail for a specific course
-    const { infoCsv, classListCsv } = buildCourseDetailReport(data, selectedCourseId);
+    const { infoCsv, classListCsv } = buildCourseDetailReport(reportData, selectedCourseId);
     document.getElementById('courseInfoTable').innerHTML = csvToTable(infoCsv);
     document.getElementById('courseClassListTable').innerHTML = csvToTable(classListCsv);
     document.getElementById('downloadCourseInfoBtn').onclick = () =>
-      downloadCSV(infoCsv, 'course-info.csv');
+      downloadCSV(infoCsv, reportFileName('course-info.csv'));
     document.getElementById('downloadCourseClassListBtn').onclick = () =>
-      downloadCSV(classListCsv, 'course-classes.csv');
+      downloadCSV(classListCsv, reportFileName('course-classes.csv'));
 
     // clear the Fundae‐only table & button
     document.getElementById('studentOverviewTable').innerHTML = '';
@@ -2006,38 +2095,38 @@ document.getElementById('generateCourseReportBtn').addEventListener('click', ()
   } else if (courseType === 'fundae') {
      // Build detail + fundae for a specific course
     // 1) same course‐info + class‐list
-    const { infoCsv, classListCsv } = buildCourseDetailReport(data, selectedCourseId);
+    const { infoCsv, classListCsv } = buildCourseDetailReport(reportData, selectedCourseId);
     document.getElementById('courseInfoTable').innerHTML = csvToTable(infoCsv);
     document.getElementById('courseClassListTable').innerHTML = csvToTable(classListCsv);
     document.getElementById('downloadCourseInfoBtn').onclick = () =>
-      downloadCSV(infoCsv, 'course-info.csv');
+      downloadCSV(infoCsv, reportFileName('course-info.csv'));
     document.getElementById('downloadCourseClassListBtn').onclick = () =>
-      downloadCSV(classListCsv, 'course-classes.csv');
+      downloadCSV(classListCsv, reportFileName('course-classes.csv'));
 
     // 2) build & render the new student overview
-    const studentOverviewCsv = buildCourseStudentOverviewCSV(data, selectedCourseId);
+    const studentOverviewCsv = buildCourseStudentOverviewCSV(reportData, selectedCourseId);
     document.getElementById('studentOverviewTable').innerHTML = csvToTable(studentOverviewCsv);
     document.getElementById('downloadStudentOverviewBtn').onclick = () =>
-      downloadCSV(studentOverviewCsv, 'course-student-overview.csv');
+      downloadCSV(studentOverviewCsv, reportFileName('course-student-overview.csv'));
 
     showCourseReport('courseDetailedReport');
 
   } else if (courseType === 'anpal') {
     // ANPAL: like Fundae but with a custom class list (times + extra columns)
-    const { infoCsv, classListCsv } = buildCourseDetailReportANPAL(data, selectedCourseId);
+    const { infoCsv, classListCsv } = buildCourseDetailReportANPAL(reportData, selectedCourseId);
 
     document.getElementById('courseInfoTable').innerHTML = csvToTable(infoCsv);
     document.getElementById('courseClassListTable').innerHTML = csvToTable(classListCsv);
     document.getElementById('downloadCourseInfoBtn').onclick = () =>
-      downloadCSV(infoCsv, 'course-info.csv');
+      downloadCSV(infoCsv, reportFileName('course-info.csv'));
     document.getElementById('downloadCourseClassListBtn').onclick = () =>
-      downloadCSV(classListCsv, 'course-classes-anpal.csv');
+      downloadCSV(classListCsv, reportFileName('course-classes-anpal.csv'));
 
     // Keep the student overview (same as FUNDAE)
-    const studentOverviewCsv = buildCourseStudentOverviewCSV(data, selectedCourseId);
+    const studentOverviewCsv = buildCourseStudentOverviewCSV(reportData, selectedCourseId);
     document.getElementById('studentOverviewTable').innerHTML = csvToTable(studentOverviewCsv);
     document.getElementById('downloadStudentOverviewBtn').onclick = () =>
-      downloadCSV(studentOverviewCsv, 'course-student-overview.csv');
+      downloadCSV(studentOverviewCsv, reportFileName('course-student-overview.csv'));
 
     showCourseReport('courseDetailedReport');
   }
@@ -2103,17 +2192,24 @@ document.getElementById('addCustomStudentBtn').addEventListener('click', () => {
     const removeBtn = document.createElement('span');
     removeBtn.className = 'remove';
     removeBtn.textContent = '×';
-    removeBtn.onclick = () => tag.remove();
+    removeBtn.onclick = () => {
+      tag.remove();
+      saveSessionSettings();
+    };
     tag.appendChild(removeBtn);
 
     tagContainer.appendChild(tag);
   });
 
   input.value = '';
+  saveSessionSettings();
 });
 
 
 document.getElementById('generateStudentReportBtn').addEventListener('click', () => {
+  const reportData = getReportData();
+  if (!reportData) return;
+
   // 1) Read cancellationWindow & selected company
   const cancellationWindow = +document.getElementById('studentCancellationWindow').value;
   const companyId = document.getElementById('companySelect').value;
@@ -2129,17 +2225,18 @@ document.getElementById('generateStudentReportBtn').addEventListener('click', ()
   }
 
   // 4) Build the CSV using buildStudentReport()
-  const csv = buildStudentReport(data, {
+  const cellSlugs = {};
+  const csv = buildStudentReport(reportData, {
     cancellationWindow,
     companyId,
     filterMode,
     customList
-  });
+  }, cellSlugs);
 
-  // 5) Render the resulting CSV as an HTML table and wire download button
-  document.getElementById('studentReportTable').innerHTML = csvToTable(csv);
+  // 5) Render the resulting CSV as an HTML table (numbers open the classes behind them)
+  renderDrillDownTable('studentReportTable', csv, cellSlugs);
   document.getElementById('downloadStudentReportBtn').onclick = () =>
-    downloadCSV(csv, 'student-report.csv');
+    downloadCSV(csv, reportFileName('student-report.csv'));
 
   show('studentReportOutput');
 });
@@ -2147,79 +2244,6 @@ document.getElementById('generateStudentReportBtn').addEventListener('click', ()
 
 /* ----------------------- Generate Class List Report ----------------------- */
 
-// Helper to format date/time
-function formatDateTime(ts) {
-  const dt = new Date(ts.replace(' ', 'T'));
-  return {
-    date: dt.toLocaleDateString(),
-    time: dt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
-  };
-}
-
-// Helper to build "by student" CSV
-function buildClassListByStudentTable(data) {
-  const header = [
-    'Date','Time','Scheduled Duration','Actual Duration','Status','Company',
-    'Subject','Level','Description','Class Slug','Group Class',
-    'Student Username','Student Name','Student Attended','Student Tardiness',
-    'Class Feedback','Class Rating',
-    'Teacher Username','Teacher Name','Teacher Attended','Teacher Tardiness','Teacher Summary'
-  ];
-  const rows = [ header.join(',') ];
-
-  Object.values(data).forEach(cls => {
-    const { teacher } = cls;
-    const teacherName = (teacher.firstName ? teacher.firstName : '') + ' ' + (teacher.lastName ? teacher.lastName : '');
-    const teacherUsername = teacher.username || '';
-    const teacherAttended = teacher.attended ? 'true' : '';
-    const teacherTardiness = teacher.tardiness ? (teacher.tardiness/60).toString() : '';
-    const teacherSummary = cls.teacherSummary || '';
-    const isGroup = (cls.available_seats && cls.available_seats > 1) ? 'true' : 'false';
-
-    const dt = new Date(cls.scheduledStart.replace(' ', 'T'));
-    const date = dt.toLocaleDateString();
-    const time = dt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-    const status = (cls.cancelledByStudent || cls.cancelledByTeacher || cls.cancelledByAdmin)
-                    ? 'cancelled' : 'completed';
-
-    (cls.students || []).forEach(student => {
-      const studentName = (student.firstName ? student.firstName : '') + ' ' + (student.lastName ? student.lastName : '');
-      const studentUsername = student.username || '';
-      const studentAttended = student.attended ? 'true' : '';
-      const studentTardiness = student.tardiness ? (student.tardiness/60).toString() : '';
-      const feedback = student.feedback ? student.feedback.replace(/\"/g,'""') : '';
-      const rating = student.rating || '';
-
-      rows.push([
-        date,
-        time,
-        (cls.scheduledDuration/60).toString(),
-        (cls.actualDuration/60).toString(),
-        status,
-        cls.company,
-        cls.subject,
-        cls.level,
-        `"${cls.description}"`,
-        cls.slug,
-        isGroup,
-        studentUsername,
-        studentName,
-        studentAttended,
-        studentTardiness,
-        `"${feedback}"`,
-        rating,
-        teacherUsername,
-        teacherName,
-        teacherAttended,
-        teacherTardiness,
-        `"${teacherSummary}"`
-      ].join(','));
-    });
-  });
-
-  return rows.join('\n');
-}
-
 // 1. Toggle setup (OUTSIDE your generate handler)
   let classListMode = 'by_class';
 
@@ -2236,112 +2260,18 @@ function buildClassListByStudentTable(data) {
 
   // 2. Main handler
   document.getElementById('generateClassListBtn').addEventListener('click', () => {
-    const mode = classListMode;
+    const reportData = getReportData();
+    if (!reportData) return;
 
+    const mode = classListMode;
+    // Class times can be shown in another zone than the other reports (teacher's or student's own)
+    const timeZone = document.getElementById('classListTimeZone').value || timeSettings.displayTimeZone;
 
-  // Prepare filtered lists
-  const privateClasses = Object.values(data).filter(cls => cls.available_seats === 1);
-  const groupClasses = Object.values(data).filter(cls => cls.available_seats > 1);
 
-  // Build Private Classes CSV
-  const privateHeader = [
-    'Date','Time','Scheduled Duration','Actual Duration','Status','Company',
-    'Subject','Level','description','Class Slug','Teacher Username','Teacher Name','Teacher Attended',
-    'Teacher Tardiness','teacher summary','Student Username','Student Name','Student Attended',
-    'Student Tardiness','class feedback','class rating'
-  ];
-  const privateRows = [ privateHeader.join(',') ];
-  privateClasses.forEach(cls => {
-    cls.students.forEach(student => {
-      const { date, time } = formatDateTime(cls.scheduledStart);
-      const status = (cls.cancelledByStudent || cls.cancelledByTeacher || cls.cancelledByAdmin)
-                     ? 'cancelled' : 'completed';
-      const teacherAttended = cls.teacher.attended ? 'true' : '';
-      const studentAttended = student.attended ? 'true' : '';
-      privateRows.push([
-        date,
-        time,
-        (cls.scheduledDuration/60).toString(),
-        (cls.actualDuration/60).toString(),
-        status,
-        cls.company,
-        cls.subject,
-        cls.level,
-        `"${cls.description}"`,
-        cls.slug,
-        cls.teacher.username,
-        (cls.teacher.firstName ? cls.teacher.firstName : '') + ' ' + (cls.teacher.lastName ? cls.teacher.lastName : ''),
-        teacherAttended,
-        cls.teacher.tardiness ? (cls.teacher.tardiness/60).toString() : '',
-        `"${cls.teacherSummary}"`,
-        student.username,
-        (student.firstName ? student.firstName : '') + ' ' + (student.lastName ? student.lastName : ''),
-        studentAttended,
-        student.tardiness ? (student.tardiness/60).toString() : '',
-        `"${student.feedback ? student.feedback.replace(/\"/g,'""') : ''}"`,
-        student.rating
-      ].join(','));
-    });
-  });
-  const privateCsv = privateRows.join('\n');
-
-  // Build Group Classes CSV
-  const groupHeader = [
-    'Date','Time','Scheduled Duration','Actual Duration','Status','Company',
-    'Subject','Level','description','Class Slug','Teacher Username','Teacher Name','Teacher Attended',
-    'Teacher Tardiness','teacher summary','Seats','Students Enrolled',
-    'Students Attended','Student Usernames','class feedback','class rating'
-  ];
-  const groupRows = [ groupHeader.join(',') ];
-  groupClasses.forEach(cls => {
-    const { date, time } = formatDateTime(cls.scheduledStart);
-    const status = (cls.cancelledByStudent || cls.cancelledByTeacher || cls.cancelledByAdmin)
-                   ? 'cancelled' : 'completed';
-    const seats = cls.available_seats;
-    const studentsEnrolled = cls.students.length;
-    const studentsAttended = cls.students.filter(s => s.attended).length;
-    const studentNames = cls.students.map(s => s.username).join('; ');
-    const allFeedback = cls.students
-      .map(s => (s.feedback || '').trim())
-      .filter(f => f)
-      .map(f => f.replace(/\"/g,'""'))
-      .map(f => `"${f}"`)
-      .join(' | ');
-    const ratingsArr = cls.students
-      .map(s => parseFloat(s.rating))
-      .filter(r => !isNaN(r));
-    const avgRating = ratingsArr.length
-      ? (ratingsArr.reduce((sum, r) => sum + r, 0) / ratingsArr.length).toFixed(2)
-      : '';
-    const teacherAttended = cls.teacher.attended ? 'true' : '';
-    groupRows.push([
-      date,
-      time,
-      (cls.scheduledDuration/60).toString(),
-      (cls.actualDuration/60).toString(),
-      status,
-      cls.company,
-      cls.subject,
-      cls.level,
-      `"${cls.description}"`,
-      cls.slug,
-      cls.teacher.username,
-      (cls.teacher.firstName ? cls.teacher.firstName : '') + ' ' + (cls.teacher.lastName ? cls.teacher.lastName : ''),
-      teacherAttended,
-      cls.teacher.tardiness ? (cls.teacher.tardiness/60).toString() : '',
-      `"${cls.teacherSummary}"`,
-      seats,
-      studentsEnrolled,
-      studentsAttended,
-      `"${studentNames}"`,
-      allFeedback,
-      avgRating
-    ].join(','));
-  });
-  const groupCsv = groupRows.join('\n');
+  const { privateCsv, groupCsv } = buildClassListCSVs(reportData, timeZone);
 
   // BY STUDENT TABLE
-  const byStudentCsv = buildClassListByStudentTable(data);
+  const byStudentCsv = buildClassListByStudentTable(reportData, timeZone);
 
   // ---- Render the right tables according to mode ----
 
@@ -2368,19 +2298,71 @@ function buildClassListByStudentTable(data) {
 
   // Download buttons
   document.getElementById('downloadPrivateClassListBtn').onclick = () =>
-    downloadCSV(privateCsv, 'class-list-private.csv');
+    downloadCSV(privateCsv, reportFileName('class-list-private.csv'));
   document.getElementById('downloadGroupClassListBtn').onclick = () =>
-    downloadCSV(groupCsv,   'class-list-group.csv');
+    downloadCSV(groupCsv,   reportFileName('class-list-group.csv'));
   const byStudentBtn = document.getElementById('downloadByStudentClassListBtn');
   if (byStudentBtn) {
     byStudentBtn.onclick = () =>
-      downloadCSV(byStudentCsv, 'class-list-by-student.csv');
+      downloadCSV(byStudentCsv, reportFileName('class-list-by-student.csv'));
   }
 
   // Show result panel
   show('classListReportOutput');
 });
 
+/* ----------------------- Generate Reliability Alerts ----------------------- */
+
+// Threshold field of each rule in RELIABILITY_RULES
+const RELIABILITY_THRESHOLD_FIELDS = {
+  'no-shows': 'alertNoShows',
+  cancellations: 'alertCancellations',
+  'late-cancellations': 'alertLateCancellations',
+  tardiness: 'alertTardiness',
+  rating: 'alertRating'
+};
+
+/*
+ * readReliabilityThresholds
+ * --------------------------
+ * @returns {Object<string, number>|undefined} As parseReliabilityThresholds() returns;
+ *   empty fields are left out (rule off); undefined after alerting about a bad value
+ */
+function readReliabilityThresholds() {
+  const thresholds = {};
+  for (const rule of RELIABILITY_RULES) {
+    const value = document.getElementById(RELIABILITY_THRESHOLD_FIELDS[rule.name]).value.trim();
+    if (value === '') continue;
+    if (isNaN(Number(value)) || Number(value) < 0) {
+      alert(`Please enter a threshold of 0 or more for ${rule.column}, or leave it empty.`);
+      return undefined;
+    }
+    thresholds[rule.name] = Number(value);
+  }
+  return thresholds;
+}
+
+document.getElementById('generateReliabilityAlertsBtn').addEventListener('click', () => {
+  const reportData = getReportData();
+  if (!reportData) return;
+  const thresholds = readReliabilityThresholds();
+  if (!thresholds) return;
+  const cancellationWindow = +document.getElementById('alertCancellationWindow').value;
+
+  const cellSlugs = {};
+  const alertsCsv = buildReliabilityAlertsCSV(reportData, thresholds, cancellationWindow, cellSlugs);
+  const classesCsv = buildReliabilityAlertClassesCSV(reportData, thresholds, cancellationWindow);
+  renderDrillDownTable('reliabilityAlertsTable', alertsCsv, cellSlugs);
+  document.getElementById('reliabilityAlertClassesTable').innerHTML = csvToTable(classesCsv);
+
+  document.getElementById('downloadReliabilityAlertsBtn').onclick = () =>
+    downloadCSV(alertsCsv, reportFileName('reliability-alerts.csv'));
+  document.getElementById('downloadReliabilityAlertClassesBtn').onclick = () =>
+    downloadCSV(classesCsv, reportFileName('reliability-alert-classes.csv'));
+
+  show('reliabilityAlertsOutput');
+});
+
 
 
 
@@ -2391,27 +2373,30 @@ function buildClassListByStudentTable(data) {
  * csvToTable
  * -----------
  * Converts a CSV string into an HTML <table> string. Assumes the first line is header.
- * Wraps first column of each row in <th>.
+ * Wraps first column of each row in <th>. Cells with classes behind them in
+ * `cellSlugs` get the "drill" class (see showDrillDown()).
  *
  * @param {string} csv - CSV data (newline-separated rows, comma-separated columns).
+ * @param {Object} [cellSlugs] - From the report builder (see addCellSlugs())
  * @returns {string} HTML string containing the <table> representation.
  */
-function csvToTable(csv) {
+function csvToTable(csv, cellSlugs) {
   const rows = csv.trim().split('\n');
+  const headers = splitCSVLine(rows[0]);
   // Build header row
   let html = '<table><thead><tr>' +
-    rows[0].split(',').map((c) =>
-      `<th>${c.replace(/^"|"$/g, '')}</th>`
-    ).join('') +
+    headers.map((c) => `<th>${c}</th>`).join('') +
     '</tr></thead><tbody>';
 
   // Build body rows
   for (let i = 1; i < rows.length; i++) {
-    const cols = rows[i].split(',');
-    html += '<tr>' + cols.map((c, j) => {
-      const cellText = c.replace(/^"|"$/g, '');
-      return j === 0
-        ? `<th>${cellText}</th>`
+    const cols = splitCSVLine(rows[i]);
+    const rowSlugs = cellSlugs && cellSlugs[cols[0]];
+    html += '<tr>' + cols.map((cellText, j) => {
+      if (j === 0) return `<th>${cellText}</th>`;
+      const slugs = rowSlugs && rowSlugs[headers[j]];
+      return slugs && slugs.length
+        ? `<td class="drill" title="Show the ${slugs.length} class(es)">${cellText}</td>`
         : `<td>${cellText}</td>`;
     }).join('') + '</tr>';
   }
@@ -2420,6 +2405,24 @@ function csvToTable(csv) {
   return html;
 }
 
+/*
+ * downloadHTML
+ * -------------
+ * Triggers download of an HTML document as a file with the given filename.
+ *
+ * @param {string} html - Full HTML document
+ * @param {string} filename - Name of the downloaded file
+ */
+function downloadHTML(html, filename) {
+  const blob = new Blob([html], { type: 'text/html' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
 /*
  * downloadCSV
  * ------------
@@ -0,0 +1,1150 @@
+/*******************************************************************************
+ * processing.js
+ *
+ * Helpers and data processing shared by the page (main.js) and the background
+ * worker (worker.js): parsing the exports, column mapping, building the class
+ * map, data quality diagnostics and merging several exports.
+ * Nothing in this file touches the DOM, so it can run off the main thread.
+ ******************************************************************************/
+
+/* =============================================================================
+   ============================ 1. HELPER FUNCTIONS =============================
+   =============================================================================
+*/
+
+/*
+ * parseCSVFile
+ * --------------
+ * Parses a CSV File object using PapaParse and returns a Promise that resolves
+ * to the header row and the remaining data rows (empty lines skipped).
+ * Column positions are not interpreted here; see detectColumns() / mapRows().
+ *
+ * @param {File} file - The CSV file input from an <input type="file"> element.
+ * @param {function(number)} [onProgress] - Called with the fraction (0–1) of the file read so far.
+ * @returns {Promise<{headers: Array<string>, rows: Array<Array<string>>}>}
+ */
+function parseCSVFile(file, onProgress) {
+  return new Promise((resolve, reject) => {
+    const all = [];
+    Papa.parse(file, {
+      skipEmptyLines: true,
+      // Read in chunks so large files can report progress
+      chunk: (r) => {
+        r.data.forEach((row) => all.push(row));
+        if (onProgress && file.size) onProgress(Math.min(r.meta.cursor / file.size, 1));
+      },
+      complete: () => {
+        // The first row holds the column names
+        const [headers = [], ...rows] = all;
+        resolve({ headers: headers.map((h) => String(h).trim()), rows });
+      },
+      error: reject
+    });
+  });
+}
+
+// SheetJS build loaded by index.html, and on demand by worker.js
+const XLSX_URL = 'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js';
+
+/*
+ * isWorkbookFile
+ * ---------------
+ * True for Excel workbooks (.xlsx), which are read with SheetJS instead of PapaParse.
+ *
+ * @param {File} file
+ * @returns {boolean}
+ */
+function isWorkbookFile(file) {
+  return /\.xlsx$/i.test((file && file.name) || '');
+}
+
+/*
+ * readWorkbookSheetNames
+ * -----------------------
+ * Lists the sheets of a workbook without parsing their cells.
+ *
+ * @param {File} file
+ * @returns {Promise<Array<string>>}
+ */
+async function readWorkbookSheetNames(file) {
+  loadWorkbookReader();
+  const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', bookSheets: true });
+  return workbook.SheetNames;
+}
+
+/*
+ * parseWorkbookFile
+ * ------------------
+ * Reads one sheet of an .xlsx workbook into the same {headers, rows} shape as
+ * parseCSVFile(). Every cell becomes the string the CSV export would have held;
+ * see excelCellToString(). Empty rows are kept as [''] so data row N is still
+ * sheet row N + 1 (mapRows() skips them).
+ *
+ * @param {File} file
+ * @param {string} [sheetName] - Defaults to the first sheet
+ * @param {function(number)} [onProgress]
+ * @returns {Promise<{headers: Array<string>, rows: Array<Array<string>>}>}
+ */
+async function parseWorkbookFile(file, sheetName, onProgress) {
+  loadWorkbookReader();
+  const buffer = await file.arrayBuffer();
+  if (onProgress) onProgress(0.3);
+
+  // cellNF keeps each cell's number format, which is how date serials are recognised
+  const workbook = XLSX.read(buffer, { type: 'array', cellNF: true });
+  const sheet = workbook.Sheets[sheetName || workbook.SheetNames[0]];
+  if (!sheet) throw new Error(`Sheet "${sheetName}" not found in ${file.name}`);
+  const date1904 = Boolean(workbook.Workbook && workbook.Workbook.WBProps && workbook.Workbook.WBProps.date1904);
+  if (onProgress) onProgress(0.7);
+
+  const all = [];
+  if (sheet['!ref']) {
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    for (let r = range.s.r; r <= range.e.r; r++) {
+      const row = [];
+      for (let c = range.s.c; c <= range.e.c; c++) {
+        row.push(excelCellToString(sheet[XLSX.utils.encode_cell({ r, c })], date1904));
+      }
+      all.push(row.some((v) => v !== '') ? row : ['']);
+    }
+  }
+  if (onProgress) onProgress(1);
+
+  const [headers = [], ...rows] = all;
+  return { headers: headers.map((h) => String(h).trim()), rows };
+}
+
+/*
+ * readFileHeaders
+ * ----------------
+ * Reads only the header row of a CSV or .xlsx export, e.g. to work out which
+ * export a dropped file is before it is parsed in full.
+ *
+ * @param {File} file
+ * @param {string} [sheetName] - Workbooks only; defaults to the first sheet
+ * @returns {Promise<Array<string>>}
+ */
+async function readFileHeaders(file, sheetName) {
+  if (isWorkbookFile(file)) {
+    loadWorkbookReader();
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', sheetRows: 1 });
+    const sheet = workbook.Sheets[sheetName || workbook.SheetNames[0]];
+    const [headers = []] = sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' }) : [];
+    return headers.map((h) => String(h).trim());
+  }
+  return new Promise((resolve, reject) => {
+    Papa.parse(file, {
+      preview: 1,
+      complete: (r) => resolve((r.data[0] || []).map((h) => String(h).trim())),
+      error: reject
+    });
+  });
+}
+
+/*
+ * loadWorkbookReader
+ * -------------------
+ * Makes sure SheetJS is available; inside the worker it is only fetched the first
+ * time a workbook is uploaded.
+ */
+function loadWorkbookReader() {
+  if (typeof XLSX === 'undefined' && typeof importScripts === 'function') {
+    importScripts(XLSX_URL);
+  }
+}
+
+/*
+ * excelCellToString
+ * ------------------
+ * Converts a SheetJS cell to the text processData() expects:
+ *   - date-formatted numbers (Excel date serials) → "YYYY-MM-DD HH:MM:SS"
+ *   - booleans → 'true' / 'false' (as parseBoolean() reads them)
+ *   - text timestamps in common Excel layouts → "YYYY-MM-DD HH:MM:SS"
+ *   - other numbers → their raw value, without Excel's display formatting
+ *
+ * @param {Object} cell      - SheetJS cell object ({t, v, z, w}) or undefined
+ * @param {boolean} date1904 - Workbook uses the 1904 date system
+ * @returns {string}
+ */
+function excelCellToString(cell, date1904) {
+  if (!cell || cell.v === undefined || cell.v === null) return '';
+  switch (cell.t) {
+    case 'b':
+      return cell.v ? 'true' : 'false';
+    case 'e':
+      return '';
+    case 'n':
+      return cell.z && XLSX.SSF.is_date(cell.z)
+        ? excelSerialToTimestamp(cell.v, date1904)
+        : String(cell.v);
+    case 'd':
+      return excelSerialToTimestamp(
+        (cell.v.getTime() - cell.v.getTimezoneOffset() * 60000) / 86400000 + 25569,
+        false
+      );
+    default:
+      return normaliseExcelTimestamp(String(cell.v));
+  }
+}
+
+/*
+ * excelSerialToTimestamp
+ * -----------------------
+ * Excel stores date-times as days since 1899-12-30 (or 1904-01-01) with no time
+ * zone, so the serial is turned into wall-clock text directly, to the second.
+ *
+ * @param {number} serial
+ * @param {boolean} date1904
+ * @returns {string} "YYYY-MM-DD HH:MM:SS"
+ */
+function excelSerialToTimestamp(serial, date1904) {
+  const days = serial + (date1904 ? 1462 : 0) - 25569; // 25569 = serial of 1970-01-01
+  const dt = new Date(Math.round(days * 86400) * 1000);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${dt.getUTCFullYear()}-${pad(dt.getUTCMonth() + 1)}-${pad(dt.getUTCDate())} ` +
+    `${pad(dt.getUTCHours())}:${pad(dt.getUTCMinutes())}:${pad(dt.getUTCSeconds())}`;
+}
+
+/*
+ * normaliseExcelTimestamp
+ * ------------------------
+ * Rewrites timestamps stored as text in Excel's usual layouts into
+ * "YYYY-MM-DD HH:MM:SS"; anything else is returned unchanged.
+ *   - "2023-1-5 9:00", "2023-01-05T09:00:00.000"
+ *   - "05/01/2023 09:00", "5.1.2023 9:00:00", "25/1/2023 9:00 PM" (day first: the
+ *     default, and always when the first number is over 12)
+ *   - "1/25/2023 9:00", "1/5/2023 9:00 AM" (month first only when the second number
+ *     is over 12, or when both could be a month and the time has AM/PM)
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function normaliseExcelTimestamp(value) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const build = (y, mo, d, h, mi, sec, ampm) => {
+    let hour = parseInt(h, 10);
+    if (ampm) hour = (hour % 12) + (/pm/i.test(ampm) ? 12 : 0);
+    return `${y}-${pad(mo)}-${pad(d)} ${pad(hour)}:${pad(mi)}:${pad(sec || 0)}`;
+  };
+  const trimmed = value.trim();
+
+  let m = /^(\d{4})-(\d{1,2})-(\d{1,2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?$/.exec(trimmed);
+  if (m) return build(m[1], m[2], m[3], m[4], m[5], m[6]);
+
+  m = /^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{4})[ ,T]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?$/i.exec(trimmed);
+  if (m) {
+    const a = parseInt(m[1], 10);
+    const b = parseInt(m[2], 10);
+    const monthFirst = b > 12 || (a <= 12 && Boolean(m[7]));
+    return monthFirst
+      ? build(m[3], a, b, m[4], m[5], m[6], m[7])
+      : build(m[3], b, a, m[4], m[5], m[6], m[7]);
+  }
+  return value;
+}
+
+/*
+ * parseBoolean
+ * -------------
+ * Safely parse a string value into a boolean. Considers only 'true' (case-insensitive)
+ * as true; anything else returns false.
+ *
+ * @param {string} v - The input string to parse.
+ * @returns {boolean}
+ */
+function parseBoolean(v) {
+  return v?.trim().toLowerCase() === 'true';
+}
+
+/*
+ * timeSettings
+ * -------------
+ * Time zones used to read and display the exports' "YYYY-MM-DD HH:MM:SS" timestamps.
+ *   - sourceTimeZone:  zone the LearnCube export was written in (e.g. 'UTC')
+ *   - displayTimeZone: zone dates and times are shown in on every report
+ * An empty string means the browser's own zone, which is how timestamps were
+ * always read before these settings existed.
+ */
+const timeSettings = {
+  sourceTimeZone: '',
+  displayTimeZone: ''
+};
+
+// Intl.DateTimeFormat instances are expensive to create; keep one per zone
+const zoneFormatters = {};
+
+/*
+ * zonedParts
+ * -----------
+ * Wall-clock parts of an instant in the given zone ('' = browser zone).
+ *
+ * @param {number} ms       - Epoch milliseconds
+ * @param {string} timeZone - IANA zone name, or '' for the browser zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function zonedParts(ms, timeZone) {
+  if (!zoneFormatters[timeZone]) {
+    zoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+  }
+  const parts = {};
+  zoneFormatters[timeZone].formatToParts(new Date(ms)).forEach((p) => {
+    if (p.type !== 'literal') parts[p.type] = parseInt(p.value, 10);
+  });
+  return parts;
+}
+
+/*
+ * parseTimestamp
+ * ---------------
+ * Reads a "YYYY-MM-DD HH:MM:SS" wall-clock timestamp written in `timeZone` and
+ * returns epoch milliseconds (NaN if it cannot be read). Going through the zone's
+ * real UTC offset keeps intervals right across DST changes.
+ *
+ * @param {string} ts
+ * @param {string} [timeZone=timeSettings.sourceTimeZone]
+ * @returns {number}
+ */
+function parseTimestamp(ts, timeZone = timeSettings.sourceTimeZone) {
+  if (!ts) return NaN;
+  const m = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(String(ts).trim());
+  // Browser zone, or a string carrying its own offset: let Date read it as before
+  if (!timeZone || !m) return new Date(String(ts).replace(' ', 'T')).getTime();
+
+  const wallAsUtc = Date.UTC(+m[1], m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0));
+  const offsetAt = (ms) => {
+    const p = zonedParts(ms, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - ms;
+  };
+  // Guess with the offset at the wall time, then correct once if DST moved it
+  let ms = wallAsUtc - offsetAt(wallAsUtc);
+  const corrected = wallAsUtc - offsetAt(ms);
+  if (corrected !== ms) ms = corrected;
+  return ms;
+}
+
+/*
+ * timestampToDate
+ * ----------------
+ * parseTimestamp() as a Date object, for sorting and interval arithmetic.
+ *
+ * @param {string} ts
+ * @returns {Date}
+ */
+function timestampToDate(ts) {
+  return new Date(parseTimestamp(ts));
+}
+
+/*
+ * timestampDiff
+ * --------------
+ * Computes the difference between two timestamp strings (format: "YYYY-MM-DD HH:MM:SS",
+ * read in timeSettings.sourceTimeZone) returning the difference in seconds (rounded).
+ * If either timestamp is missing, returns 0.
+ *
+ * @param {string} a - The earlier timestamp string.
+ * @param {string} b - The later timestamp string.
+ * @returns {number} Difference in seconds (b - a).
+ */
+function timestampDiff(a, b) {
+  if (!a || !b) return 0;
+  return Math.round((parseTimestamp(b) - parseTimestamp(a)) / 1000);
+}
+
+/*
+ * formatDateTime
+ * ---------------
+ * Formats a source timestamp as a localised date and HH:MM time in the given zone.
+ *
+ * @param {string} ts
+ * @param {string} [timeZone=timeSettings.displayTimeZone] - '' = browser zone
+ * @param {number} [addSeconds=0] - Offset added before formatting (e.g. a duration to get an end time)
+ * @returns {{date: string, time: string}}
+ */
+function formatDateTime(ts, timeZone = timeSettings.displayTimeZone, addSeconds = 0) {
+  const dt = new Date(parseTimestamp(ts) + (addSeconds || 0) * 1000);
+  const zone = timeZone || undefined;
+  return {
+    date: dt.toLocaleDateString(undefined, { timeZone: zone }),
+    time: dt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone: zone })
+  };
+}
+
+/*
+ * toDisplayTimestamp
+ * -------------------
+ * Re-expresses a source timestamp as "YYYY-MM-DD HH:MM:SS" in the display zone.
+ * Returned unchanged when neither zone is set, or when it cannot be parsed.
+ *
+ * @param {string} ts
+ * @returns {string}
+ */
+function toDisplayTimestamp(ts) {
+  if (!ts || (!timeSettings.sourceTimeZone && !timeSettings.displayTimeZone)) return ts;
+  const ms = parseTimestamp(ts);
+  if (isNaN(ms)) return ts;
+  const p = zonedParts(ms, timeSettings.displayTimeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+/*
+ * clampTardiness
+ * ----------------
+ * Clamps a raw tardiness value (in seconds) between a minimum (-3600) and a maximum (d).
+ * Used to prevent extreme negative or overly large tardiness values.
+ *
+ * @param {number} raw - Raw tardiness in seconds (could be negative if student/teacher arrived early).
+ * @param {number} d   - The maximum allowed tardiness (usually the scheduled duration in seconds).
+ * @returns {number} A value between -3600 and d.
+ */
+function clampTardiness(raw, d) {
+  const MIN = -3600; // Prevent more than 1 hour early
+  const MAX = d;     // Cannot be later than the class duration itself
+  if (raw < MIN) return MIN;
+  if (raw > MAX) return MAX;
+  return raw;
+}
+
+/*
+ * unique
+ * -------
+ * Returns a new array containing only the unique elements of the input array.
+ *
+ * @param {Array<any>} arr
+ * @returns {Array<any>}
+ */
+function unique(arr) {
+  return [...new Set(arr)];
+}
+
+
+/* =============================================================================
+   ========================= 2. DATA PROCESSING FUNCTION ========================
+   =============================================================================
+*/
+
+/* -----------------------------------------------------------------------------
+   2.1 Column Mapping
+   ----------------------------------------------------------------------------- */
+
+/*
+ * CLASS_COLUMNS / PARTICIPANT_COLUMNS
+ * ------------------------------------
+ * The fields processData() reads from each export. Columns are resolved by header
+ * name (any of `aliases`, compared after normaliseHeader()), so added or reordered
+ * columns in a LearnCube export no longer shift every field. `position` is where
+ * the column used to sit and is only offered as a guess on the mapping screen.
+ */
+const CLASS_COLUMNS = [
+  { key: 'scheduledStart', label: 'Scheduled start', position: 0, required: true,
+    aliases: ['scheduled_start', 'start', 'start_time', 'start_date', 'class_start'] },
+  { key: 'scheduledEnd', label: 'Scheduled end', position: 1, required: true,
+    aliases: ['scheduled_end', 'end', 'end_time', 'end_date', 'class_end'] },
+  { key: 'actualDuration', label: 'Actual duration (min)', position: 4,
+    aliases: ['actual_duration', 'actual_duration_minutes', 'actual_minutes', 'duration_actual'] },
+  { key: 'company', label: 'Company', position: 5,
+    aliases: ['company', 'company_id', 'company_name', 'organisation', 'organization'] },
+  { key: 'slug', label: 'Class slug', position: 6, required: true,
+    aliases: ['slug', 'class_slug', 'class_id', 'room_slug'] },
+  { key: 'description', label: 'Description', position: 9,
+    aliases: ['description', 'class_description', 'title', 'name'] },
+  { key: 'availableSeats', label: 'Available seats', position: 10, required: true,
+    aliases: ['available_seats', 'seats', 'max_participants', 'capacity'] },
+  { key: 'subject', label: 'Subject', position: 11, aliases: ['subject'] },
+  { key: 'level', label: 'Level', position: 12, aliases: ['level'] },
+  { key: 'teacherSummary', label: 'Teacher summary', position: 14,
+    aliases: ['teacher_summary', 'summary', 'class_summary', 'lesson_summary'] },
+  { key: 'cancelledBy', label: 'Cancelled by', position: 22,
+    aliases: ['cancelled_by', 'canceled_by', 'cancellation_by'] },
+  { key: 'cancelledTime', label: 'Cancelled time', position: 23,
+    aliases: ['cancelled_time', 'cancelled_at', 'canceled_at', 'cancellation_time', 'cancelled_date'] },
+  { key: 'courseId', label: 'Course ID', position: 29, aliases: ['course_id', 'course', 'course_slug'] }
+];
+
+const PARTICIPANT_COLUMNS = [
+  { key: 'classSlug', label: 'Class slug', position: 2, required: true,
+    aliases: ['class_slug', 'slug', 'class', 'class_id', 'room_slug'] },
+  { key: 'scheduledStart', label: 'Scheduled start', position: 3,
+    aliases: ['scheduled_start', 'class_start', 'start', 'start_time'] },
+  { key: 'username', label: 'Username', position: 4, required: true,
+    aliases: ['username', 'user_name', 'user', 'user_id', 'email'] },
+  { key: 'firstName', label: 'First name', position: 5, aliases: ['first_name', 'firstname', 'name'] },
+  { key: 'lastName', label: 'Last name', position: 6, aliases: ['last_name', 'lastname', 'surname'] },
+  { key: 'isTeacher', label: 'Is teacher', position: 9, required: true,
+    aliases: ['is_teacher', 'teacher', 'is_host', 'host'] },
+  { key: 'attended', label: 'Attended', position: 10, aliases: ['attended', 'has_attended', 'present'] },
+  { key: 'joinTime', label: 'Join time', position: 11,
+    aliases: ['join_time', 'joined_at', 'first_join', 'first_joined', 'entered_at'] },
+  { key: 'cancelled', label: 'Cancelled', position: 12, aliases: ['cancelled', 'canceled', 'is_cancelled'] },
+  { key: 'cancelledBy', label: 'Cancelled by', position: 13,
+    aliases: ['cancelled_by', 'canceled_by', 'cancellation_by'] },
+  { key: 'cancelledTime', label: 'Cancelled time', position: 14,
+    aliases: ['cancelled_time', 'cancelled_at', 'canceled_at', 'cancellation_time', 'cancelled_date'] },
+  { key: 'rating', label: 'Rating', position: 15, aliases: ['rating', 'class_rating', 'score'] },
+  { key: 'feedback', label: 'Feedback', position: 16,
+    aliases: ['feedback', 'comment', 'comments', 'review', 'class_feedback'] },
+  { key: 'enrolledTime', label: 'Enrolled time', position: 22,
+    aliases: ['enrolled_time', 'enrolled_at', 'enrollment_time', 'enrolment_time', 'booked_at'] }
+];
+
+/*
+ * normaliseHeader
+ * ----------------
+ * Lower-cases a header and collapses anything that is not a letter or digit into
+ * single underscores, so "Scheduled Start", "scheduled_start" and "Scheduled-Start"
+ * all compare equal.
+ *
+ * @param {string} header
+ * @returns {string}
+ */
+function normaliseHeader(header) {
+  return String(header || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/*
+ * detectColumns
+ * --------------
+ * Resolves every field of a column schema to an index in `headers`. A saved mapping
+ * profile wins over the built-in aliases; fields found neither way fall back to their
+ * legacy position (flagged as a guess) or are left unmapped.
+ *
+ * @param {Array<string>} headers - Header row of the parsed CSV
+ * @param {Array<Object>} schema  - CLASS_COLUMNS or PARTICIPANT_COLUMNS
+ * @param {Object<string, string|null>} [profile] - Saved mapping: field key → header name (null = deliberately unmapped)
+ * @returns {Object<string, {index: number, status: string}>}
+ *   status is 'profile' | 'header' | 'position' | 'missing'
+ */
+function detectColumns(headers, schema, profile) {
+  const normalised = headers.map(normaliseHeader);
+  const taken = new Set();
+  const columns = {};
+
+  const claim = (index) => {
+    if (index < 0 || taken.has(index)) return -1;
+    taken.add(index);
+    return index;
+  };
+
+  // 1) Profile entries and exact alias matches first, so guesses never steal a real match
+  schema.forEach((field) => {
+    if (profile && Object.prototype.hasOwnProperty.call(profile, field.key)) {
+      const wanted = profile[field.key];
+      const index = wanted === null ? -1 : claim(normalised.indexOf(normaliseHeader(wanted)));
+      if (wanted === null || index >= 0) {
+        columns[field.key] = { index, status: 'profile' };
+        return;
+      }
+    }
+    for (const alias of field.aliases) {
+      const index = claim(normalised.indexOf(alias));
+      if (index >= 0) {
+        columns[field.key] = { index, status: 'header' };
+        return;
+      }
+    }
+  });
+
+  // 2) Whatever is left: guess the legacy position if that column is still free
+  schema.forEach((field) => {
+    if (columns[field.key]) return;
+    const index = field.position < headers.length ? claim(field.position) : -1;
+    columns[field.key] = index >= 0
+      ? { index, status: 'position' }
+      : { index: -1, status: 'missing' };
+  });
+
+  return columns;
+}
+
+/*
+ * columnsConfirmed
+ * -----------------
+ * True when every field was resolved by header name or profile, i.e. the upload can
+ * go ahead without showing the mapping screen.
+ *
+ * @param {Object<string, {index: number, status: string}>} columns - From detectColumns()
+ * @returns {boolean}
+ */
+function columnsConfirmed(columns) {
+  return Object.values(columns).every((c) => c.status === 'header' || c.status === 'profile');
+}
+
+/*
+ * missingRequiredColumns
+ * -----------------------
+ * Lists the labels of required fields that are not mapped to any column.
+ *
+ * @param {Object<string, {index: number}>} columns
+ * @param {Array<Object>} schema
+ * @returns {Array<string>}
+ */
+function missingRequiredColumns(columns, schema) {
+  return schema
+    .filter((field) => field.required && !(columns[field.key] && columns[field.key].index >= 0))
+    .map((field) => field.label);
+}
+
+/*
+ * exportRoleScore
+ * ----------------
+ * Guesses from its header row whether a file is the classes or the participants
+ * export. Only aliases unique to one schema count: each classes-only header scores
+ * +1 and each participants-only header -1, so a positive score means CLASSES, a
+ * negative one PARTICIPANTS and 0 that the headers do not tell.
+ *
+ * @param {Array<string>} headers
+ * @returns {number}
+ */
+function exportRoleScore(headers) {
+  const aliasesOf = (schema) => new Set(schema.flatMap((field) => field.aliases));
+  const classAliases = aliasesOf(CLASS_COLUMNS);
+  const participantAliases = aliasesOf(PARTICIPANT_COLUMNS);
+
+  return headers.map(normaliseHeader).reduce((score, header) => {
+    const inClasses = classAliases.has(header);
+    const inParticipants = participantAliases.has(header);
+    if (inClasses && !inParticipants) return score + 1;
+    if (inParticipants && !inClasses) return score - 1;
+    return score;
+  }, 0);
+}
+
+/*
+ * mapRows
+ * --------
+ * Turns parsed CSV rows into records keyed by schema field. Each record also carries
+ * `rowNumber`, its data row as the parser returned it (the first row after the
+ * header = 1), for error reporting. That is not always the line in the file: CSV
+ * parsing drops blank lines and reads a quoted cell spanning lines as one row.
+ * Rows with a single cell (blank or trailing lines) are skipped, as before.
+ *
+ * @param {{rows: Array<Array<string>>}} csv - Output of parseCSVFile()
+ * @param {Object<string, {index: number}>} columns - Resolved mapping
+ * @returns {Array<Object>}
+ */
+function mapRows(csv, columns) {
+  const records = [];
+  csv.rows.forEach((row, i) => {
+    if (row.length <= 1) return;
+    const record = { rowNumber: i + 1 };
+    Object.keys(columns).forEach((key) => {
+      const index = columns[key].index;
+      record[key] = index >= 0 ? row[index] : undefined;
+    });
+    records.push(record);
+  });
+  return records;
+}
+
+
+/* -----------------------------------------------------------------------------
+   2.2 Class Data
+   ----------------------------------------------------------------------------- */
+
+/*
+ * processData
+ * ------------
+ * Transforms mapped class and participant records into a structured
+ * object where each class is keyed by its slug. Each class object includes:
+ *   - scheduledStart, scheduledDuration (in seconds)
+ *   - company, course_id, available_seats
+ *   - cancellation info (by whom, when, interval)
+ *   - teacher info (username, attended, tardiness, cancelled)
+ *   - students array (with per-student attendance, tardiness, cancellation, feedback)
+ *
+ * Participants are grouped by class slug in a single pass first, so the work grows
+ * linearly with the size of the exports.
+ *
+ * @param {Array<Object>} classesData      Records of CLASSES.csv (see mapRows / CLASS_COLUMNS)
+ * @param {Array<Object>} participantsData Records of PARTICIPANTS.csv (see mapRows / PARTICIPANT_COLUMNS)
+ * @param {function(number)} [onProgress]  Called with the fraction (0–1) of classes processed.
+ * @returns {Object<string, Object>} A map of classSlug → classObject
+ */
+function processData(classesData, participantsData, onProgress) {
+  const output = {};
+
+  // 0. Index participants rows by class slug (keeps the export's row order)
+  const participantsBySlug = new Map();
+  participantsData.forEach((p) => {
+    const rows = participantsBySlug.get(p.classSlug);
+    if (rows) rows.push(p);
+    else participantsBySlug.set(p.classSlug, [p]);
+  });
+
+  const progressStep = Math.max(1, Math.floor(classesData.length / 100));
+
+  classesData.forEach((cs, index) => {
+    if (onProgress && index % progressStep === 0) onProgress(index / classesData.length);
+
+    // The slug is the class's unique identifier
+    const slug = cs.slug;
+    if (!slug) return; // Skip rows without a slug
+
+    // Parse key class-level fields:
+    const scheduledStart = cs.scheduledStart; // e.g., "2023-01-15 10:00:00"
+    const scheduledEnd = cs.scheduledEnd;     // e.g., "2023-01-15 11:00:00"
+    const scheduledDuration = timestampDiff(scheduledStart, scheduledEnd); // in seconds
+    const actualDuration = parseInt(cs.actualDuration, 10) * 60;
+    const description = cs.description || '';
+    const subject = cs.subject || '';
+    const level = cs.level || '';
+    const teacherSummary = cs.teacherSummary || '';
+    const cancelledBy = cs.cancelledBy || '';    // Who cancelled this class (username or admin)
+    const cancelledTime = cs.cancelledTime || '';  // When the class was cancelled (timestamp)
+
+    // Build the base class object
+    const cls = {
+      scheduledStart,
+      scheduledDuration,                   // Computed from scheduled start & end
+      actualDuration,
+      description,
+      subject,
+      level,
+      teacherSummary,
+      company: cs.company,
+      course_id: cs.courseId,
+      available_seats: parseInt(cs.availableSeats, 10),
+      cancelledBy,                         // Raw cancelledBy value (possibly username or empty)
+      cancelledTime,                       // Raw cancelledTime string
+      cancelledByStudent: false,           // Will set flags below
+      cancelledByTeacher: false,
+      cancelledByAdmin: false,
+      cancelledInterval: '',               // Computed below (in hours, if cancelled)
+      teacher: {},                         // Will populate if a teacher row exists
+      students: []                         // Array of student objects (populated below)
+    };
+
+    cls.slug = slug;
+
+    // 1. Gather participants rows for this class
+    const participantsRows = participantsBySlug.get(slug) || [];
+
+    // 2. Separate enrolled students (isTeacher is 'true' for the teacher row)
+    const enrolled = participantsRows.filter((p) => !parseBoolean(p.isTeacher));
+
+    // 3. Map each enrolled student row → student object
+    cls.students = enrolled.map((pr) => {
+      const enrolledAt = pr.enrolledTime;           // Enrollment timestamp
+      const studentCancelledTime = pr.cancelledTime; // Student cancellation timestamp
+
+      return {
+        username: pr.username,
+        firstName: pr.firstName,
+        lastName: pr.lastName,
+        attended: parseBoolean(pr.attended), // 'true'/'false'
+        tardiness: clampTardiness(
+          timestampDiff(pr.scheduledStart || scheduledStart, pr.joinTime), // scheduled vs actual join
+          scheduledDuration
+        ),
+        cancelled: parseBoolean(pr.cancelled), // 'true' if student cancelled
+        cancelledBy: pr.cancelledBy || '',     // Who cancelled (username)
+        cancelledTime: studentCancelledTime,
+        cancelledInterval: studentCancelledTime
+          ? (timestampDiff(studentCancelledTime, scheduledStart) / 3600).toFixed(2)
+          : '',
+        enrolledTime: enrolledAt,
+        enrolmentInterval: enrolledAt
+          ? (timestampDiff(enrolledAt, scheduledStart) / 3600).toFixed(02)
+          : '',
+        rating: pr.rating,     // rating (string)
+        feedback: pr.feedback, // feedback (string)
+        joinTime: pr.joinTime || '', // actual join timestamp
+      };
+    });
+
+    // 4. Find the teacher row
+    const teacherRow = participantsRows.find((p) => parseBoolean(p.isTeacher));
+    if (teacherRow) {
+      cls.teacher = {
+        username: teacherRow.username,
+        firstName: teacherRow.firstName,
+        lastName: teacherRow.lastName,
+        attended: parseBoolean(teacherRow.attended),
+        tardiness: clampTardiness(
+          timestampDiff(teacherRow.scheduledStart || scheduledStart, teacherRow.joinTime), // Scheduled vs actual join
+          scheduledDuration
+        ),
+        joinTime: teacherRow.joinTime || '',
+        cancelled: parseBoolean(teacherRow.cancelled)
+      };
+    }
+
+    // 5. Calculate cancellation flags and intervals
+    const teacherName = cls.teacher?.username;
+    const studentNames = cls.students.map((s) => s.username);
+
+    if (cancelledBy) {
+      cls.cancelledByStudent = studentNames.includes(cancelledBy);
+      cls.cancelledByTeacher = cancelledBy === teacherName;
+      cls.cancelledByAdmin = !cls.cancelledByStudent && !cls.cancelledByTeacher;
+      cls.cancelledInterval = cancelledTime
+        ? (timestampDiff(cancelledTime, scheduledStart) / 3600).toFixed(2)
+        : '';
+    }
+
+    // 6. Add finalized class object to output map
+    output[slug] = cls;
+  });
+
+  if (onProgress) onProgress(1);
+  return output;
+}
+
+
+/* -----------------------------------------------------------------------------
+   2.3 Data Quality Diagnostics
+   ----------------------------------------------------------------------------- */
+
+/*
+ * buildDataDiagnostics
+ * ---------------------
+ * Checks the mapped export records for problems that would otherwise be dropped or
+ * miscounted silently by processData() and the report builders:
+ *   - participants rows whose slug matches no class
+ *   - classes with no teacher row (skipped by the hour count)
+ *   - classes with several teacher rows (only the first one is used)
+ *   - timestamps timestampDiff() cannot parse (NaN durations)
+ *   - duplicate class slugs (the last row wins)
+ *   - scheduled durations of zero or less
+ *   - class cancelledBy values that match no participant of that class
+ *
+ * @param {Array<Object>} classesData      Records from mapRows() for CLASSES.csv
+ * @param {Array<Object>} participantsData Records from mapRows() for PARTICIPANTS.csv
+ * @param {{classes: string, participants: string}} [fileNames] - Labels used in the `file` field
+ * @returns {Array<Object>} One entry per check:
+ *   { key, label, rows: Array<{file, rowNumber, slug, detail}> }
+ */
+function buildDataDiagnostics(classesData, participantsData, fileNames = { classes: 'classes', participants: 'participants' }) {
+  const issues = {
+    orphanParticipants: { label: 'Participants rows matching no class', rows: [] },
+    noTeacher: { label: 'Classes with no teacher row', rows: [] },
+    multipleTeachers: { label: 'Classes with several teacher rows', rows: [] },
+    badTimestamps: { label: 'Unparseable timestamps', rows: [] },
+    duplicateSlugs: { label: 'Duplicate class slugs', rows: [] },
+    badDurations: { label: 'Scheduled duration zero or negative', rows: [] },
+    unknownCancelledBy: { label: 'Cancelled by a user who is not a participant', rows: [] }
+  };
+  const add = (key, file, record, slug, detail) =>
+    issues[key].rows.push({ file: fileNames[file], rowNumber: record.rowNumber, slug: slug || '', detail });
+
+  // Index participants by class slug once
+  const participantsBySlug = {};
+  participantsData.forEach((p) => {
+    (participantsBySlug[p.classSlug] = participantsBySlug[p.classSlug] || []).push(p);
+  });
+
+  // A non-empty value that Date cannot read makes timestampDiff() return NaN
+  const checkTimestamp = (file, record, slug, fields) => {
+    fields.forEach((field) => {
+      const value = record[field];
+      if (value && isNaN(parseTimestamp(value))) {
+        add('badTimestamps', file, record, slug, `${field}: ${value}`);
+      }
+    });
+  };
+
+  // 1) Class rows
+  const rowsBySlug = {};
+  classesData.forEach((c) => {
+    const slug = c.slug;
+    if (!slug) return;
+    (rowsBySlug[slug] = rowsBySlug[slug] || []).push(c);
+
+    checkTimestamp('classes', c, slug, ['scheduledStart', 'scheduledEnd', 'cancelledTime']);
+
+    const duration = timestampDiff(c.scheduledStart, c.scheduledEnd);
+    if (!isNaN(duration) && duration <= 0) {
+      add('badDurations', 'classes', c, slug, `${c.scheduledStart || '(empty)'} → ${c.scheduledEnd || '(empty)'}`);
+    }
+
+    const participants = participantsBySlug[slug] || [];
+    const teachers = participants.filter((p) => parseBoolean(p.isTeacher));
+    if (!teachers.length) {
+      add('noTeacher', 'classes', c, slug, '');
+    } else if (teachers.length > 1) {
+      teachers.forEach((t) => add('multipleTeachers', 'participants', t, slug, t.username || ''));
+    }
+
+    if (c.cancelledBy && !participants.some((p) => p.username === c.cancelledBy)) {
+      add('unknownCancelledBy', 'classes', c, slug, c.cancelledBy);
+    }
+  });
+
+  Object.entries(rowsBySlug).forEach(([slug, rows]) => {
+    if (rows.length > 1) {
+      rows.forEach((c) => add('duplicateSlugs', 'classes', c, slug, `${rows.length} rows`));
+    }
+  });
+
+  // 2) Participants rows
+  participantsData.forEach((p) => {
+    if (!rowsBySlug[p.classSlug]) {
+      add('orphanParticipants', 'participants', p, p.classSlug, p.username || '');
+    }
+    checkTimestamp('participants', p, p.classSlug,
+      ['scheduledStart', 'joinTime', 'cancelledTime', 'enrolledTime']);
+  });
+
+  return Object.entries(issues).map(([key, issue]) => ({ key, ...issue }));
+}
+
+/*
+ * buildDiagnosticCSV
+ * -------------------
+ * CSV of the offending rows of one diagnostics check.
+ *
+ * @param {Object} issue - One entry of buildDataDiagnostics()
+ * @returns {string}
+ */
+function buildDiagnosticCSV(issue) {
+  const rows = ['file,data row,class slug,detail'];
+  issue.rows.forEach((r) => {
+    rows.push([
+      r.file,
+      r.rowNumber,
+      `"${String(r.slug).replace(/"/g, '""')}"`,
+      `"${String(r.detail).replace(/"/g, '""')}"`
+    ].join(','));
+  });
+  return rows.join('\n');
+}
+
+
+/* -----------------------------------------------------------------------------
+   2.4 Merging Exports
+   ----------------------------------------------------------------------------- */
+
+/*
+ * attendanceSignature
+ * --------------------
+ * A comparable summary of who attended or cancelled a class, used to tell a plain
+ * duplicate apart from a class whose attendance changed between two exports.
+ *
+ * @param {Object} cls - A class object from processData()
+ * @returns {string}
+ */
+function attendanceSignature(cls) {
+  return JSON.stringify([
+    cls.teacher.username || '',
+    Boolean(cls.teacher.attended),
+    Boolean(cls.teacher.cancelled),
+    cls.cancelledBy,
+    cls.students
+      .map((s) => [s.username, s.attended, s.cancelled])
+      .sort((a, b) => String(a[0]).localeCompare(String(b[0])))
+  ]);
+}
+
+/*
+ * latestActivity
+ * ---------------
+ * The latest scheduled start or cancellation time (class or student) in a
+ * processed export, as a source timestamp; '' when none can be read. Dates an
+ * export by its contents, since file times change on copy or download.
+ *
+ * @param {Object<string, Object>} data - slug → class, as returned by processData()
+ * @returns {string}
+ */
+function latestActivity(data) {
+  let latest = '';
+  let latestMs = -Infinity;
+  const consider = (ts) => {
+    const ms = parseTimestamp(ts);
+    if (ms > latestMs) {
+      latest = ts;
+      latestMs = ms;
+    }
+  };
+  Object.values(data).forEach((cls) => {
+    consider(cls.scheduledStart);
+    consider(cls.cancelledTime);
+    cls.students.forEach((s) => consider(s.cancelledTime));
+  });
+  return latest;
+}
+
+/*
+ * mergeDatasets
+ * --------------
+ * Merges several processed exports (e.g. one per month) into a single slug → class
+ * map. Exports are applied in order of their latest activity (see latestActivity),
+ * so when the same class appears twice the more recent export wins. Reports, per
+ * export:
+ *   - latest: its latest scheduled start or cancellation time
+ *   - classes: classes in that export
+ *   - used: classes of that export kept in the merged data
+ *   - duplicates: classes already loaded from an older export with identical attendance
+ *   - overwrote: classes that replaced an older export's different attendance
+ *   - overwritten: classes replaced by a newer export's different attendance
+ *
+ * @param {Array<{name: string, data: Object<string, Object>}>} datasets
+ * @returns {{data: Object<string, Object>, summary: Array<Object>}}
+ */
+function mergeDatasets(datasets) {
+  const merged = {};
+  const owner = {}; // slug → summary entry of the export the class was taken from
+  const summary = datasets.map((d) => ({
+    name: d.name,
+    latest: latestActivity(d.data),
+    classes: Object.keys(d.data).length,
+    used: 0,
+    duplicates: 0,
+    overwrote: 0,
+    overwritten: 0
+  }));
+
+  // Oldest first; exports with the same (or no) latest activity keep their upload order
+  const latestMs = summary.map((entry) => parseTimestamp(entry.latest) || 0);
+  const order = datasets
+    .map((d, i) => i)
+    .sort((a, b) => latestMs[a] - latestMs[b] || a - b);
+
+  order.forEach((i) => {
+    const entry = summary[i];
+    Object.entries(datasets[i].data).forEach(([slug, cls]) => {
+      const previous = merged[slug];
+      if (previous) {
+        if (attendanceSignature(previous) === attendanceSignature(cls)) {
+          entry.duplicates++;
+        } else {
+          entry.overwrote++;
+          owner[slug].overwritten++;
+        }
+      }
+      merged[slug] = cls;
+      owner[slug] = entry;
+    });
+  });
+
+  Object.values(owner).forEach((entry) => entry.used++);
+  return { data: merged, summary };
+}
+
+/*
+ * buildMergeSummaryCSV
+ * ---------------------
+ * CSV view of mergeDatasets().summary.
+ *
+ * @param {Array<Object>} summary
+ * @returns {string}
+ */
+function buildMergeSummaryCSV(summary) {
+  const rows = ['export,latest class or cancellation,classes in export,classes used,identical duplicates,overwrote older,overwritten by newer'];
+  summary.forEach((s) => {
+    rows.push([
+      `"${String(s.name).replace(/"/g, '""')}"`,
+      `"${s.latest ? toDisplayTimestamp(s.latest) : ''}"`,
+      s.classes,
+      s.used,
+      s.duplicates,
+      s.overwrote,
+      s.overwritten
+    ].join(','));
+  });
+  return rows.join('\n');
+}
+
+
+/* -----------------------------------------------------------------------------
+   2.5 Processing Tasks
+   ----------------------------------------------------------------------------- */
+
+/*
+ * The upload runs as two tasks, normally inside worker.js so the page stays
+ * responsive (main.js falls back to calling them directly when no worker is
+ * available):
+ *   - parse:   read one file, keep its rows here and return only its headers
+ *   - process: map, check, process and merge the parsed exports into `data`
+ *   - release: forget parsed files that will not be processed (new upload, clear)
+ * Rows stay on the side that parsed them, so only headers and the final result
+ * cross between the page and the worker.
+ */
+
+// Parsed files waiting for the process task: id → {headers, rows}
+const parsedFiles = {};
+let nextParsedFileId = 1;
+
+/*
+ * parseFileTask
+ * --------------
+ * @param {{file: File, sheet: string}} payload - `sheet` only applies to .xlsx files
+ * @param {function(number)} onProgress - Fraction (0–1) of the file read
+ * @returns {Promise<{id: number, headers: Array<string>}>}
+ */
+async function parseFileTask({ file, sheet }, onProgress) {
+  const csv = isWorkbookFile(file)
+    ? await parseWorkbookFile(file, sheet, onProgress)
+    : await parseCSVFile(file, onProgress);
+  const id = nextParsedFileId++;
+  parsedFiles[id] = csv;
+  return { id, headers: csv.headers };
+}
+
+/*
+ * processExportsTask
+ * -------------------
+ * Maps every export with its confirmed columns, runs the diagnostics, processes
+ * it and merges the results. Parsed rows are released once the merge succeeds, so
+ * a failed run can be retried (e.g. after fixing the column mapping).
+ *
+ * @param {Object} payload
+ *   - exports: Array<{name, classesId, participantsId, classesColumns, participantsColumns,
+ *              fileNames}>
+ *   - timeSettings: {sourceTimeZone, displayTimeZone}
+ * @param {function(number)} onProgress - Fraction (0–1) of the exports processed
+ * @returns {{data: Object<string, Object>, issues: Array<Object>, summary: Array<Object>}}
+ */
+function processExportsTask({ exports, timeSettings: zones }, onProgress) {
+  // Every interval computed by processData() depends on the zone the export was written in
+  Object.assign(timeSettings, zones);
+
+  const issuesByKey = {};
+  const datasets = exports.map((exp, i) => {
+    if (!parsedFiles[exp.classesId] || !parsedFiles[exp.participantsId]) {
+      throw new Error(`The files of ${exp.name} are no longer loaded; please upload them again`);
+    }
+    const classRecords = mapRows(parsedFiles[exp.classesId], exp.classesColumns);
+    const participantRecords = mapRows(parsedFiles[exp.participantsId], exp.participantsColumns);
+
+    buildDataDiagnostics(classRecords, participantRecords, exp.fileNames).forEach((issue) => {
+      // concat, not push(...rows): a check may flag more rows than a call takes arguments
+      if (!issuesByKey[issue.key]) issuesByKey[issue.key] = { ...issue, rows: [] };
+      issuesByKey[issue.key].rows = issuesByKey[issue.key].rows.concat(issue.rows);
+    });
+
+    const processed = processData(classRecords, participantRecords, (f) =>
+      onProgress((i + f) / exports.length)
+    );
+    return { name: exp.name, data: processed };
+  });
+
+  const { data, summary } = mergeDatasets(datasets);
+  releaseFilesTask({ ids: exports.flatMap((exp) => [exp.classesId, exp.participantsId]) });
+  return { data, issues: Object.values(issuesByKey), summary };
+}
+
+/*
+ * releaseFilesTask
+ * -----------------
+ * Forgets parsed files; ids that are already gone are ignored.
+ *
+ * @param {{ids: Array<number>}} payload
+ */
+function releaseFilesTask({ ids }) {
+  ids.forEach((id) => delete parsedFiles[id]);
+}
+
+const PROCESSING_TASKS = {
+  parse: parseFileTask,
+  process: processExportsTask,
+  release: releaseFilesTask
+};
@@ -0,0 +1,3847 @@
+/*******************************************************************************
+ * reports.js
+ *
+ * Section 3 of the app: the report builders. Each takes the processed data from
+ * processData() plus the report's settings and returns CSV text (or HTML for the
+ * private averages table), without touching the DOM, so the page (main.js) and
+ * the command line (cli.js) produce the same files.
+ ******************************************************************************/
+
+/* =============================================================================
+   ======================= 3. REPORT BUILDING FUNCTIONS ========================
+   =============================================================================
+*/
+
+/* -----------------------------------------------------------------------------
+   3.1 Teacher Hour Count Report
+   ----------------------------------------------------------------------------- */
+
+/*
+ * hourCountDuration
+ * ------------------
+ * The minutes a class is bucketed and paid by under the hour count's pay basis:
+ *   - 'scheduled' (default): the scheduled duration
+ *   - 'actual': the delivered duration
+ *   - 'lesser': whichever of the two is shorter
+ * Classes that were not delivered (no actual duration, or the teacher did not
+ * attend) use the scheduled duration. The result is then rounded to
+ * `durationRounding.step` minutes ('nearest' | 'down' | 'up'), when set.
+ *
+ * @param {Object} cls - A class from processData()
+ * @param {Object} settings - payBasis, durationRounding ({step, mode})
+ * @returns {{duration: number, scheduled: number, actual: number|null}} minutes
+ */
+function hourCountDuration(cls, settings) {
+  const { payBasis = 'scheduled', durationRounding } = settings;
+  const scheduled = Math.round(cls.scheduledDuration / 60);
+  const actual = cls.actualDuration > 0 ? Math.round(cls.actualDuration / 60) : null;
+  const delivered = actual !== null && cls.teacher.attended;
+
+  let duration = scheduled;
+  if (delivered && payBasis === 'actual') duration = actual;
+  if (delivered && payBasis === 'lesser') duration = Math.min(scheduled, actual);
+
+  if (durationRounding && durationRounding.step > 1) {
+    const round = { down: Math.floor, up: Math.ceil }[durationRounding.mode] || Math.round;
+    duration = round(duration / durationRounding.step) * durationRounding.step;
+  }
+  return { duration, scheduled, actual };
+}
+
+/*
+ * buildHourCountLineItems
+ * ------------------------
+ * One entry per class the hour count counts, with what it adds to the teacher's
+ * totals and the rules behind it. buildTeacherHourCountCSV() sums these by teacher,
+ * class type and duration. Counts are rounded to 2 decimals per class (pay to the
+ * cent) so the line items add up to the report exactly.
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @param {Object} settings - As for buildTeacherHourCountCSV()
+ * @returns {Array<Object>} {slug, teacher, start, type, duration (pay basis), scheduled, actual,
+ *   offSchedule, attended, lateCancellations, cancellations ({student, teacher, admin} late
+ *   ones under the cancellation policy), cancellationPayout, cancellationPenalty (units),
+ *   noShow, studentNoShow, late (0/1 or counts), tardinessDeduction (0–1), outcome, rules, baseCount (net units), tier, multiplier,
+ *   count (baseCount × multiplier), payCents (null when no rate applies)}
+ */
+function buildHourCountLineItems(processedData, settings) {
+  const {
+    cancellationWindow,
+    penaliseTardiness,
+    payLastMinuteCancellation,
+    payStudentNoShow,
+    studentNoShowRate,
+    classTypeFilter,
+    payRates,
+    groupTiers,
+    durationTolerance,
+    cancellationPolicy
+  } = settings;
+
+  // Convert studentNoShowRate% → fraction if payment applies
+  const studentNoShowFrac = payStudentNoShow ? studentNoShowRate / 100 : 0;
+  const items = [];
+
+  Object.keys(processedData).forEach((slug) => {
+    const cls = processedData[slug];
+    const teacher = cls.teacher.username;
+    if (!teacher) return; // Skip classes without a teacher
+
+    // Determine class type (private if available_seats === 1; otherwise group)
+    const type = cls.available_seats === 1 ? 'private' : 'group';
+    if (classTypeFilter !== 'both' && classTypeFilter !== type) {
+      return; // Skip if our filter excludes this type
+    }
+
+    const students = Array.isArray(cls.students) ? cls.students : [];
+    const { duration, scheduled, actual } = hourCountDuration(cls, settings);
+    const item = {
+      slug,
+      teacher,
+      start: toDisplayTimestamp(cls.scheduledStart),
+      type,
+      duration,
+      scheduled,
+      actual,
+      // Delivered classes whose actual duration is off the scheduled one by more than the tolerance
+      offSchedule: durationTolerance !== undefined && durationTolerance !== null && actual !== null &&
+        Boolean(cls.teacher.attended) && Math.abs(actual - scheduled) > durationTolerance,
+      attended: 0,
+      lateCancellations: 0,
+      cancellations: { student: 0, teacher: 0, admin: 0 },
+      cancellationPayout: 0,
+      cancellationPenalty: 0,
+      noShow: 0,
+      studentNoShow: 0,
+      late: 0,
+      tardinessDeduction: 0,
+      tier: null,
+      multiplier: 1
+    };
+    const outcome = [];
+    const rules = [];
+
+    // Last-minute student cancellations of private classes are paid if settings specify:
+    // every student who cancelled within cancellationWindow hours before the start.
+    // A cancellation policy replaces this (see below).
+    if (type === 'private' && payLastMinuteCancellation && !cancellationPolicy) {
+      item.lateCancellations = students.filter((student) =>
+        student.cancelled &&
+        student.cancelledBy !== teacher &&
+        timestampDiff(cls.scheduledStart, student.cancelledTime) / 3600 < cancellationWindow
+      ).length;
+    }
+
+    // Under a cancellation policy, a class cancelled and not taught is a cancellation,
+    // not a no-show
+    const cancelledClass = cancellationPolicy && cls.cancelledBy && !cls.teacher.attended;
+
+    // Teacher attendance vs no-show vs late
+    if (cancelledClass) {
+      const party = cls.cancelledByTeacher ? 'teacher' : cls.cancelledByStudent ? 'student' : 'admin';
+      const hoursBefore = cls.cancelledInterval === '' ? null : parseFloat(cls.cancelledInterval);
+      const late = lateCancellation(cancellationPolicy, party, type, hoursBefore);
+      if (late) {
+        item.cancellations[party] = 1;
+        item.cancellationPayout = late.payout;
+        item.cancellationPenalty = late.penalty;
+        outcome.push(`late cancellation by ${party}`);
+        const net = round2(late.payout - late.penalty);
+        rules.push(`${late.rule}: ${net < 0 ? net : `+${net}`}`);
+      } else {
+        outcome.push(`cancelled by ${party}`);
+        rules.push(`cancelled by ${party}${hoursBefore === null ? '' : ` ${round2(hoursBefore)}h before the start`}: 0`);
+      }
+    } else if (cls.teacher.attended) {
+      item.attended = 1;
+      outcome.push('attended');
+      rules.push('teacher attended: +1');
+      // Tardiness is measured against the schedule, whatever the pay basis
+      const tardy = penaliseTardiness &&
+        tardinessDeduction(Math.round(cls.teacher.tardiness / 60), item.scheduled, settings);
+      if (tardy) {
+        item.late = 1;
+        item.tardinessDeduction = round2(tardy.deduction);
+        outcome.push('late');
+        rules.push(`${tardy.rule}: -${item.tardinessDeduction}`);
+      }
+    } else {
+      item.noShow = 1;
+      outcome.push('no show');
+      rules.push('teacher did not attend: 0');
+    }
+
+    // Student no-show: teacher attended AND not cancelled AND no student attended
+    if (cls.teacher.attended && !cls.teacher.cancelled && students.length > 0 && students.every((s) => !s.attended)) {
+      item.studentNoShow = 1;
+      outcome.push('student no show');
+      const change = round2(studentNoShowFrac - 1); // 0 when paid in full
+      rules.push(payStudentNoShow
+        ? `no student attended (student no-shows paid at ${studentNoShowRate}%): ${change < 0 ? change : `+${change}`}`
+        : 'no student attended (student no-shows not paid): -1');
+    }
+
+    // Under a cancellation policy, late student cancellations of a private class that
+    // was not cancelled as a whole are each paid as the policy's student row says
+    if (cancellationPolicy && type === 'private' && !cls.cancelledBy) {
+      students.forEach((student) => {
+        if (!student.cancelled || student.cancelledBy === teacher) return;
+        const hoursBefore = student.cancelledInterval === '' ? null : parseFloat(student.cancelledInterval);
+        const late = lateCancellation(cancellationPolicy, 'student', type, hoursBefore);
+        if (!late) return;
+        item.cancellations.student += 1;
+        item.cancellationPayout += late.payout;
+        outcome.push('late cancellation by student');
+        rules.push(`${student.username} ${late.rule}: +${late.payout}`);
+      });
+    }
+
+    if (item.lateCancellations) {
+      outcome.push('paid late cancellation');
+      rules.push(`${item.lateCancellations} student cancellation(s) < ${cancellationWindow}h before the start ` +
+        `(pay for late cancellations): +${item.lateCancellations}`);
+    }
+
+    // Net units: attended - tardiness deduction + late cancellations (or the policy's payout
+    // less its penalty) - unpaid part of a student no-show
+    item.baseCount = round2(item.attended - item.tardinessDeduction + item.lateCancellations +
+      item.cancellationPayout - item.cancellationPenalty - item.studentNoShow * (1 - studentNoShowFrac));
+
+    // Group classes are weighted by the headcount tier they fall in
+    if (type === 'group' && groupTiers) {
+      const headcount = groupTiers.basis === 'seats'
+        ? cls.available_seats
+        : students.filter((s) => s.attended).length;
+      const tier = findStep(groupTiers.tiers, headcount);
+      if (tier) {
+        item.tier = tier.label;
+        item.multiplier = tier.multiplier;
+        rules.push(`group tier ${tier.label} (${headcount} ${groupTiers.basis === 'seats' ? 'seats' : 'attending'}): x${tier.multiplier}`);
+      }
+    }
+    item.count = round2(item.baseCount * item.multiplier);
+    item.outcome = outcome.join(' + ');
+    item.rules = rules.join('; ');
+
+    // Pay in cents, rounded per class so the classes add up to the totals exactly
+    item.payCents = 0;
+    if (payRates && (item.attended || item.lateCancellations || item.cancellationPayout || item.cancellationPenalty)) {
+      const rate = findPayRate(payRates.rates, teacher, type, item.duration);
+      item.payCents = rate ? Math.round(classPay(item, rate) * item.multiplier * 100) : null;
+    }
+
+    items.push(item);
+  });
+
+  /*
+   * Helper: money for one class before its tier multiplier. Regular classes are paid
+   * at `rate`, a student no-show at `noShowRate` (default: studentNoShowRate% of
+   * `rate`) and late cancellations at `lateCancellationRate` (default: `rate`); under a
+   * cancellation policy the payout is a share of `lateCancellationRate` and a teacher's
+   * penalty a share of `rate`.
+   */
+  function classPay(item, rate) {
+    const noShowRate = !payStudentNoShow ? 0
+      : rate.noShowRate !== null ? rate.noShowRate : rate.rate * studentNoShowFrac;
+    const lateCancellationRate = rate.lateCancellationRate !== null ? rate.lateCancellationRate : rate.rate;
+    return (item.attended - item.tardinessDeduction - item.studentNoShow) * rate.rate +
+      item.studentNoShow * noShowRate +
+      item.lateCancellations * lateCancellationRate +
+      item.cancellationPayout * lateCancellationRate - item.cancellationPenalty * rate.rate;
+  }
+
+  return items;
+}
+
+// Rounds to 2 decimals (cents or hundredths of a class)
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/*
+ * buildHourCountLineItemsCSV
+ * ---------------------------
+ * The hour count's audit trail: one row per class per teacher with the outcome,
+ * the rules and settings that applied and what the class adds to the net count,
+ * minutes and pay. Per teacher, class type and duration the rows add up to the
+ * detailed report.
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @param {Object} settings - As for buildTeacherHourCountCSV()
+ * @returns {string} CSV text
+ */
+function buildHourCountLineItemsCSV(processedData, settings) {
+  const { payRates } = settings;
+  const checkSchedule = settings.durationTolerance !== undefined && settings.durationTolerance !== null;
+  const header = [
+    'teacher', 'class slug', 'scheduled start', 'duration (min)', 'class type', 'outcome', 'rules',
+    'count before tiers', 'tier', 'multiplier', 'count', 'minutes'
+  ];
+  if (checkSchedule) header.splice(4, 0, 'scheduled (min)', 'actual (min)', 'off schedule');
+  if (payRates) header.push(`pay (${payRates.currency})`);
+
+  // Teachers in the report's order, each teacher's classes by start
+  const items = buildHourCountLineItems(processedData, settings);
+  const teachers = unique(items.map((item) => item.teacher));
+  const startOf = (item) => parseTimestamp(processedData[item.slug].scheduledStart);
+  items.sort((a, b) => teachers.indexOf(a.teacher) - teachers.indexOf(b.teacher) || startOf(a) - startOf(b));
+
+  const rows = [header.join(',')];
+  items.forEach((item) => {
+    const row = [
+      item.teacher,
+      item.slug,
+      item.start,
+      item.duration,
+      item.type,
+      item.outcome,
+      item.rules,
+      item.baseCount,
+      item.tier || '',
+      item.multiplier,
+      item.count,
+      round2(item.count * item.duration)
+    ];
+    if (checkSchedule) row.splice(4, 0, item.scheduled, item.actual === null ? '' : item.actual, item.offSchedule ? 'yes' : '');
+    if (payRates) row.push(item.payCents === null ? 'no rate' : (item.payCents / 100).toFixed(2));
+    rows.push(row.join(','));
+  });
+  return rows.join('\n');
+}
+
+/*
+ * buildTeacherHourCountCSV
+ * -------------------------
+ * Builds a CSV string that reports, for each teacher, how many classes they taught
+ * (group vs private), attended vs no-show, late arrivals, cancellations, etc.,
+ * segmented by class duration buckets.
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @param {Object} settings - User-selected settings:
+ *   - tardinessLimit: number (minutes) beyond which to penalize teacher tardiness
+ *   - cancellationWindow: number (hours) used to detect "last-minute cancellations"
+ *   - penaliseTardiness: boolean
+ *   - tardinessPolicy: 'all_or_nothing' | 'proportional' | 'stepped' (see tardinessDeduction());
+ *     the last two add a tardiness deduction column
+ *   - tardinessBands: Array (stepped policy only) - from parseTardinessBands()
+ *   - payLastMinuteCancellation: boolean (counts a private student’s last-minute cancellation as "cancelled" class)
+ *   - payStudentNoShow: boolean (deducts student no-shows from pay if studentNoShowRate applies)
+ *   - studentNoShowRate: number (percentage, 0–100)
+ *   - classTypeFilter: 'private' | 'group' | 'both'
+ *   - payRates: {rates, currency} (optional) - adds pay columns, a gross pay per teacher
+ *     and a grand total row; `rates` comes from parsePayRates()
+ *   - groupTiers: {basis: 'attended' | 'seats', tiers} (optional) - weights each group
+ *     class by its headcount tier; `tiers` comes from parseGroupTiers()
+ *   - payBasis: 'scheduled' | 'actual' | 'lesser', durationRounding: {step, mode} - the
+ *     minutes each class is bucketed and paid by (see hourCountDuration())
+ *   - durationTolerance: number (minutes, optional) - adds a column counting delivered
+ *     classes whose actual duration is off the scheduled one by more than this
+ *   - cancellationPolicy: Object (optional) - from parseCancellationPolicy(); pays late
+ *     cancellations by who cancelled and class type, replacing payLastMinuteCancellation
+ *     and its column with late cancellation, payout and penalty columns
+ * @param {boolean} simpleReport - If true, output only the net-count column per duration; if false, include full breakdown.
+ * @param {Object} [cellSlugs] - Filled with the classes behind each cell (see addCellSlugs())
+ *
+ * @returns {string} CSV-formatted string (headers + rows)
+ */
+function buildTeacherHourCountCSV(processedData, settings, simpleReport, cellSlugs) {
+  const { cancellationWindow, classTypeFilter, payRates, groupTiers, cancellationPolicy } = settings;
+  // Penalty columns only when the policy penalises a teacher's late cancellations
+  const penalised = cancellationPolicy && ['private', 'group'].some((t) => cancellationPolicy.teacher[t].penalty);
+  const checkSchedule = settings.durationTolerance !== undefined && settings.durationTolerance !== null;
+  // Graded policies deduct fractions of classes, shown in their own column
+  const gradedTardiness = settings.penaliseTardiness &&
+    (settings.tardinessPolicy === 'proportional' || settings.tardinessPolicy === 'stepped');
+
+  // 1) Sum the line items into per-teacher, per-duration buckets
+  const teacherReports = {};
+  const durations = unique(Object.values(processedData).map((cls) => hourCountDuration(cls, settings).duration))
+    .sort((a, b) => a - b);
+
+  buildHourCountLineItems(processedData, settings).forEach((item) => {
+    teacherReports[item.teacher] = teacherReports[item.teacher] || { durations: {} };
+    const durationBuckets = teacherReports[item.teacher].durations;
+    durationBuckets[item.duration] = durationBuckets[item.duration] || {};
+    const bucket = durationBuckets[item.duration][item.type] =
+      durationBuckets[item.duration][item.type] || emptyHourCountBucket();
+
+    bucket.attended += item.attended;
+    bucket.cancelled += item.lateCancellations;
+    CANCELLATION_PARTIES.forEach((party) => {
+      bucket.cancelledBy[party] += item.cancellations[party];
+    });
+    bucket.cancellationPayout += item.cancellationPayout;
+    bucket.cancellationPenalty += item.cancellationPenalty;
+    bucket.noShow += item.noShow;
+    bucket.studentNoShow += item.studentNoShow;
+    bucket.late += item.late;
+    bucket.tardinessDeduction += item.tardinessDeduction;
+    bucket.baseCount += item.baseCount;
+    bucket.count += item.count;
+    if (item.offSchedule) bucket.offSchedule += 1;
+    if (item.tier !== null) bucket.tiers[item.tier] = (bucket.tiers[item.tier] || 0) + 1;
+    if (item.payCents === null) {
+      bucket.unpriced = true;
+    } else {
+      bucket.payCents += item.payCents;
+    }
+
+    // The cells this class is behind
+    if (!cellSlugs) return;
+    const prefix = `${item.duration}min ${item.type}`;
+    const paid = item.payCents !== 0;
+    [
+      [`${prefix} classes attended`, item.attended],
+      [`${prefix} classes cancelled < ${cancellationWindow}h`, item.lateCancellations],
+      ...CANCELLATION_PARTIES.map((party) => [`${prefix} late cancellations by ${party}`, item.cancellations[party]]),
+      [`${prefix} cancellation payout`, item.cancellationPayout],
+      [`${prefix} teacher cancellation penalty`, item.cancellationPenalty],
+      [`${prefix} classes no show`, item.noShow],
+      [`${prefix} student no show`, item.studentNoShow],
+      [`${prefix} classes late`, item.late],
+      [`${prefix} tardiness deduction`, item.tardinessDeduction],
+      [`${prefix} ${item.tier} students (x${item.multiplier})`, item.tier !== null],
+      [`${prefix} classes count before tiers`, item.baseCount],
+      [`${prefix} classes count`, item.count],
+      [`${prefix} pay`, paid],
+      [`Total ${item.type} classes count`, item.count],
+      [`Total ${item.type} minutes`, item.count],
+      [`Total ${item.type} classes off schedule`, item.offSchedule],
+      [`Total ${item.type} pay`, paid],
+      [`Gross pay (${payRates ? payRates.currency : ''})`, paid]
+    ].forEach(([column, when]) => {
+      if (when) addCellSlugs(cellSlugs, item.teacher, column, [item.slug]);
+    });
+  });
+
+  function emptyHourCountBucket() {
+    return {
+      attended: 0, cancelled: 0, cancelledBy: { student: 0, teacher: 0, admin: 0 },
+      cancellationPayout: 0, cancellationPenalty: 0, noShow: 0, studentNoShow: 0, late: 0, tardinessDeduction: 0,
+      baseCount: 0, count: 0, offSchedule: 0, tiers: {}, payCents: 0, unpriced: false
+    };
+  }
+
+  // 2) Build CSV header row
+  const header = ['teacher'];
+
+  /*
+   * Helper: push columns for a given class type ('private' or 'group') into the header.
+   * If simpleReport is true, only push the final "count" column per duration.
+   * Otherwise, push detailed columns (attended, cancelled (<window>h) or the cancellation policy's
+   * columns, noShow, studentNoShow, late, tardiness deduction, the group tiers, netCount).
+   */
+  function makeCols(type) {
+    const tiered = type === 'group' && groupTiers;
+    durations.forEach((d) => {
+      if (simpleReport) {
+        header.push(`${d}min ${type} classes count`);
+      } else {
+        header.push(`${d}min ${type} classes attended`);
+        if (cancellationPolicy) {
+          CANCELLATION_PARTIES.forEach((party) => header.push(`${d}min ${type} late cancellations by ${party}`));
+          header.push(`${d}min ${type} cancellation payout`);
+          if (penalised) header.push(`${d}min ${type} teacher cancellation penalty`);
+        } else if (type === 'private') {
+          header.push(`${d}min ${type} classes cancelled < ${cancellationWindow}h`);
+        }
+        header.push(`${d}min ${type} classes no show`);
+        header.push(`${d}min ${type} student no show`);
+        header.push(`${d}min ${type} classes late`);
+        if (gradedTardiness) header.push(`${d}min ${type} tardiness deduction`);
+        if (tiered) {
+          groupTiers.tiers.forEach((t) => header.push(`${d}min ${type} ${t.label} students (x${t.multiplier})`));
+          header.push(`${d}min ${type} classes count before tiers`);
+        }
+        header.push(`${d}min ${type} classes count`);
+        if (payRates) header.push(`${d}min ${type} pay`);
+      }
+    });
+    // Add total count and total minutes columns for this type
+    header.push(`Total ${type} classes count`);
+    header.push(`Total ${type} minutes`);
+    if (checkSchedule) header.push(`Total ${type} classes off schedule`);
+    if (payRates) header.push(`Total ${type} pay`);
+  }
+
+  // Build columns for private and/or group depending on filter
+  const types = classTypeFilter === 'both' ? ['private', 'group'] : [classTypeFilter];
+  types.forEach(makeCols);
+  if (payRates) header.push(`Gross pay (${payRates.currency})`);
+
+  // 3) Build data rows for each teacher
+  const rows = [header.join(',')];
+  // Per teacher, the number behind each cell (pay as {cents, unpriced}), for the grand total
+  const teacherValues = [];
+  const money = (cents, unpriced) => (cents / 100).toFixed(2) + (unpriced ? ' (no rate for some classes)' : '');
+
+  Object.keys(teacherReports).forEach((teacher) => {
+    const durationBuckets = teacherReports[teacher].durations;
+    const row = [teacher];
+    const values = [];
+    const cell = (value) => {
+      row.push(value);
+      values.push(value);
+    };
+    const payCell = (cents, unpriced, text = money(cents, unpriced)) => {
+      row.push(text);
+      values.push({ cents, unpriced });
+    };
+    let grossCents = 0;
+    let grossUnpriced = false;
+
+    types.forEach((type) => {
+      const tiered = type === 'group' && groupTiers;
+      let totalCount = 0;
+      let totalMin = 0;
+      let offSchedule = 0;
+      let typePayCents = 0;
+      let typeUnpriced = false;
+
+      durations.forEach((d) => {
+        const bucket = (durationBuckets[d] && durationBuckets[d][type]) || emptyHourCountBucket();
+        const netCount = parseFloat(bucket.count.toFixed(2));
+
+        if (simpleReport) {
+          cell(netCount);
+        } else {
+          cell(bucket.attended);
+          if (cancellationPolicy) {
+            CANCELLATION_PARTIES.forEach((party) => cell(bucket.cancelledBy[party]));
+            cell(parseFloat(bucket.cancellationPayout.toFixed(2)));
+            if (penalised) cell(parseFloat(bucket.cancellationPenalty.toFixed(2)));
+          } else if (type === 'private') {
+            cell(bucket.cancelled);
+          }
+          cell(bucket.noShow);
+          cell(bucket.studentNoShow);
+          cell(bucket.late);
+          if (gradedTardiness) cell(parseFloat(bucket.tardinessDeduction.toFixed(2)));
+          if (tiered) {
+            groupTiers.tiers.forEach((t) => cell(bucket.tiers[t.label] || 0));
+            cell(parseFloat(bucket.baseCount.toFixed(2)));
+          }
+          cell(netCount);
+          if (payRates) {
+            payCell(bucket.payCents, bucket.unpriced,
+              bucket.unpriced && !bucket.payCents ? 'no rate' : money(bucket.payCents, bucket.unpriced));
+          }
+        }
+
+        totalCount += netCount;
+        totalMin += netCount * d;
+        offSchedule += bucket.offSchedule;
+        typePayCents += bucket.payCents;
+        typeUnpriced = typeUnpriced || bucket.unpriced;
+      });
+
+      // Append totals for this type
+      cell(totalCount);
+      cell(totalMin);
+      if (checkSchedule) cell(offSchedule);
+      if (payRates) {
+        // Priced classes only; the note marks a total that is missing some
+        payCell(typePayCents, typeUnpriced);
+        grossCents += typePayCents;
+        grossUnpriced = grossUnpriced || typeUnpriced;
+      }
+    });
+    if (payRates) payCell(grossCents, grossUnpriced);
+
+    rows.push(row.join(','));
+    teacherValues.push(values);
+  });
+
+  // 4) Grand total of every column across teachers (pay totals count priced classes only)
+  if (payRates && teacherValues.length) {
+    const totals = header.slice(1).map((col, i) => {
+      const column = teacherValues.map((values) => values[i]);
+      if (typeof column[0] === 'object') {
+        return money(column.reduce((sum, v) => sum + v.cents, 0), column.some((v) => v.unpriced));
+      }
+      return parseFloat(column.reduce((sum, v) => sum + v, 0).toFixed(2));
+    });
+    rows.push(['Grand total', ...totals].join(','));
+    if (cellSlugs) {
+      header.slice(1).forEach((col) => Object.keys(teacherReports).forEach((teacher) => {
+        addCellSlugs(cellSlugs, 'Grand total', col, (cellSlugs[teacher] || {})[col] || []);
+      }));
+    }
+  }
+
+  return rows.join('\n');
+}
+
+
+/*
+ * filterClassesByDuration
+ * ------------------------
+ * Keeps only the classes whose scheduled duration (rounded to whole minutes) is one
+ * of `durations`, as chosen in the hour count's duration filter.
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @param {Array<number>} durations - Minutes, e.g. [30, 60]
+ * @returns {Object<string, Object>} Same shape as processedData
+ */
+function filterClassesByDuration(processedData, durations) {
+  return Object.fromEntries(
+    Object.entries(processedData)
+      .filter(([slug, cls]) => durations.includes(Math.round(cls.scheduledDuration / 60)))
+  );
+}
+
+/*
+ * PAY_RATE_COLUMNS
+ * -----------------
+ * Header of a pay rate table. teacher, class type and duration may be left blank
+ * (or "*") to match any; the two last rates fall back as explained in
+ * buildTeacherHourCountCSV().
+ */
+const PAY_RATE_COLUMNS = ['teacher', 'class type', 'duration', 'rate', 'no show rate', 'late cancellation rate'];
+
+/*
+ * parsePayRates
+ * --------------
+ * Reads a pay rate table: CSV text whose header uses PAY_RATE_COLUMNS in any order
+ * (only "rate" is required), such as:
+ *
+ *   teacher,class type,duration,rate,no show rate,late cancellation rate
+ *   ,,,20,,
+ *   t.anna,private,60,25,12.5,
+ *
+ * @param {string} text
+ * @returns {Array<Object>} {teacher, type, duration, rate, noShowRate, lateCancellationRate};
+ *   blank fields are null
+ * @throws {Error} naming the line of a missing column or an invalid value
+ */
+function parsePayRates(text) {
+  const lines = text.split(/\r?\n/).map((l) => l.trim());
+  const headerIndex = lines.findIndex((l) => l !== '');
+  if (headerIndex === -1) return [];
+  const header = splitCSVLine(lines[headerIndex]).map((h) => h.trim().toLowerCase());
+  const unknown = header.filter((h) => h && !PAY_RATE_COLUMNS.includes(h));
+  if (unknown.length) throw new Error(`Pay rates: unknown column(s) ${unknown.join(', ')}`);
+  if (!header.includes('rate')) throw new Error('Pay rates: the header needs a "rate" column');
+
+  const rates = [];
+  lines.slice(headerIndex + 1).forEach((line, i) => {
+    if (line === '') return;
+    const lineNo = headerIndex + i + 2;
+    const cells = splitCSVLine(line).map((c) => c.trim());
+    const cell = (column) => {
+      const value = header.includes(column) ? cells[header.indexOf(column)] || '' : '';
+      return value === '*' ? '' : value;
+    };
+    const amount = (column) => {
+      const value = cell(column).replace(',', '.');
+      if (value === '') return null;
+      if (isNaN(Number(value)) || Number(value) < 0) {
+        throw new Error(`Pay rates line ${lineNo}: "${cell(column)}" is not a valid ${column}`);
+      }
+      return Number(value);
+    };
+
+    const type = cell('class type').toLowerCase();
+    if (type && type !== 'private' && type !== 'group') {
+      throw new Error(`Pay rates line ${lineNo}: class type must be private, group or blank`);
+    }
+    const rate = amount('rate');
+    if (rate === null) throw new Error(`Pay rates line ${lineNo}: the rate is missing`);
+    rates.push({
+      teacher: cell('teacher') || null,
+      type: type || null,
+      duration: amount('duration'),
+      rate,
+      noShowRate: amount('no show rate'),
+      lateCancellationRate: amount('late cancellation rate')
+    });
+  });
+  return rates;
+}
+
+/*
+ * findPayRate
+ * ------------
+ * The most specific rate for a teacher's classes of one type and duration: a
+ * teacher match outranks a class type match, which outranks a duration match.
+ * Among equally specific rows the last one wins.
+ *
+ * @param {Array<Object>} rates - From parsePayRates()
+ * @param {string} teacher - Username
+ * @param {'private'|'group'} type
+ * @param {number} duration - Minutes
+ * @returns {Object|null}
+ */
+function findPayRate(rates, teacher, type, duration) {
+  let best = null;
+  let bestScore = -1;
+  rates.forEach((r) => {
+    if ((r.teacher && r.teacher !== teacher) || (r.type && r.type !== type) ||
+      (r.duration !== null && r.duration !== duration)) return;
+    const score = (r.teacher ? 4 : 0) + (r.type ? 2 : 0) + (r.duration !== null ? 1 : 0);
+    if (score >= bestScore) {
+      best = r;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/*
+ * parseSteps
+ * -----------
+ * Reads "from=value" pairs separated by commas, semicolons or new lines, each step
+ * starting at its whole number `from` and running up to the next one.
+ *
+ * @param {string} text - e.g. "0=0, 1=1, 6=1.25"
+ * @param {string} name - What a step is called in error messages
+ * @param {string} example - A valid step for the error messages
+ * @returns {Array<{min: number, value: number, label: string}>} sorted by min;
+ *   labels read "1-5", "6" or "7+"
+ * @throws {Error} naming the first invalid or repeated step
+ */
+function parseSteps(text, name, example) {
+  const steps = text.split(/[,;\n]/).map((t) => t.trim()).filter(Boolean).map((t) => {
+    const match = t.match(/^(\d+)\s*[=:]\s*(\d+(?:\.\d+)?)$/);
+    if (!match) throw new Error(`${name} "${t}" should look like ${example}`);
+    return { min: Number(match[1]), value: Number(match[2]) };
+  }).sort((a, b) => a.min - b.min);
+
+  steps.forEach((t, i) => {
+    const next = steps[i + 1];
+    if (next && next.min === t.min) throw new Error(`${name} ${t.min} is given twice`);
+    t.label = !next ? `${t.min}+` : next.min - 1 === t.min ? `${t.min}` : `${t.min}-${next.min - 1}`;
+  });
+  return steps;
+}
+
+/*
+ * findStep
+ * ---------
+ * @param {Array<Object>} steps - From parseSteps() (or the parsers built on it)
+ * @param {number} n
+ * @returns {Object|null} The step `n` falls in; null below the first one
+ */
+function findStep(steps, n) {
+  let found = null;
+  steps.forEach((t) => {
+    if (n >= t.min) found = t;
+  });
+  return found;
+}
+
+/*
+ * parseGroupTiers
+ * ----------------
+ * Reads group pay tiers written as "students=multiplier" pairs, each tier starting
+ * at its number of students: "0=0, 1=1, 6=1.25" pays nothing for empty classes,
+ * one unit for 1–5 students and 1.25 from 6 up. Classes below the first tier are
+ * counted as usual.
+ *
+ * @param {string} text
+ * @returns {Array<{min: number, multiplier: number, label: string}>} sorted by min
+ * @throws {Error} naming the first invalid tier
+ */
+function parseGroupTiers(text) {
+  return parseSteps(text, 'Group pay tier', '6=1.25 (students=multiplier)')
+    .map(({ min, value, label }) => ({ min, multiplier: value, label }));
+}
+
+/*
+ * parseTardinessBands
+ * --------------------
+ * Reads the bands of the stepped tardiness policy as "minutes late=% deducted":
+ * "5=25, 10=50, 20=100" deducts a quarter of the class for 5–9 minutes, half for
+ * 10–19 and all of it from 20.
+ *
+ * @param {string} text
+ * @returns {Array<{min: number, percent: number, label: string}>} sorted by min
+ * @throws {Error} naming the first invalid band
+ */
+function parseTardinessBands(text) {
+  return parseSteps(text, 'Tardiness band', '10=50 (minutes late=% deducted)').map(({ min, value, label }) => {
+    if (value > 100) throw new Error(`Tardiness band ${min} deducts more than 100%`);
+    return { min, percent: value, label };
+  });
+}
+
+/*
+ * tardinessDeduction
+ * -------------------
+ * The share of a class (0–1) a teacher loses for arriving `tardinessMin` minutes
+ * late under the hour count's tardiness policy:
+ *   - 'all_or_nothing' (default): the whole class past `tardinessLimit`
+ *   - 'proportional': the minutes missed out of the scheduled ones, past `tardinessLimit`
+ *   - 'stepped': the % of the band from `tardinessBands` the lateness falls in
+ *
+ * @param {number} tardinessMin - Whole minutes
+ * @param {number} durationMin - Scheduled minutes
+ * @param {Object} settings - tardinessPolicy, tardinessLimit, tardinessBands
+ * @returns {{deduction: number, rule: string}|null} null when nothing is deducted
+ */
+function tardinessDeduction(tardinessMin, durationMin, settings) {
+  const { tardinessPolicy = 'all_or_nothing', tardinessLimit, tardinessBands } = settings;
+  if (tardinessPolicy === 'stepped') {
+    const band = findStep(tardinessBands, tardinessMin);
+    if (!band || !band.percent || tardinessMin <= 0) return null;
+    return {
+      deduction: band.percent / 100,
+      rule: `late ${tardinessMin} min in band ${band.label} min (stepped tardiness ${band.percent}%)`
+    };
+  }
+  if (tardinessMin <= tardinessLimit) return null;
+  if (tardinessPolicy === 'proportional') {
+    return {
+      deduction: durationMin ? Math.min(1, tardinessMin / durationMin) : 1,
+      rule: `late ${tardinessMin} of ${durationMin} min > tardiness limit ${tardinessLimit} min (proportional tardiness)`
+    };
+  }
+  return {
+    deduction: 1,
+    rule: `late ${tardinessMin} min > tardiness limit ${tardinessLimit} min (penalise tardiness)`
+  };
+}
+
+// Who can cancel a class, in the order of the cancellation policy's rows and columns
+const CANCELLATION_PARTIES = ['student', 'teacher', 'admin'];
+
+/*
+ * emptyCancellationPolicy
+ * ------------------------
+ * A cancellation policy that pays nothing for any cancellation.
+ *
+ * @returns {Object<string, Object<string, {window: number, payout: number, penalty: number}>>}
+ *   party → class type → rule
+ */
+function emptyCancellationPolicy() {
+  const policy = {};
+  CANCELLATION_PARTIES.forEach((party) => {
+    policy[party] = {
+      private: { window: 0, payout: 0, penalty: 0 },
+      group: { window: 0, payout: 0, penalty: 0 }
+    };
+  });
+  return policy;
+}
+
+/*
+ * parseCancellationPolicy
+ * ------------------------
+ * Reads a cancellation policy written as "party-type=hours:payout%[:penalty%]"
+ * entries separated by commas, semicolons or new lines. "admin-private=24:100"
+ * pays a private class the admin cancelled less than 24h before the start in full;
+ * "teacher-*=48:0:50" also takes half a class off a teacher who cancels less than
+ * 48h before. "*" matches any party or class type; later entries win. Cells not
+ * given pay nothing.
+ *
+ * @param {string} text
+ * @returns {Object} As emptyCancellationPolicy()
+ * @throws {Error} naming the first invalid entry
+ */
+function parseCancellationPolicy(text) {
+  const policy = emptyCancellationPolicy();
+  text.split(/[,;\n]/).map((t) => t.trim()).filter(Boolean).forEach((t) => {
+    const match = t.match(/^(\*|student|teacher|admin)-(\*|private|group)\s*=\s*(\d+(?:\.\d+)?)h?:(\d+(?:\.\d+)?)%?(?::(\d+(?:\.\d+)?)%?)?$/i);
+    if (!match) throw new Error(`Cancellation rule "${t}" should look like admin-private=24:100 (party-type=hours:payout%[:penalty%])`);
+    const [, party, type, window, payout, penalty = '0'] = match.map((m) => m && m.toLowerCase());
+    if (Number(payout) > 100 || Number(penalty) > 100) throw new Error(`Cancellation rule "${t}" is over 100%`);
+    (party === '*' ? CANCELLATION_PARTIES : [party]).forEach((p) => {
+      (type === '*' ? ['private', 'group'] : [type]).forEach((ct) => {
+        policy[p][ct] = { window: Number(window), payout: Number(payout), penalty: p === 'teacher' ? Number(penalty) : 0 };
+      });
+    });
+  });
+  return policy;
+}
+
+/*
+ * lateCancellation
+ * -----------------
+ * How the cancellation policy treats a cancellation made `hoursBefore` hours before
+ * the start of a class of `type` by `party`: only those inside the rule's window
+ * count, paying its payout (and, for teachers, taking off its penalty).
+ *
+ * @param {Object} policy - From parseCancellationPolicy() or emptyCancellationPolicy()
+ * @param {string} party - 'student' | 'teacher' | 'admin'
+ * @param {string} type - 'private' | 'group'
+ * @param {number|null} hoursBefore - null when the cancellation time is unknown
+ * @returns {{payout: number, penalty: number, rule: string}|null} payout and penalty as
+ *   fractions of a class; null when the cancellation is not late
+ */
+function lateCancellation(policy, party, type, hoursBefore) {
+  const cell = policy[party][type];
+  if (hoursBefore === null || !(hoursBefore < cell.window)) return null;
+  const penalty = cell.penalty ? ` and ${cell.penalty}% penalty` : '';
+  return {
+    payout: cell.payout / 100,
+    penalty: cell.penalty / 100,
+    rule: `cancelled by ${party} ${round2(hoursBefore)}h before the start ` +
+      `(< ${cell.window}h: ${cell.payout}% paid${penalty})`
+  };
+}
+
+
+/* -----------------------------------------------------------------------------
+   3.2 Teacher Overview & Feedback Report
+   ----------------------------------------------------------------------------- */
+
+/*
+ * buildTeacherOverviewCSV
+ * ------------------------
+ * For each teacher, aggregates:
+ *   - total group classes, total private classes
+ *   - number attended vs noShow vs nonCancelled
+ *   - cancellations by teacher vs by student
+ *   - total/average tardiness
+ *   - average rating (across all students)
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @returns {string} CSV string with header + one row per teacher
+ */
+/**
+ * Builds CSV for private-class metrics per teacher. Pass `cellSlugs` to collect the
+ * classes behind each cell (see addCellSlugs()).
+ */
+function buildTeacherPrivateClassesCSV(processedData, cellSlugs) {
+  const stats = {};
+
+  Object.values(processedData).forEach((cls) => {
+    if (cls.available_seats !== 1) return; // skip non-private
+    const name = cls.teacher.username;
+    if (!name) return;
+
+    if (!stats[name]) {
+      stats[name] = {
+        totalBooked: 0,
+        cancelledByTeacher: 0,
+        cancelledByAdmin: 0,
+        cancelledByStudent: 0,
+        totalRemaining: 0,
+        teacherNoShows: 0,
+        studentNoShows: 0,
+        teacherTardinessSum: 0,
+        teacherTardinessCount: 0,
+        studentTardinessSum: 0,
+        studentTardinessCount: 0,
+        ratingSum: 0,
+        ratingCount: 0,
+        feedbackCount: 0
+      };
+    }
+    const s = stats[name];
+    const mark = (column) => addCellSlugs(cellSlugs, name, column, [cls.slug]);
+    s.totalBooked++;
+    mark('total classes booked');
+
+    // cancellations
+    if (cls.cancelledByTeacher) {
+      s.cancelledByTeacher++;
+      mark('cancelled by teacher');
+    } else if (cls.cancelledByStudent) {
+      s.cancelledByStudent++;
+      mark('cancelled by student');
+    } else if (cls.cancelledByAdmin) {
+      s.cancelledByAdmin++;
+      mark('cancelled by admin');
+    }
+
+    // remaining & no-shows
+    if (!cls.cancelledBy) {
+      s.totalRemaining++;
+      mark('total remaining classes');
+      if (!cls.teacher.attended) {
+        s.teacherNoShows++;
+        mark('teacher no shows');
+      }
+      const allAbsent = cls.students.every((st) => !st.attended);
+      if (cls.teacher.attended && allAbsent) {
+        s.studentNoShows++;
+        mark('student no shows');
+      }
+    }
+
+    // teacher tardiness
+    const tMin = cls.teacher.tardiness / 60;
+    s.teacherTardinessSum += tMin;
+    s.teacherTardinessCount++;
+    mark('average teacher tardiness');
+
+    // students: tardiness, ratings, feedback
+    cls.students.forEach((st) => {
+      if (typeof st.tardiness === 'number') {
+        s.studentTardinessSum += st.tardiness / 60;
+        s.studentTardinessCount++;
+        mark('average student tardiness');
+      }
+      const r = parseFloat(st.rating);
+      const hasFB = (st.feedback && st.feedback.trim()) || !isNaN(r);
+      if (!isNaN(r)) {
+        s.ratingSum += r;
+        s.ratingCount++;
+        mark('average rating');
+      }
+      if (hasFB) {
+        s.feedbackCount++;
+        mark('feedback rate');
+      }
+    });
+  });
+
+  // build CSV
+  const header = [
+    'teacher',
+    'total classes booked',
+    'cancelled by teacher',
+    'cancelled by admin',
+    'cancelled by student',
+    'total remaining classes',
+    'teacher no shows',
+    'student no shows',
+    'average teacher tardiness',
+    'average student tardiness',
+    'average rating',
+    'feedback rate'
+  ];
+  const rows = [header.join(',')];
+
+  Object.entries(stats).forEach(([name, s]) => {
+    const avgTardT = s.teacherTardinessCount
+      ? (s.teacherTardinessSum / s.teacherTardinessCount).toFixed(2)
+      : '0.00';
+    const avgTardS = s.studentTardinessCount
+      ? (s.studentTardinessSum / s.studentTardinessCount).toFixed(2)
+      : '0.00';
+    const avgRating = s.ratingCount
+      ? (s.ratingSum / s.ratingCount).toFixed(2)
+      : '0.00';
+    const fbRate = s.totalBooked
+      ? ((s.feedbackCount / s.totalBooked) * 100).toFixed(2)
+      : '0.00';
+
+    rows.push([
+      `"${name}"`,
+      s.totalBooked,
+      s.cancelledByTeacher,
+      s.cancelledByAdmin,
+      s.cancelledByStudent,
+      s.totalRemaining,
+      s.teacherNoShows,
+      s.studentNoShows,
+      avgTardT,
+      avgTardS,
+      avgRating,
+      fbRate
+    ].join(','));
+  });
+
+  return rows.join('\n');
+}
+
+/**
+ * Builds CSV for group-class metrics per teacher. Pass `cellSlugs` to collect the
+ * classes behind each cell (see addCellSlugs()).
+ */
+function buildTeacherGroupClassesCSV(processedData, cellSlugs) {
+  const stats = {};
+
+  Object.values(processedData).forEach((cls) => {
+    if (cls.available_seats <= 1) return; // skip private
+    const name = cls.teacher.username;
+    if (!name) return;
+
+    if (!stats[name]) {
+      stats[name] = {
+        totalBooked: 0,
+        cancelledByTeacher: 0,
+        cancelledByAdmin: 0,
+        totalRemaining: 0,
+        teacherNoShows: 0,
+        classStudentNoShowClasses: 0,
+        classStudentNoShowTotal: 0,
+        teacherTardinessSum: 0,
+        teacherTardinessCount: 0,
+        studentTardinessSum: 0,
+        studentTardinessCount: 0,
+        ratingSum: 0,
+        ratingCount: 0,
+        feedbackClassCount: 0
+      };
+    }
+    const s = stats[name];
+    const mark = (column) => addCellSlugs(cellSlugs, name, column, [cls.slug]);
+    s.totalBooked++;
+    mark('total classes booked');
+
+    if (cls.cancelledByTeacher) {
+      s.cancelledByTeacher++;
+      mark('cancelled by teacher');
+    } else if (cls.cancelledByAdmin) {
+      s.cancelledByAdmin++;
+      mark('cancelled by admin');
+    }
+
+    if (!cls.cancelledBy) {
+      s.totalRemaining++;
+      mark('total remaining classes');
+      if (!cls.teacher.attended) {
+        s.teacherNoShows++;
+        mark('teacher no shows');
+      }
+      const anyNoShow = cls.students.some((st) => !st.attended && !st.cancelled);
+      if (anyNoShow) {
+        s.classStudentNoShowClasses++;
+        mark('student no shows (classes)');
+      }
+    }
+
+    // total student no-shows
+    const noShowCount = cls.students.filter((st) => !st.attended && !st.cancelled).length;
+    s.classStudentNoShowTotal += noShowCount;
+    if (noShowCount) mark('student no shows (total)');
+
+    // teacher tardiness
+    const tMin = cls.teacher.tardiness / 60;
+    s.teacherTardinessSum += tMin;
+    s.teacherTardinessCount++;
+    mark('average teacher tardiness');
+
+    cls.students.forEach((st) => {
+      if (typeof st.tardiness === 'number') {
+        s.studentTardinessSum += st.tardiness / 60;
+        s.studentTardinessCount++;
+        mark('average student tardiness');
+      }
+      const r = parseFloat(st.rating);
+      const hasFB = (st.feedback && st.feedback.trim()) || !isNaN(r);
+      if (!isNaN(r)) {
+        s.ratingSum += r;
+        s.ratingCount++;
+        mark('average rating');
+      }
+      if (hasFB) {
+        s.feedbackClassCount++;
+        mark('feedback rate');
+      }
+    });
+  });
+
+  // build CSV
+  const header = [
+    'teacher',
+    'total classes booked',
+    'cancelled by teacher',
+    'cancelled by admin',
+    'total remaining classes',
+    'teacher no shows',
+    'student no shows (classes)',
+    'student no shows (total)',
+    'average teacher tardiness',
+    'average student tardiness',
+    'average rating',
+    'feedback rate'
+  ];
+  const rows = [header.join(',')];
+
+  Object.entries(stats).forEach(([name, s]) => {
+    const avgTardT = s.teacherTardinessCount
+      ? (s.teacherTardinessSum / s.teacherTardinessCount).toFixed(2)
+      : '0.00';
+    const avgTardS = s.studentTardinessCount
+      ? (s.studentTardinessSum / s.studentTardinessCount).toFixed(2)
+      : '0.00';
+    const avgRating = s.ratingCount
+      ? (s.ratingSum / s.ratingCount).toFixed(2)
+      : '0.00';
+    const fbRate = s.totalBooked
+      ? ((s.feedbackClassCount / s.totalBooked) * 100).toFixed(2)
+      : '0.00';
+
+    rows.push([
+      `"${name}"`,
+      s.totalBooked,
+      s.cancelledByTeacher,
+      s.cancelledByAdmin,
+      s.totalRemaining,
+      s.teacherNoShows,
+      s.classStudentNoShowClasses,
+      s.classStudentNoShowTotal,
+      avgTardT,
+      avgTardS,
+      avgRating,
+      fbRate
+    ].join(','));
+  });
+
+  return rows.join('\n');
+}
+
+/*
+ * buildTeacherFeedbackCSV
+ * ------------------------
+ * Produces a CSV of individual feedback entries per teacher per student:
+ * Columns: teacher, student, class date, feedback, rating
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @returns {string} CSV string with header + one row per feedback entry
+ */
+function buildTeacherFeedbackCSV(processedData) {
+  const rows = ['teacher,student,class date,feedback,rating'];
+
+  Object.keys(processedData).forEach((classSlug) => {
+    const cls = processedData[classSlug];
+    const teacherUsername = cls.teacher.username;
+    if (!teacherUsername) return;
+
+    const classDate = toDisplayTimestamp(cls.scheduledStart); // e.g., "2023-01-15 10:00:00"
+
+    cls.students.forEach((student) => {
+      const feedback = (student.feedback || '').trim();
+      const rating = (student.rating || '').trim();
+
+      // Only include if there is a non-empty feedback or rating
+      if (feedback || rating) {
+        // Wrap feedback in quotes to handle commas inside
+        rows.push([
+          teacherUsername,
+          student.username,
+          classDate,
+          `"${feedback}"`,
+          rating
+        ].join(','));
+      }
+    });
+  });
+
+  return rows.join('\n');
+}
+
+
+/* -----------------------------------------------------------------------------
+   3.3 Course Reports
+   ----------------------------------------------------------------------------- */
+
+/*
+ * buildAllCoursesOverviewCSV
+ * ---------------------------
+ * Summarizes courses by aggregating all classes with the same course ID. For each
+ * course ID, reports:
+ *   - teacher(s) involved
+ *   - first class date, last class date
+ *   - level, subject, course description (from the first class's metadata)
+ *   - total number of classes, available seats
+ *   - number of unique students enrolled
+ *   - overall attendance rate across all students & all classes
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @returns {string} CSV string with header + one row per course ID
+ */
+function buildAllCoursesOverviewCSV(processedData) {
+  // 1) Group classes by course ID
+  const byCourse = {};
+  Object.keys(processedData).forEach((slug) => {
+    const cls = processedData[slug];
+    const courseId = cls['course_id'] || 'NO_ID';
+    byCourse[courseId] = byCourse[courseId] || [];
+    byCourse[courseId].push(cls);
+  });
+
+  // 2) Build header
+  const header = [
+    'course ID',
+    'teacher',
+    'start date',
+    'end date',
+    'level',
+    'subject',
+    'course description',
+    'total classes',
+    'seats',
+    'students enrolled (unique)',
+    'attendance rate (%)'
+  ];
+  const rows = [header.join(',')];
+
+  // 3) For each course ID, compute aggregates
+  Object.keys(byCourse).forEach((courseId) => {
+    const classes = byCourse[courseId].sort(
+      (a, b) => parseTimestamp(a.scheduledStart) - parseTimestamp(b.scheduledStart)
+    );
+    const firstClass = classes[0];
+    const teachers = unique(classes.map((c) => c.teacher.username).filter(Boolean));
+
+    let allStudentUsernames = [];
+    let attendedCount = 0;
+    let totalStudentParticipations = 0;
+
+    classes.forEach((cls) => {
+      if (!Array.isArray(cls.students)) return;
+      cls.students.forEach((student) => {
+        allStudentUsernames.push(student.username);
+        totalStudentParticipations++;
+        if (student.attended) attendedCount++;
+      });
+    });
+
+    const uniqueStudents = unique(allStudentUsernames);
+    const classCount = classes.length;
+    const attendanceRate = totalStudentParticipations
+      ? Math.round((attendedCount / totalStudentParticipations) * 100)
+      : '';
+
+    rows.push([
+      `"${courseId}"`,
+      `"${teachers.join(' - ')}"`,
+      `"${toDisplayTimestamp(classes[0].scheduledStart)}"`,
+      `"${toDisplayTimestamp(classes[classes.length - 1].scheduledStart)}"`,
+      `"${firstClass.level || ''}"`,
+      `"${firstClass.subject || ''}"`,
+      `"${firstClass['course description'] || ''}"`,
+      classCount,
+      `"${firstClass.available_seats || ''}"`,
+      uniqueStudents.length,
+      attendanceRate
+    ].join(','));
+  });
+
+  return rows.join('\n');
+}
+
+/*
+ * buildCourseDetailReport
+ * ------------------------
+ * For a specific course ID, produces two CSV strings:
+ *   - infoCsv: high-level info about course (ID, teachers, first/last date, etc.)
+ *   - classListCsv: one row per class with each student's status (attended / cancelled / no show)
+ *
+ * Also returns uniqueStudents array for possible further UI use.
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @param {string} courseId - The course ID to filter by
+ * @returns {Object} { infoCsv: string, classListCsv: string, uniqueStudents: Array<string> }
+ */
+function buildCourseDetailReport(processedData, courseId) {
+  // Filter classes belonging to this course ID
+  const classes = Object.values(processedData)
+    .filter((cls) => (cls.course_id || 'NO_ID') === courseId)
+    .sort((a, b) => parseTimestamp(a.scheduledStart) - parseTimestamp(b.scheduledStart));
+
+  if (!classes.length) {
+    return { infoCsv: '', classListCsv: '', uniqueStudents: [] };
+  }
+
+  const teachers = unique(classes.map((cls) => cls.teacher.username).filter(Boolean));
+  let allStudentUsernames = [];
+  let attendedCount = 0;
+  let totalStudentParticipations = 0;
+
+  classes.forEach((cls) => {
+    if (!Array.isArray(cls.students)) return;
+    cls.students.forEach((student) => {
+      allStudentUsernames.push(student.username);
+      totalStudentParticipations++;
+      if (student.attended) attendedCount++;
+    });
+  });
+
+  const uniqueStudents = unique(allStudentUsernames);
+  const attendanceRate = totalStudentParticipations
+    ? Math.round((attendedCount / totalStudentParticipations) * 100)
+    : '';
+
+  // Build the infoCsv header & single row
+  const infoHeader = [
+    'course ID',
+    'teacher(s)',
+    'start date',
+    'end date',
+    'level',
+    'subject',
+    'course description',
+    'seats',
+    'students enrolled',
+    'total classes',
+    'attendance rate (%)'
+  ];
+  const firstClass = classes[0];
+  const infoRow = [
+    `"${courseId}"`,
+    `"${teachers.join(' - ')}"`,
+    `"${toDisplayTimestamp(classes[0].scheduledStart)}"`,
+    `"${toDisplayTimestamp(classes[classes.length - 1].scheduledStart)}"`,
+    `"${firstClass.level || ''}"`,
+    `"${firstClass.subject || ''}"`,
+    `"${firstClass['course description'] || ''}"`,
+    `"${firstClass.available_seats || ''}"`,
+    uniqueStudents.length,
+    classes.length,
+    attendanceRate
+  ];
+
+  // Build the classListCsv
+  const classListHeader = [
+    'class number',
+    'date',
+    'time',
+    'duration',
+    'status',
+    ...uniqueStudents.map((u) => `"${u}"`)
+  ];
+  const classListRows = [classListHeader.join(',')];
+
+  classes.forEach((cls, idx) => {
+    const { date, time } = formatDateTime(cls.scheduledStart);
+    const hours = Math.floor((cls.scheduledDuration || 0) / 60)
+      .toString()
+      .padStart(2, '0');
+    const mins = ((cls.scheduledDuration || 0) % 60).toString().padStart(2, '0');
+    const duration = `${hours}:${mins}`;
+    const status = cls.cancelledBy ? 'cancelled' : 'completed';
+
+    // For each unique student, find their status in this class
+    const rowByStudent = uniqueStudents.map((username) => {
+      const studentObj = Array.isArray(cls.students)
+        ? cls.students.find((s) => s.username === username)
+        : undefined;
+      if (!studentObj) return '';
+      if (studentObj.cancelled) return 'cancelled';
+      if (studentObj.attended) return 'attended';
+      return 'no show';
+    });
+
+    classListRows.push([
+      `Class ${idx + 1}`,
+      date,
+      time,
+      duration,
+      status,
+      ...rowByStudent
+    ].join(','));
+  });
+
+  return {
+    infoCsv: [infoHeader.join(','), infoRow.join(',')].join('\n'),
+    classListCsv: classListRows.join('\n'),
+    uniqueStudents
+  };
+}
+
+
+function buildCourseDetailReportANPAL(processedData, courseId) {
+  // Reuse the same filtering and aggregates as the standard detail report
+  const classes = Object.values(processedData)
+    .filter((cls) => (cls.course_id || 'NO_ID') === courseId)
+    .sort((a, b) => parseTimestamp(a.scheduledStart) - parseTimestamp(b.scheduledStart));
+
+  if (!classes.length) {
+    return { infoCsv: '', classListCsv: '', uniqueStudents: [] };
+  }
+
+  // ===== Info CSV (unchanged from standard) =====
+  const teachers = unique(classes.map((cls) => cls.teacher.username).filter(Boolean));
+  let allStudentUsernames = [];
+  let attendedCount = 0;
+  let totalStudentParticipations = 0;
+
+  classes.forEach((cls) => {
+    (cls.students || []).forEach((student) => {
+      allStudentUsernames.push(student.username);
+      totalStudentParticipations++;
+      if (student.attended) attendedCount++;
+    });
+  });
+
+  const uniqueStudents = unique(allStudentUsernames);
+  const attendanceRate = totalStudentParticipations
+    ? Math.round((attendedCount / totalStudentParticipations) * 100)
+    : '';
+
+  const infoHeader = [
+    'course ID',
+    'teacher(s)',
+    'start date',
+    'end date',
+    'level',
+    'subject',
+    'course description',
+    'seats',
+    'students enrolled',
+    'total classes',
+    'attendance rate (%)'
+  ];
+  const firstClass = classes[0];
+  const infoRow = [
+    `"${courseId}"`,
+    `"${teachers.join(' - ')}"`,
+    `"${toDisplayTimestamp(classes[0].scheduledStart)}"`,
+    `"${toDisplayTimestamp(classes[classes.length - 1].scheduledStart)}"`,
+    `"${firstClass.level || ''}"`,
+    `"${firstClass.subject || ''}"`,
+    `"${firstClass['course description'] || ''}"`,
+    `"${firstClass.available_seats || ''}"`,
+    uniqueStudents.length,
+    classes.length,
+    attendanceRate
+  ];
+  const infoCsv = [infoHeader.join(','), infoRow.join(',')].join('\n');
+
+  // ===== Class List CSV (ANPAL variant) =====
+  // Helpers
+  // Helpers (source timestamps shown in the display time zone)
+  const toLocalDate = (ts) => formatDateTime(ts).date;
+  const toLocalTime = (ts) => formatDateTime(ts).time;
+  const addSeconds = (ts, seconds) => formatDateTime(ts, undefined, seconds).time;
+
+  // Header: ANPAL replaces duration with Class End Time and adds extra columns
+  const classListHeader = [
+    'class number',
+    'date',
+    'time',
+    'class end time (actual)',
+    'status',
+    'class ID',
+    'teacher username',
+    'teacher name',
+    'teacher attended time',
+    ...uniqueStudents.map((u) => `"${u}"`)
+  ];
+  const classListRows = [classListHeader.join(',')];
+
+  classes.forEach((cls, idx) => {
+    const date = toLocalDate(cls.scheduledStart);
+    const time = toLocalTime(cls.scheduledStart);
+    const endTime = addSeconds(cls.scheduledStart, cls.actualDuration); // actual end
+    const status = cls.cancelledBy ? 'cancelled' : 'completed';
+    const teacherFullName = `${cls.teacher.firstName ? cls.teacher.firstName : ''} ${cls.teacher.lastName ? cls.teacher.lastName : ''}`.trim();
+    const teacherJoin = cls.teacher.joinTime ? toLocalTime(cls.teacher.joinTime) : '';
+
+    // For each unique student, show:
+    // - join time if attended & we have a joinTime
+    // - "cancelled" if cancelled
+    // - "no show" otherwise
+    const rowByStudent = uniqueStudents.map((username) => {
+      const s = (cls.students || []).find((st) => st.username === username);
+      if (!s) return '';
+      if (s.cancelled) return 'cancelled';
+      if (s.attended) {
+        return s.joinTime ? toLocalTime(s.joinTime) : 'attended';
+      }
+      return 'no show';
+    });
+
+    classListRows.push([
+      `Class ${idx + 1}`,
+      date,
+      time,
+      endTime,
+      status,
+      cls.slug,
+      cls.teacher.username || '',
+      `"${teacherFullName}"`,
+      teacherJoin,
+      ...rowByStudent
+    ].join(','));
+  });
+
+  return {
+    infoCsv,
+    classListCsv: classListRows.join('\n'),
+    uniqueStudents
+  };
+}
+
+
+/**
+ * Builds a CSV for each student’s overview stats in a particular course.
+ */
+function buildCourseStudentOverviewCSV(processedData, courseId) {
+  // 1. Get all classes for this course
+  const classes = Object.values(processedData)
+    .filter((cls) => (cls.course_id || 'NO_ID') === courseId);
+
+  // 2. Tally per‐student stats
+  const stats = {}; // username → { enrolled, attended, noShow, cancelled }
+  classes.forEach((cls) => {
+    (cls.students || []).forEach((s) => {
+      const u = s.username;
+      if (!stats[u]) {
+        stats[u] = { enrolled: 0, attended: 0, noShow: 0, cancelled: 0 };
+      }
+      stats[u].enrolled += 1;
+      if (s.attended) {
+        stats[u].attended += 1;
+      } else if (s.cancelled) {
+        stats[u].cancelled += 1;
+      } else {
+        stats[u].noShow += 1;
+      }
+    });
+  });
+
+  // 3. Build CSV lines
+  const header = ['username', 'enrolled', 'attended', 'no_show', 'cancelled', 'attendance_rate'];
+  const rows = [header.join(',')];
+
+  Object.keys(stats).forEach((u) => {
+    const { enrolled, attended, noShow, cancelled } = stats[u];
+    const rate = ((attended / enrolled) * 100).toFixed(2) + '%';
+    // wrap username in quotes in case it contains commas
+    rows.push([`"${u}"`, enrolled, attended, noShow, cancelled, rate].join(','));
+  });
+
+  return rows.join('\n');
+}
+
+
+/* -----------------------------------------------------------------------------
+   3.4 Student Report
+   ----------------------------------------------------------------------------- */
+
+/*
+ * buildStudentReport
+ * -------------------
+ * Builds a per-student CSV report based on processedData and filters. Aggregates,
+ * for each student:
+ *   - total group/private classes
+ *   - number attended, no-show, cancellations (and late cancellations)
+ *   - average cancellation interval (hrs), average tardiness (min)
+ *   - average rating, average enrolment interval (hrs)
+ *   - average class interval (hrs)
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @param {Object} options - Must include:
+ *   - cancellationWindow: number (hours)
+ *   - companyId: string ('ALL' or specific company)
+ *   - filterMode: 'all' | 'company' | 'custom'
+ *   - customList: Array<string> of valid usernames to include (if filterMode === 'custom')
+ * @param {Object} [cellSlugs] - Filled with the classes behind each cell (see addCellSlugs())
+ * @returns {string} CSV string with header + one row per student
+ */
+function buildStudentReport(processedData, options, cellSlugs) {
+  const { cancellationWindow, companyId, filterMode, customList } = options;
+
+  // Map of username → student aggregate object
+  const students = {};
+
+  Object.keys(processedData).forEach((slug) => {
+    const cls = processedData[slug];
+
+    // --- FILTER CLASSES ACCORDING TO filterMode ---
+    if (filterMode === 'company' && companyId !== 'ALL' && String(cls.company) !== String(companyId)) {
+      return;
+    }
+    // filterMode 'all' or 'custom' → no class-level filter here
+
+    const scheduledStartD = timestampToDate(cls.scheduledStart);
+    const seats = cls.available_seats;
+
+    // For each student in this class, accumulate stats if they pass student filter
+    cls.students.forEach((student) => {
+      const username = student.username;
+      if (!username) return;
+
+      // --- FILTER STUDENTS ACCORDING TO filterMode ---
+      if (filterMode === 'custom' && !customList.includes(username)) {
+        return;
+      }
+      // 'all' & 'company' → all students in included classes are fine
+
+      // Initialize aggregate object if first time seeing this student
+      if (!students[username]) {
+        students[username] = {
+          username,
+          company: cls.company,
+          totalGroup: 0,
+          totalPrivate: 0,
+          attended: 0,
+          noShow: 0,
+          cancelled: 0,
+          cancelledLate: 0,
+          cancellationIntervals: [],
+          ratingSum: 0,
+          ratingCount: 0,
+          enrolmentIntervals: [],
+          tardinessSum: 0,
+          tardinessCount: 0,
+          classDates: []
+        };
+      }
+
+      const s = students[username];
+      const mark = (column) => addCellSlugs(cellSlugs, username, column, [slug]);
+      // PRIVATE vs GROUP
+      if (seats === 1) {
+        s.totalPrivate++;
+        mark('total private classes');
+      } else {
+        s.totalGroup++;
+        mark('total group classes');
+      }
+
+      s.classDates.push(scheduledStartD);
+      mark('average class interval (hrs)');
+
+      // ATTENDANCE / CANCELLATION
+      if (student.cancelled) {
+        // Count all cancellations
+        s.cancelled++;
+        mark('cancellation rate');
+        if (student.cancelledTime) {
+          const cancelledD = timestampToDate(student.cancelledTime);
+          const diffHr = (scheduledStartD - cancelledD) / 3600e3; // hours difference
+          s.cancellationIntervals.push(diffHr);
+          mark('average cancellation interval (hrs)');
+          if (diffHr < cancellationWindow) {
+            s.cancelledLate++;
+            mark('late cancellation rate');
+          }
+        }
+      } else if (student.attended) {
+        // Student did attend
+        s.attended++;
+        mark('attendance rate');
+      } else {
+        // Student did not attend and did not explicitly cancel → no-show
+        s.noShow++;
+        mark('no show rate');
+      }
+
+      // ENROLMENT INTERVAL
+      if (student.enrolledTime) {
+        const enrD = timestampToDate(student.enrolledTime);
+        const diffHr = (scheduledStartD - enrD) / 3600e3;
+        s.enrolmentIntervals.push(diffHr);
+        mark('average enrolment interval (hrs)');
+      }
+
+      // TARDINESS (store minutes)
+      if (typeof student.tardiness === 'number') {
+        s.tardinessSum += student.tardiness / 60;
+        s.tardinessCount++;
+        mark('average tardiness (min)');
+      }
+
+      // RATING
+      const r = parseFloat(student.rating);
+      if (!isNaN(r)) {
+        s.ratingSum += r;
+        s.ratingCount++;
+        mark('average rating');
+      }
+    });
+  });
+
+  // Build CSV header
+  const header = [
+    'student',
+    'company',
+    'total group classes',
+    'total private classes',
+    'attendance rate',
+    'no show rate',
+    'cancellation rate',
+    'late cancellation rate',
+    'average cancellation interval (hrs)',
+    'average tardiness (min)',
+    'average rating',
+    'average enrolment interval (hrs)',
+    'average class interval (hrs)'
+  ].join(',');
+  const rows = [header];
+
+  // Populate one row per student
+  Object.values(students).forEach((s) => {
+    const totalClasses = s.totalGroup + s.totalPrivate;
+    const attRate = totalClasses ? (s.attended / totalClasses).toFixed(2) : '';
+    const noShowRate = totalClasses ? (s.noShow / totalClasses).toFixed(2) : '';
+    const cancelRate = totalClasses ? (s.cancelled / totalClasses).toFixed(2) : '';
+    const lateCancelRate = totalClasses ? (s.cancelledLate / totalClasses).toFixed(2) : '';
+
+    const avgCancelInt = s.cancellationIntervals.length
+      ? (s.cancellationIntervals.reduce((a, b) => a + b, 0) / s.cancellationIntervals.length).toFixed(2)
+      : '';
+
+    const avgTard = s.tardinessCount
+      ? (s.tardinessSum / s.tardinessCount).toFixed(2)
+      : '';
+
+    const avgRating = s.ratingCount
+      ? (s.ratingSum / s.ratingCount).toFixed(2)
+      : '';
+
+    const avgEnrol = s.enrolmentIntervals.length
+      ? (s.enrolmentIntervals.reduce((a, b) => a + b, 0) / s.enrolmentIntervals.length).toFixed(2)
+      : '';
+
+    // Calculate average interval between classes (only for students with multiple classes)
+    let avgClassInt = '';
+    if (s.classDates.length > 1) {
+      const sortedDates = s.classDates.sort((a, b) => a - b);
+      let sumDiffHr = 0;
+      for (let i = 1; i < sortedDates.length; i++) {
+        sumDiffHr += (sortedDates[i] - sortedDates[i - 1]) / 3600e3;
+      }
+      avgClassInt = (sumDiffHr / (sortedDates.length - 1)).toFixed(2);
+    }
+
+    rows.push([
+      s.username,
+      s.company,
+      s.totalGroup,
+      s.totalPrivate,
+      attRate,
+      noShowRate,
+      cancelRate,
+      lateCancelRate,
+      avgCancelInt,
+      avgTard,
+      avgRating,
+      avgEnrol,
+      avgClassInt
+    ].join(','));
+  });
+
+  return rows.join('\n');
+}
+
+
+/* -----------------------------------------------------------------------------
+   3.5 Overview Data & Private Averages Table (HTML)
+   ----------------------------------------------------------------------------- */
+
+/*
+ * buildOverviewData
+ * ------------------
+ * Creates aggregated statistics for all classes, broken out by class type (private vs group)
+ * and by duration, or by period when a granularity is given. Returns two objects:
+ * groupData and privateData, each mapping:
+ *   duration (minutes) or period start ("YYYY-MM-DD") → { total, completed, cancelled, cancelledByStudent, cancelledByTeacher, cancelledByAdmin, studentCancelledLate, teacherNoShow, studentNoShow, bothNoShow }
+ * In period mode every period between the first and the last class gets a bucket,
+ * so quiet weeks show as zeros instead of disappearing.
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @param {number} cancellationWindow - Hours within which a student cancellation is "late"
+ * @param {string} [granularity] - 'week' | 'month' | 'quarter'; omitted = by duration
+ * @returns {Object} { groupData: Object, privateData: Object }
+ */
+function buildOverviewData(processedData, cancellationWindow, granularity) {
+  const metricKeys = [
+    'total', 'completed', 'cancelled', 'cancelledByStudent', 'cancelledByTeacher', 'cancelledByAdmin',
+    'studentCancelledLate', 'teacherNoShow', 'studentNoShow', 'bothNoShow'
+  ];
+  // Each metric's count, plus the slugs of the classes behind it under `slugs`
+  const emptyBucket = () => {
+    const bucket = { slugs: {} };
+    metricKeys.forEach((key) => {
+      bucket[key] = 0;
+      bucket.slugs[key] = [];
+    });
+    return bucket;
+  };
+  const periods = granularity ? listOverviewPeriods(processedData, granularity) : [];
+
+  /*
+   * tally
+   * -----
+   * Helper to compute the bucketed stats for a given class type.
+   *
+   * @param {string} type - 'private' or 'group'
+   * @returns {Object<number|string, Object>} Map: duration (minutes) or period start → metrics object
+   */
+  function tally(type) {
+    const byDuration = {};
+    periods.forEach((start) => (byDuration[start] = emptyBucket()));
+
+    Object.values(processedData)
+      .filter((cls) => (type === 'private' ? cls.available_seats === 1 : cls.available_seats > 1))
+      .forEach((cls) => {
+        const d = granularity
+          ? overviewPeriodStart(cls.scheduledStart, granularity)
+          : Math.round(cls.scheduledDuration / 60);
+        if (d === null) return; // unreadable start date (see the data quality checks)
+        if (!byDuration[d]) {
+          byDuration[d] = emptyBucket();
+        }
+        const bucket = byDuration[d];
+        const count = (key) => {
+          bucket[key]++;
+          bucket.slugs[key].push(cls.slug);
+        };
+        count('total');
+
+        const teacherAttended = cls.teacher.attended;
+        const classCancelled = Boolean(cls.cancelledBy);
+
+        // Completed = teacher attended & class not cancelled
+        if (teacherAttended && !classCancelled) {
+          count('completed');
+        }
+
+        // Any cancellation → classify
+        if (classCancelled) {
+          count('cancelled');
+          if (cls.cancelledByStudent) count('cancelledByStudent');
+          if (cls.cancelledByTeacher) count('cancelledByTeacher');
+          if (cls.cancelledByAdmin) count('cancelledByAdmin');
+
+          // Late student cancellation?
+          if (
+            cls.cancelledByStudent &&
+            cls.cancelledInterval !== '' &&
+            parseFloat(cls.cancelledInterval) < cancellationWindow
+          ) {
+            count('studentCancelledLate');
+          }
+        }
+
+        // Teacher no-show (teacher didn't attend & class not cancelled)
+        if (!teacherAttended && !classCancelled) {
+          count('teacherNoShow');
+        }
+
+        // Student no-show: group vs private differ slightly:
+        const allStudentsAbsent =
+          Array.isArray(cls.students) &&
+          cls.students.length > 0 &&
+          cls.students.every((s) => !s.attended);
+
+        if (type === 'group') {
+          if (allStudentsAbsent) {
+            count('studentNoShow');
+          }
+        } else {
+          // private: teacher attended & allStudentsAbsent → student no-show
+          if (teacherAttended && allStudentsAbsent) {
+            count('studentNoShow');
+          }
+        }
+
+        // Both no-show: teacher no-show & all students absent
+        if (!teacherAttended && !classCancelled && allStudentsAbsent) {
+          count('bothNoShow');
+        }
+      });
+
+    return byDuration;
+  }
+
+  const groupData = tally('group');
+  const privateData = tally('private');
+  return { groupData, privateData };
+}
+
+/*
+ * overviewPeriodStart
+ * --------------------
+ * First day ("YYYY-MM-DD", display zone) of the week (Monday), month or quarter a
+ * timestamp falls in; null if it cannot be read.
+ *
+ * @param {string} ts
+ * @param {string} granularity - 'week' | 'month' | 'quarter'
+ * @returns {string|null}
+ */
+function overviewPeriodStart(ts, granularity) {
+  const ms = parseTimestamp(ts);
+  if (isNaN(ms)) return null;
+  const [y, m, d] = displayDateOf(ms).split('-').map(Number);
+  const iso = (year, month, day) => new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+
+  if (granularity === 'week') {
+    const weekday = (new Date(Date.UTC(y, m - 1, d)).getUTCDay() + 6) % 7; // Monday = 0
+    return iso(y, m, d - weekday);
+  }
+  if (granularity === 'quarter') return iso(y, m - ((m - 1) % 3), 1);
+  return iso(y, m, 1);
+}
+
+/*
+ * listOverviewPeriods
+ * --------------------
+ * Every period start from the earliest to the latest class, gaps included.
+ *
+ * @param {Object<string, Object>} processedData
+ * @param {string} granularity
+ * @returns {Array<string>}
+ */
+function listOverviewPeriods(processedData, granularity) {
+  const starts = Object.values(processedData)
+    .map((cls) => overviewPeriodStart(cls.scheduledStart, granularity))
+    .filter(Boolean)
+    .sort();
+  if (!starts.length) return [];
+
+  const periods = [];
+  for (let start = starts[0]; start <= starts[starts.length - 1];) {
+    periods.push(start);
+    const [y, m, d] = start.split('-').map(Number);
+    const next = granularity === 'week'
+      ? new Date(Date.UTC(y, m - 1, d + 7))
+      : new Date(Date.UTC(y, m - 1 + (granularity === 'quarter' ? 3 : 1), 1));
+    start = next.toISOString().slice(0, 10);
+  }
+  return periods;
+}
+
+/*
+ * overviewPeriodLabel
+ * --------------------
+ * Column heading of a period: "Week of 2025-09-08", "2025-09" or "2025-Q3".
+ *
+ * @param {string} start - From overviewPeriodStart()
+ * @param {string} granularity
+ * @returns {string}
+ */
+function overviewPeriodLabel(start, granularity) {
+  if (granularity === 'week') return `Week of ${start}`;
+  if (granularity === 'quarter') return `${start.slice(0, 4)}-Q${Math.floor((+start.slice(5, 7) - 1) / 3) + 1}`;
+  return start.slice(0, 7);
+}
+
+/*
+ * buildOverviewCSV
+ * -----------------
+ * Turns one half of buildOverviewData() (groupData or privateData) into the CSV of
+ * the overview table: one row per metric, one column per duration (or period) plus
+ * a total. By period, each metric is followed by a row with its change from the
+ * previous period.
+ *
+ * @param {Object<number|string, Object>} dataset - groupData or privateData
+ * @param {number} cancellationWindow - Hours; only used in the late-cancellation label
+ * @param {string} [granularity] - As passed to buildOverviewData()
+ * @param {Object} [cellSlugs] - Filled with the classes behind each cell (see addCellSlugs())
+ * @returns {string} CSV text
+ */
+function buildOverviewCSV(dataset, cancellationWindow, granularity, cellSlugs) {
+  const durations = granularity
+    ? Object.keys(dataset).sort()
+    : Object.keys(dataset).map(Number).sort((a, b) => a - b);
+  const header = [
+    'Metric',
+    ...durations.map((d) => (granularity ? overviewPeriodLabel(d, granularity) : `${d} min`)),
+    'Total'
+  ];
+
+  const metrics = [
+    { key: 'total', label: 'Total classes' },
+    { key: 'completed', label: 'Completed classes' },
+    { key: 'cancelled', label: 'Cancelled classes' },
+    { key: 'cancelledByStudent', label: 'Cancelled by student' },
+    { key: 'cancelledByTeacher', label: 'Cancelled by teacher' },
+    { key: 'cancelledByAdmin', label: 'Cancelled by admin' },
+    { key: 'studentCancelledLate', label: `Student cancelled < ${cancellationWindow}h` },
+    { key: 'teacherNoShow', label: 'Teacher no show' },
+    { key: 'studentNoShow', label: 'Student no show' },
+    { key: 'bothNoShow', label: 'No show (both)' }
+  ];
+
+  const csvRows = [header.join(',')];
+  metrics.forEach((m) => {
+    const row = [m.label];
+    let totalSum = 0;
+    durations.forEach((d, i) => {
+      const v = dataset[d][m.key] || 0;
+      row.push(v);
+      totalSum += v;
+      addCellSlugs(cellSlugs, m.label, header[i + 1], dataset[d].slugs[m.key]);
+      addCellSlugs(cellSlugs, m.label, 'Total', dataset[d].slugs[m.key]);
+    });
+    row.push(totalSum);
+    csvRows.push(row.join(','));
+
+    if (granularity) {
+      const change = durations.map((d, i) => {
+        if (i === 0) return '';
+        const diff = (dataset[d][m.key] || 0) - (dataset[durations[i - 1]][m.key] || 0);
+        return diff > 0 ? `+${diff}` : String(diff);
+      });
+      csvRows.push([`${m.label}: change vs previous`, ...change, ''].join(','));
+    }
+  });
+
+  return csvRows.join('\n');
+}
+
+/*
+ * buildPrivateAveragesTable
+ * --------------------------
+ * Builds an HTML <table> that compares average metrics across all private classes
+ * for both students and teachers. Metrics include:
+ *   - total classes, attended, cancelled (by student, teacher, admin)
+ *   - average cancellation interval, average tardiness, average enrolment interval, average class interval, etc.
+ *
+ * @param {Object<string, Object>} data - processedData from processData()
+ * @returns {string} HTML string representing the table
+ */
+function buildPrivateAveragesTable(data) {
+  const studentStats = {};
+  const teacherStats = {};
+
+  // 1) Accumulate stats across all private classes
+  Object.values(data).forEach((cls) => {
+    if (cls.available_seats !== 1) return; // Only private classes
+
+    const teacher = cls.teacher.username;
+    const teacherAttended = cls.teacher.attended;
+
+    // Initialize teacherStats if first time
+    if (teacher) {
+      teacherStats[teacher] = teacherStats[teacher] || {
+        total: 0,
+        attended: 0,
+        cancelled: 0,
+        cancelledByTeacher: 0,
+        cancelledByStudent: 0,
+        cancelledByAdmin: 0,
+        cancelledIntervalSum: 0,
+        cancelledIntervalCount: 0,
+        teacherNoShow: 0,
+        studentNoShow: 0,
+        tardinessSum: 0,
+        tardinessCount: 0,
+        classDates: []
+      };
+      const t = teacherStats[teacher];
+      t.total++;
+      if (teacherAttended) t.attended++;
+      if (cls.teacher.cancelled) t.teacherNoShow++;
+      if (cls.cancelledBy) t.cancelled++;
+      if (cls.cancelledByTeacher) t.cancelledByTeacher++;
+      if (cls.cancelledByStudent) t.cancelledByStudent++;
+      if (cls.cancelledByAdmin) t.cancelledByAdmin++;
+      if (cls.cancelledInterval !== '') {
+        t.cancelledIntervalSum += parseFloat(cls.cancelledInterval);
+        t.cancelledIntervalCount++;
+      }
+      if (typeof cls.teacher.tardiness === 'number') {
+        t.tardinessSum += cls.teacher.tardiness / 60;
+        t.tardinessCount++;
+      }
+
+      // Count if all students absent → student no-show for teacher
+      const allStudentsAbsent =
+        cls.students.length > 0 && cls.students.every((s) => !s.attended);
+      if (allStudentsAbsent) t.studentNoShow++;
+
+      t.classDates.push(timestampToDate(cls.scheduledStart));
+    }
+
+    // Accumulate stats per student in this private class
+    cls.students.forEach((student) => {
+      const username = student.username;
+      if (!username) return;
+      studentStats[username] = studentStats[username] || {
+        total: 0,
+        attended: 0,
+        cancelled: 0,
+        cancelledByStudent: 0,
+        cancelledByTeacher: 0,
+        cancelledByAdmin: 0,
+        cancelledIntervalSum: 0,
+        cancelledIntervalCount: 0,
+        enrolIntervalSum: 0,
+        enrolIntervalCount: 0,
+        tardinessSum: 0,
+        tardinessCount: 0,
+        studentNoShow: 0,
+        teacherNoShow: 0,
+        classDates: []
+      };
+      const s = studentStats[username];
+      s.total++;
+      if (student.attended) s.attended++;
+      else s.studentNoShow++;
+      if (!teacherAttended) s.teacherNoShow++;
+      if (student.cancelled) {
+        s.cancelled++;
+        if (student.cancelledBy === username) s.cancelledByStudent++;
+        else if (student.cancelledBy === teacher) s.cancelledByTeacher++;
+        else if (student.cancelledBy) s.cancelledByAdmin++;
+        if (!isNaN(parseFloat(student.cancelledInterval))) {
+          s.cancelledIntervalSum += parseFloat(student.cancelledInterval);
+          s.cancelledIntervalCount++;
+        }
+      }
+      if (!isNaN(parseFloat(student.enrolmentInterval))) {
+        s.enrolIntervalSum += parseFloat(student.enrolmentInterval);
+        s.enrolIntervalCount++;
+      }
+      if (typeof student.tardiness === 'number') {
+        s.tardinessSum += student.tardiness / 60;
+        s.tardinessCount++;
+      }
+      s.classDates.push(timestampToDate(cls.scheduledStart));
+    });
+  });
+
+
+  
+  /*
+   * calcAvg
+   * -------
+   * Given a map of stats, calculates average metrics across all keys.
+   *
+   * @param {Object<string, Object>} statsMap - Map: key (username) → stats object
+   * @returns {Object<string, string>} Map: metric label → average value (string with 2 decimals)
+   */
+  function calcAvg(statsMap) {
+    const values = Object.values(statsMap);
+    const avg = (key) =>
+      values.length
+        ? (values.reduce((sum, v) => sum + (v[key] || 0), 0) / values.length).toFixed(2)
+        : '0.00';
+
+    const avgDiv = (numKey, denomKey) =>
+      values.length
+        ? (
+            values.reduce((sum, v) => {
+              if (!v[denomKey]) return sum;
+              return sum + v[numKey] / v[denomKey];
+            }, 0) / values.length
+          ).toFixed(2)
+        : '0.00';
+
+    const avgClassInterval = values.length
+      ? (
+          values.reduce((acc, stats) => {
+            const dates = stats.classDates.sort((a, b) => a - b);
+            if (dates.length < 2) return acc;
+            let sumInterval = 0;
+            for (let i = 1; i < dates.length; i++) {
+              sumInterval += (dates[i] - dates[i - 1]) / (1000 * 3600);
+            }
+            return acc + sumInterval / (dates.length - 1);
+          }, 0) / values.length
+        ).toFixed(2)
+      : '0.00';
+
+    return {
+      'Average Classes': avg('total'),
+      'Average Attended Classes': avg('attended'),
+      'Average Cancellations (Total)': avg('cancelled'),
+      'Average Cancellations by Student': avg('cancelledByStudent'),
+      'Average Cancellations by Teacher': avg('cancelledByTeacher'),
+      'Average Cancellations by Admin': avg('cancelledByAdmin'),
+      'Average Cancellation Interval (hours)': avgDiv('cancelledIntervalSum', 'cancelledIntervalCount'),
+      'Average Teacher No Shows': avg('teacherNoShow'),
+      'Average Student No Shows': avg('studentNoShow'),
+      'Average Tardinesss (min)': avgDiv('tardinessSum', 'tardinessCount'),
+      'Average Enrolment Interval (hours)': avgDiv('enrolIntervalSum', 'enrolIntervalCount'),
+      'Average Class Interval (hours)': avgClassInterval
+    };
+  }
+
+  const studentRow = calcAvg(studentStats);
+  const teacherRow = calcAvg(teacherStats);
+
+  // Build HTML table
+  const labels = Object.keys(studentRow);
+  let html = '<table><thead><tr><th>Metric</th><th>Students</th><th>Teachers</th></tr></thead><tbody>';
+  labels.forEach((label) => {
+    html += `<tr>
+      <th>${label}</th>
+      <td>${studentRow[label]}</td>
+      <td>${teacherRow[label]}</td>
+    </tr>`;
+  });
+  html += '</tbody></table>';
+  return html;
+}
+
+
+/* -----------------------------------------------------------------------------
+   3.6 Class List
+   ----------------------------------------------------------------------------- */
+
+// Helper to label the time column with the zone it is shown in (browser zone = plain 'Time')
+function timeColumnLabel(timeZone) {
+  return timeZone ? `Time (${timeZone})` : 'Time';
+}
+
+// Helper to build "by student" CSV; times are shown in `timeZone` (see formatDateTime)
+function buildClassListByStudentTable(data, timeZone) {
+  const header = [
+    'Date', timeColumnLabel(timeZone),'Scheduled Duration','Actual Duration','Status','Company',
+    'Subject','Level','Description','Class Slug','Group Class',
+    'Student Username','Student Name','Student Attended','Student Tardiness',
+    'Class Feedback','Class Rating',
+    'Teacher Username','Teacher Name','Teacher Attended','Teacher Tardiness','Teacher Summary'
+  ];
+  const rows = [ header.join(',') ];
+
+  Object.values(data).forEach(cls => {
+    const { teacher } = cls;
+    const teacherName = (teacher.firstName ? teacher.firstName : '') + ' ' + (teacher.lastName ? teacher.lastName : '');
+    const teacherUsername = teacher.username || '';
+    const teacherAttended = teacher.attended ? 'true' : '';
+    const teacherTardiness = teacher.tardiness ? (teacher.tardiness/60).toString() : '';
+    const teacherSummary = cls.teacherSummary || '';
+    const isGroup = (cls.available_seats && cls.available_seats > 1) ? 'true' : 'false';
+
+    const { date, time } = formatDateTime(cls.scheduledStart, timeZone);
+    const status = (cls.cancelledByStudent || cls.cancelledByTeacher || cls.cancelledByAdmin)
+                    ? 'cancelled' : 'completed';
+
+    (cls.students || []).forEach(student => {
+      const studentName = (student.firstName ? student.firstName : '') + ' ' + (student.lastName ? student.lastName : '');
+      const studentUsername = student.username || '';
+      const studentAttended = student.attended ? 'true' : '';
+      const studentTardiness = student.tardiness ? (student.tardiness/60).toString() : '';
+      const feedback = student.feedback ? student.feedback.replace(/\"/g,'""') : '';
+      const rating = student.rating || '';
+
+      rows.push([
+        date,
+        time,
+        (cls.scheduledDuration/60).toString(),
+        (cls.actualDuration/60).toString(),
+        status,
+        cls.company,
+        cls.subject,
+        cls.level,
+        `"${cls.description}"`,
+        cls.slug,
+        isGroup,
+        studentUsername,
+        studentName,
+        studentAttended,
+        studentTardiness,
+        `"${feedback}"`,
+        rating,
+        teacherUsername,
+        teacherName,
+        teacherAttended,
+        teacherTardiness,
+        `"${teacherSummary}"`
+      ].join(','));
+    });
+  });
+
+  return rows.join('\n');
+}
+
+/*
+ * buildClassListCSVs
+ * -------------------
+ * Builds the "by class" class lists: one row per student for private classes and
+ * one row per class for group classes. Times are shown in `timeZone` (see
+ * formatDateTime()).
+ *
+ * @param {Object<string, Object>} data - Output from processData()
+ * @param {string} [timeZone] - IANA zone; empty = browser zone
+ * @returns {{privateCsv: string, groupCsv: string}}
+ */
+function buildClassListCSVs(data, timeZone) {
+  // Prepare filtered lists
+  const privateClasses = Object.values(data).filter(cls => cls.available_seats === 1);
+  const groupClasses = Object.values(data).filter(cls => cls.available_seats > 1);
+
+  // Build Private Classes CSV
+  const privateHeader = [
+    'Date', timeColumnLabel(timeZone), 'Scheduled Duration','Actual Duration','Status','Company',
+    'Subject','Level','description','Class Slug','Teacher Username','Teacher Name','Teacher Attended',
+    'Teacher Tardiness','teacher summary','Student Username','Student Name','Student Attended',
+    'Student Tardiness','class feedback','class rating'
+  ];
+  const privateRows = [ privateHeader.join(',') ];
+  privateClasses.forEach(cls => {
+    cls.students.forEach(student => {
+      const { date, time } = formatDateTime(cls.scheduledStart, timeZone);
+      const status = (cls.cancelledByStudent || cls.cancelledByTeacher || cls.cancelledByAdmin)
+                     ? 'cancelled' : 'completed';
+      const teacherAttended = cls.teacher.attended ? 'true' : '';
+      const studentAttended = student.attended ? 'true' : '';
+      privateRows.push([
+        date,
+        time,
+        (cls.scheduledDuration/60).toString(),
+        (cls.actualDuration/60).toString(),
+        status,
+        cls.company,
+        cls.subject,
+        cls.level,
+        `"${cls.description}"`,
+        cls.slug,
+        cls.teacher.username,
+        (cls.teacher.firstName ? cls.teacher.firstName : '') + ' ' + (cls.teacher.lastName ? cls.teacher.lastName : ''),
+        teacherAttended,
+        cls.teacher.tardiness ? (cls.teacher.tardiness/60).toString() : '',
+        `"${cls.teacherSummary}"`,
+        student.username,
+        (student.firstName ? student.firstName : '') + ' ' + (student.lastName ? student.lastName : ''),
+        studentAttended,
+        student.tardiness ? (student.tardiness/60).toString() : '',
+        `"${student.feedback ? student.feedback.replace(/\"/g,'""') : ''}"`,
+        student.rating
+      ].join(','));
+    });
+  });
+  const privateCsv = privateRows.join('\n');
+
+  // Build Group Classes CSV
+  const groupHeader = [
+    'Date', timeColumnLabel(timeZone), 'Scheduled Duration','Actual Duration','Status','Company',
+    'Subject','Level','description','Class Slug','Teacher Username','Teacher Name','Teacher Attended',
+    'Teacher Tardiness','teacher summary','Seats','Students Enrolled',
+    'Students Attended','Student Usernames','class feedback','class rating'
+  ];
+  const groupRows = [ groupHeader.join(',') ];
+  groupClasses.forEach(cls => {
+    const { date, time } = formatDateTime(cls.scheduledStart, timeZone);
+    const status = (cls.cancelledByStudent || cls.cancelledByTeacher || cls.cancelledByAdmin)
+                   ? 'cancelled' : 'completed';
+    const seats = cls.available_seats;
+    const studentsEnrolled = cls.students.length;
+    const studentsAttended = cls.students.filter(s => s.attended).length;
+    const studentNames = cls.students.map(s => s.username).join('; ');
+    const allFeedback = cls.students
+      .map(s => (s.feedback || '').trim())
+      .filter(f => f)
+      .map(f => f.replace(/\"/g,'""'))
+      .map(f => `"${f}"`)
+      .join(' | ');
+    const ratingsArr = cls.students
+      .map(s => parseFloat(s.rating))
+      .filter(r => !isNaN(r));
+    const avgRating = ratingsArr.length
+      ? (ratingsArr.reduce((sum, r) => sum + r, 0) / ratingsArr.length).toFixed(2)
+      : '';
+    const teacherAttended = cls.teacher.attended ? 'true' : '';
+    groupRows.push([
+      date,
+      time,
+      (cls.scheduledDuration/60).toString(),
+      (cls.actualDuration/60).toString(),
+      status,
+      cls.company,
+      cls.subject,
+      cls.level,
+      `"${cls.description}"`,
+      cls.slug,
+      cls.teacher.username,
+      (cls.teacher.firstName ? cls.teacher.firstName : '') + ' ' + (cls.teacher.lastName ? cls.teacher.lastName : ''),
+      teacherAttended,
+      cls.teacher.tardiness ? (cls.teacher.tardiness/60).toString() : '',
+      `"${cls.teacherSummary}"`,
+      seats,
+      studentsEnrolled,
+      studentsAttended,
+      `"${studentNames}"`,
+      allFeedback,
+      avgRating
+    ].join(','));
+  });
+  const groupCsv = groupRows.join('\n');
+
+  return { privateCsv, groupCsv };
+}
+
+
+/* -----------------------------------------------------------------------------
+   3.7 Report Period
+   ----------------------------------------------------------------------------- */
+
+/*
+ * displayDateOf
+ * --------------
+ * The calendar day ("YYYY-MM-DD") an instant falls on in the display zone, which is
+ * the day the reports show for it.
+ *
+ * @param {number} ms - Epoch milliseconds
+ * @returns {string}
+ */
+function displayDateOf(ms) {
+  const p = zonedParts(ms, timeSettings.displayTimeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+/*
+ * resolveDateRange
+ * -----------------
+ * Turns a period preset into inclusive "YYYY-MM-DD" bounds:
+ *   - all: no filtering (returns null)
+ *   - this_month / last_month: calendar months
+ *   - this_pay_period / last_pay_period: months running from `payPeriodStartDay`
+ *     (e.g. 26 → 26 Sep – 25 Oct); day 1 makes them calendar months
+ *   - custom: `from` / `to` as given; either may be empty for an open end
+ *
+ * @param {Object} period - {preset, from, to, payPeriodStartDay}
+ * @param {string} [today] - "YYYY-MM-DD"; defaults to today in the display zone
+ * @returns {{from: string, to: string, label: string}|null}
+ */
+function resolveDateRange(period, today = displayDateOf(Date.now())) {
+  const { preset, payPeriodStartDay = 1 } = period;
+  if (!preset || preset === 'all') return null;
+
+  // Date.UTC rolls day 0 / month 13 over, which does the month arithmetic
+  const iso = (y, m, d) => new Date(Date.UTC(y, m - 1, d)).toISOString().slice(0, 10);
+  const [y, m, d] = today.split('-').map(Number);
+  let from;
+  let to;
+
+  if (preset === 'this_month' || preset === 'last_month') {
+    const month = preset === 'this_month' ? m : m - 1;
+    from = iso(y, month, 1);
+    to = iso(y, month + 1, 0);
+  } else if (preset === 'this_pay_period' || preset === 'last_pay_period') {
+    const startDay = Math.min(Math.max(parseInt(payPeriodStartDay, 10) || 1, 1), 28);
+    let month = d >= startDay ? m : m - 1;
+    if (preset === 'last_pay_period') month--;
+    from = iso(y, month, startDay);
+    to = iso(y, month + 1, startDay - 1);
+  } else if (preset === 'custom') {
+    from = period.from || '';
+    to = period.to || '';
+    if (!from && !to) return null;
+    if (from && to && from > to) throw new Error('The period starts after it ends');
+  } else {
+    throw new Error(`Unknown period "${preset}"`);
+  }
+
+  const label = from && to ? `${from} to ${to}` : from ? `from ${from}` : `until ${to}`;
+  return { from, to, label };
+}
+
+/*
+ * filterDataByDateRange
+ * ----------------------
+ * Keeps the classes whose scheduled start falls inside the range (by display-zone
+ * day, bounds included). Classes with an unreadable start are dropped once a range
+ * is set.
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @param {{from: string, to: string}|null} range - From resolveDateRange(); null keeps everything
+ * @returns {Object<string, Object>} Same shape as processedData
+ */
+function filterDataByDateRange(processedData, range) {
+  if (!range) return processedData;
+  return Object.fromEntries(
+    Object.entries(processedData).filter(([slug, cls]) => {
+      const ms = parseTimestamp(cls.scheduledStart);
+      if (isNaN(ms)) return false;
+      const day = displayDateOf(ms);
+      return (!range.from || day >= range.from) && (!range.to || day <= range.to);
+    })
+  );
+}
+
+/*
+ * periodFileName
+ * ---------------
+ * Adds the period to a download name: "teacher-hour-count.csv" →
+ * "teacher-hour-count_2025-10-01_to_2025-10-31.csv". Unchanged without a range.
+ *
+ * @param {string} filename
+ * @param {{label: string}|null} range
+ * @returns {string}
+ */
+function periodFileName(filename, range) {
+  if (!range) return filename;
+  return filename.replace(/(\.[^.]+)?$/, (ext) => `_${range.label.replace(/ /g, '_')}${ext}`);
+}
+
+
+/* -----------------------------------------------------------------------------
+   3.8 Report Filters
+   ----------------------------------------------------------------------------- */
+
+/*
+ * REPORT_FILTERS
+ * ---------------
+ * Dimensions every report can be limited to. `value` reads the dimension from a
+ * class; `optionLabel` (optional) is how that value is shown in the filter lists.
+ */
+const REPORT_FILTERS = [
+  { key: 'teacher', label: 'Teacher', value: (cls) => cls.teacher.username,
+    optionLabel: (cls) => {
+      const name = `${cls.teacher.firstName || ''} ${cls.teacher.lastName || ''}`.trim();
+      return name ? `${name} (${cls.teacher.username})` : cls.teacher.username;
+    } },
+  { key: 'company', label: 'Company', value: (cls) => cls.company },
+  { key: 'subject', label: 'Subject', value: (cls) => cls.subject },
+  { key: 'level', label: 'Level', value: (cls) => cls.level },
+  { key: 'course', label: 'Course ID', value: (cls) => cls.course_id },
+  { key: 'classType', label: 'Class type',
+    value: (cls) => (cls.available_seats === 1 ? 'private' : cls.available_seats > 1 ? 'group' : ''),
+    optionLabel: (cls) => (cls.available_seats === 1 ? 'Private' : 'Group') }
+];
+
+/*
+ * buildFilterOptions
+ * -------------------
+ * The values found in the data for each filter, sorted by their label.
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @returns {Object<string, Array<{value: string, label: string}>>} filter key → options
+ */
+function buildFilterOptions(processedData) {
+  const options = {};
+  REPORT_FILTERS.forEach((filter) => {
+    const byValue = new Map();
+    Object.values(processedData).forEach((cls) => {
+      const value = filter.value(cls);
+      if (value === undefined || value === null || value === '' || byValue.has(String(value))) return;
+      byValue.set(String(value), filter.optionLabel ? filter.optionLabel(cls) : String(value));
+    });
+    options[filter.key] = Array.from(byValue, ([value, label]) => ({ value, label }))
+      .sort((a, b) => a.label.localeCompare(b.label));
+  });
+  return options;
+}
+
+/*
+ * filterDataByDimensions
+ * -----------------------
+ * Keeps the classes matching every filter that has values selected; within one
+ * filter any of the selected values matches. Empty filters keep everything.
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @param {Object<string, Array<string>>} filters - filter key → selected values
+ * @returns {Object<string, Object>} Same shape as processedData
+ */
+function filterDataByDimensions(processedData, filters) {
+  const active = REPORT_FILTERS.filter((f) => filters && filters[f.key] && filters[f.key].length);
+  if (!active.length) return processedData;
+  return Object.fromEntries(
+    Object.entries(processedData).filter(([slug, cls]) =>
+      active.every((f) => {
+        const value = f.value(cls);
+        return filters[f.key].includes(value === undefined || value === null ? '' : String(value));
+      })
+    )
+  );
+}
+
+/*
+ * describeFilters
+ * ----------------
+ * Short text of the active filters for report headers, e.g.
+ * "Company: Globex; Level: B1, B2". Empty when no filter is set.
+ *
+ * @param {Object<string, Array<string>>} filters
+ * @returns {string}
+ */
+function describeFilters(filters) {
+  return REPORT_FILTERS
+    .filter((f) => filters && filters[f.key] && filters[f.key].length)
+    .map((f) => `${f.label}: ${filters[f.key].join(', ')}`)
+    .join('; ');
+}
+
+
+/* -----------------------------------------------------------------------------
+   3.9 Period Comparison
+   ----------------------------------------------------------------------------- */
+
+// Teacher Report columns whose movement beyond the threshold flags a teacher
+const COMPARISON_WATCHED_COLUMNS = ['teacher no shows', 'average teacher tardiness', 'average rating'];
+
+/*
+ * splitCSVLine
+ * -------------
+ * Splits one line of a builder's CSV into unquoted cells ("" inside quotes = ").
+ *
+ * @param {string} line
+ * @returns {Array<string>}
+ */
+function splitCSVLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted && ch === '"' && line[i + 1] === '"') {
+      cell += '"';
+      i++;
+    } else if (ch === '"') {
+      quoted = !quoted;
+    } else if (ch === ',' && !quoted) {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
+
+/*
+ * compareReportCSVs
+ * ------------------
+ * Puts two runs of the same report side by side. Rows are matched on their first
+ * cell (metric or teacher) and columns by header; every numeric column becomes
+ * current, previous, change and change %. A final "flags" column lists the
+ * `watched` columns whose change is above `threshold` percent (or that went from
+ * 0 to something).
+ *
+ * @param {string} currentCsv
+ * @param {string} previousCsv
+ * @param {Object} [options]
+ *   - watched: Array<string> - header names to flag
+ *   - threshold: number - percent
+ * @returns {string} CSV text
+ */
+function compareReportCSVs(currentCsv, previousCsv, { watched = [], threshold = 20 } = {}) {
+  const read = (csv) => {
+    const [header, ...lines] = csv.split('\n').filter((l) => l !== '').map(splitCSVLine);
+    const rows = new Map(lines.map((cells) => [cells[0], cells]));
+    return { header, rows };
+  };
+  const current = read(currentCsv);
+  const previous = read(previousCsv);
+
+  const columns = unique([...current.header.slice(1), ...previous.header.slice(1)]);
+  const keys = unique([...current.rows.keys(), ...previous.rows.keys()]);
+  const cellOf = (table, key, column) => {
+    const row = table.rows.get(key);
+    const index = table.header.indexOf(column);
+    return row && index >= 0 && row[index] !== undefined ? row[index] : '';
+  };
+  const isNumber = (v) => v !== '' && !isNaN(Number(v));
+  const quote = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : v);
+
+  const header = [current.header[0] || previous.header[0]];
+  columns.forEach((c) => header.push(c, `${c} (previous)`, `${c} change`, `${c} change %`));
+  header.push('flags');
+  const rows = [header.map(quote).join(',')];
+
+  keys.forEach((key) => {
+    const row = [key];
+    const flags = [];
+    columns.forEach((column) => {
+      const now = cellOf(current, key, column);
+      const before = cellOf(previous, key, column);
+      let change = '';
+      let changePct = '';
+      if (isNumber(now) && isNumber(before)) {
+        const diff = Number(now) - Number(before);
+        const decimals = /\./.test(now + before) ? 2 : 0;
+        change = (diff > 0 ? '+' : '') + diff.toFixed(decimals);
+        if (Number(before) !== 0) {
+          const pct = (diff / Math.abs(Number(before))) * 100;
+          changePct = (pct > 0 ? '+' : '') + pct.toFixed(1);
+          if (watched.includes(column) && Math.abs(pct) > threshold) flags.push(`${column} ${changePct}%`);
+        } else if (diff !== 0 && watched.includes(column)) {
+          flags.push(`${column} from 0`);
+        }
+      }
+      row.push(now, before, change, changePct);
+    });
+    if (!current.rows.has(key)) flags.push('only in previous');
+    else if (!previous.rows.has(key)) flags.push('only in current');
+    row.push(flags.join('; '));
+    rows.push(row.map(quote).join(','));
+  });
+
+  return rows.join('\n');
+}
+
+/*
+ * buildOverviewComparison
+ * ------------------------
+ * The overview of two datasets side by side, always by duration: periods of
+ * different weeks or months have no columns in common.
+ *
+ * @param {Object<string, Object>} currentData
+ * @param {Object<string, Object>} previousData
+ * @param {number} cancellationWindow
+ * @returns {{groupCsv: string, privateCsv: string}}
+ */
+function buildOverviewComparison(currentData, previousData, cancellationWindow) {
+  const current = buildOverviewData(currentData, cancellationWindow);
+  const previous = buildOverviewData(previousData, cancellationWindow);
+  return {
+    groupCsv: compareReportCSVs(
+      buildOverviewCSV(current.groupData, cancellationWindow),
+      buildOverviewCSV(previous.groupData, cancellationWindow)
+    ),
+    privateCsv: compareReportCSVs(
+      buildOverviewCSV(current.privateData, cancellationWindow),
+      buildOverviewCSV(previous.privateData, cancellationWindow)
+    )
+  };
+}
+
+/*
+ * buildTeacherComparison
+ * -----------------------
+ * The Teacher Report (private and group tables) of two datasets side by side,
+ * flagging teachers whose no-shows, tardiness or rating moved by more than
+ * `threshold` percent.
+ *
+ * @param {Object<string, Object>} currentData
+ * @param {Object<string, Object>} previousData
+ * @param {number} threshold - Percent
+ * @returns {{privateCsv: string, groupCsv: string}}
+ */
+function buildTeacherComparison(currentData, previousData, threshold) {
+  const options = { watched: COMPARISON_WATCHED_COLUMNS, threshold };
+  return {
+    privateCsv: compareReportCSVs(
+      buildTeacherPrivateClassesCSV(currentData),
+      buildTeacherPrivateClassesCSV(previousData),
+      options
+    ),
+    groupCsv: compareReportCSVs(
+      buildTeacherGroupClassesCSV(currentData),
+      buildTeacherGroupClassesCSV(previousData),
+      options
+    )
+  };
+}
+
+/*
+ * previousDateRange
+ * ------------------
+ * The period just before `range`, of the same length. Ranges made of whole
+ * months (calendar months or pay periods, i.e. ending the day before the start
+ * day comes round again) step back by months, anything else by days.
+ *
+ * @param {{from: string, to: string}} range - From resolveDateRange()
+ * @returns {{from: string, to: string, label: string}}
+ * @throws {Error} When the range is open-ended: it has no length to step back by
+ */
+function previousDateRange(range) {
+  if (!range.from || !range.to) {
+    throw new Error('An open-ended period has no previous period to compare with; ' +
+      'give the period both a start and an end date, or compare with another date range');
+  }
+  const parse = (iso) => iso.split('-').map(Number);
+  const iso = (y, m, d) => new Date(Date.UTC(y, m - 1, d)).toISOString().slice(0, 10);
+  const [fy, fm, fd] = parse(range.from);
+  const [ty, tm, td] = parse(range.to);
+  const [ny, nm, nd] = parse(iso(ty, tm, td + 1)); // day after the range
+
+  let from;
+  if (nd === fd) {
+    const months = (ny - fy) * 12 + (nm - fm);
+    from = iso(fy, fm - months, fd);
+  } else {
+    const days = Math.round((Date.UTC(ty, tm - 1, td) - Date.UTC(fy, fm - 1, fd)) / 86400000) + 1;
+    from = iso(fy, fm, fd - days);
+  }
+  const to = iso(fy, fm, fd - 1);
+  return { from, to, label: `${from} to ${to}` };
+}
+
+
+/* -----------------------------------------------------------------------------
+   3.10 Drill-down
+   ----------------------------------------------------------------------------- */
+
+/*
+ * addCellSlugs
+ * -------------
+ * Records classes behind a report cell. Builders that accept a `cellSlugs` object
+ * fill it as {row key (first cell): {column header: [slugs]}}; nothing happens when
+ * they were given none. A class recorded twice in a row for the same cell (e.g.
+ * once per student) is kept once.
+ *
+ * @param {Object|undefined} cellSlugs
+ * @param {string} rowKey
+ * @param {string} column
+ * @param {Array<string>} slugs
+ */
+function addCellSlugs(cellSlugs, rowKey, column, slugs) {
+  if (!cellSlugs || !slugs.length) return;
+  const row = cellSlugs[rowKey] = cellSlugs[rowKey] || {};
+  const list = row[column] = row[column] || [];
+  slugs.forEach((slug) => {
+    if (list[list.length - 1] !== slug) list.push(slug);
+  });
+}
+
+/*
+ * classStatus
+ * ------------
+ * One-word-ish outcome of a class for listings: who cancelled it, who did not
+ * show up, or completed.
+ *
+ * @param {Object} cls - A class from processData()
+ * @returns {string}
+ */
+function classStatus(cls) {
+  if (cls.cancelledByTeacher) return 'cancelled by teacher';
+  if (cls.cancelledByStudent) return 'cancelled by student';
+  if (cls.cancelledByAdmin) return 'cancelled by admin';
+  if (cls.cancelledBy) return 'cancelled';
+  if (!cls.teacher.attended) return 'teacher no show';
+  if (cls.students.length && cls.students.every((st) => !st.attended)) return 'student no show';
+  return 'completed';
+}
+
+/*
+ * buildDrillDownCSV
+ * ------------------
+ * Lists the classes behind a report cell, oldest first.
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @param {Array<string>} slugs - From the builder's cellSlugs
+ * @returns {string} CSV text
+ */
+function buildDrillDownCSV(processedData, slugs) {
+  const rows = ['date,class slug,teacher,students,status'];
+  unique(slugs)
+    .map((slug) => processedData[slug])
+    .filter(Boolean)
+    .sort((a, b) => parseTimestamp(a.scheduledStart) - parseTimestamp(b.scheduledStart))
+    .forEach((cls) => {
+      rows.push([
+        toDisplayTimestamp(cls.scheduledStart),
+        cls.slug,
+        cls.teacher.username,
+        cls.students.map((st) => st.username).join(' '),
+        classStatus(cls)
+      ].join(','));
+    });
+  return rows.join('\n');
+}
+
+
+/* -----------------------------------------------------------------------------
+   3.11 Teacher Statements
+   ----------------------------------------------------------------------------- */
+
+// Page style of the statements; each statement starts on a new printed page
+const STATEMENT_STYLE = `
+  body { font-family: Arial, sans-serif; font-size: 12px; color: #222; margin: 2em; }
+  h1 { font-size: 20px; margin-bottom: 0.2em; }
+  h2 { font-size: 14px; margin: 1.5em 0 0.5em; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #ccc; padding: 3px 6px; text-align: left; }
+  td.num, th.num { text-align: right; }
+  .statement + .statement { page-break-before: always; break-before: page; }
+  .total { font-size: 14px; margin-top: 1em; }
+  @media print { body { margin: 0; } }`;
+
+// Escapes text for the statements' HTML
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+/*
+ * describeHourCountSettings
+ * --------------------------
+ * The hour count settings in words, for the statements.
+ *
+ * @param {Object} settings - As for buildTeacherHourCountCSV()
+ * @returns {Array<string>}
+ */
+function describeHourCountSettings(settings) {
+  const {
+    tardinessLimit,
+    penaliseTardiness,
+    tardinessPolicy = 'all_or_nothing',
+    tardinessBands,
+    cancellationWindow,
+    payLastMinuteCancellation,
+    payStudentNoShow,
+    studentNoShowRate,
+    classTypeFilter,
+    payBasis = 'scheduled',
+    durationRounding,
+    cancellationPolicy,
+    groupTiers,
+    payRates
+  } = settings;
+  const lines = [`Class types: ${classTypeFilter === 'both' ? 'private and group' : classTypeFilter}`];
+
+  if (!penaliseTardiness) {
+    lines.push('Teacher tardiness: not deducted');
+  } else if (tardinessPolicy === 'stepped') {
+    lines.push(`Teacher tardiness: deducted in bands (${tardinessBands.map((b) => b.label).join(', ')})`);
+  } else {
+    lines.push(`Teacher tardiness: ${tardinessPolicy === 'proportional' ? 'minutes missed' : 'class'} deducted when over ${tardinessLimit} min late`);
+  }
+  if (cancellationPolicy) {
+    CANCELLATION_PARTIES.forEach((party) => ['private', 'group'].forEach((type) => {
+      const { window, payout, penalty } = cancellationPolicy[party][type];
+      if (!window) return;
+      lines.push(`${type[0].toUpperCase()}${type.slice(1)} classes cancelled by the ${party} within ${window}h: ` +
+        `${payout}% paid${penalty ? `, ${penalty}% penalty` : ''}`);
+    }));
+  } else {
+    lines.push(`Private classes cancelled within ${cancellationWindow}h: ${payLastMinuteCancellation ? 'paid' : 'not paid'}`);
+  }
+  lines.push(`Student no-shows: ${payStudentNoShow ? `paid at ${studentNoShowRate}%` : 'not paid'}`);
+
+  const basis = { scheduled: 'scheduled duration', actual: 'actual duration', lesser: 'lesser of scheduled and actual duration' }[payBasis];
+  const rounding = durationRounding && durationRounding.step > 1
+    ? `, rounded ${durationRounding.mode === 'nearest' || !durationRounding.mode ? 'to the nearest' : durationRounding.mode + ' to'} ${durationRounding.step} min`
+    : '';
+  lines.push(`Classes counted by ${basis}${rounding}`);
+
+  if (groupTiers) {
+    const tiers = groupTiers.tiers.map((t) => `${t.label} x${t.multiplier}`).join(', ');
+    lines.push(`Group classes weighted by ${groupTiers.basis === 'seats' ? 'available seats' : 'students who attended'}: ${tiers}`);
+  }
+  if (payRates) lines.push(`Pay in ${payRates.currency} from ${payRates.rates.length} pay rate(s)`);
+  return lines;
+}
+
+/*
+ * buildTeacherStatements
+ * -----------------------
+ * One statement per teacher of the hour count: the period, the settings used, a
+ * summary per class type and duration, the net total and the classes behind it.
+ * Figures come from the hour count's line items, so they match its reports.
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @param {Object} settings - As for buildTeacherHourCountCSV()
+ * @param {string} [period] - The period (and filters) the report covers
+ * @returns {Array<{teacher: string, html: string}>} HTML sections, in the hour count's teacher order
+ */
+function buildTeacherStatements(processedData, settings, period) {
+  const { payRates } = settings;
+  const items = buildHourCountLineItems(processedData, settings);
+  const teachers = unique(items.map((item) => item.teacher));
+  const startOf = (item) => parseTimestamp(processedData[item.slug].scheduledStart);
+  const money = (cents, unpriced) => (cents / 100).toFixed(2) + (unpriced ? ' (no rate for some classes)' : '');
+  const settingsList = describeHourCountSettings(settings).map((line) => `<li>${escapeHTML(line)}</li>`).join('');
+
+  return teachers.map((teacher) => {
+    const mine = items.filter((item) => item.teacher === teacher).sort((a, b) => startOf(a) - startOf(b));
+
+    // Summary per class type and duration
+    const buckets = {};
+    mine.forEach((item) => {
+      const key = `${item.type} ${item.duration}`;
+      const bucket = buckets[key] = buckets[key] || { type: item.type, duration: item.duration, classes: 0, count: 0, payCents: 0, unpriced: false };
+      bucket.classes += 1;
+      bucket.count += item.count;
+      if (item.payCents === null) bucket.unpriced = true;
+      else bucket.payCents += item.payCents;
+    });
+    const summary = Object.values(buckets)
+      .sort((a, b) => (a.type === b.type ? a.duration - b.duration : a.type === 'private' ? -1 : 1));
+    const total = summary.reduce((acc, b) => ({
+      classes: acc.classes + b.classes,
+      count: acc.count + b.count,
+      minutes: acc.minutes + b.count * b.duration,
+      payCents: acc.payCents + b.payCents,
+      unpriced: acc.unpriced || b.unpriced
+    }), { classes: 0, count: 0, minutes: 0, payCents: 0, unpriced: false });
+
+    const payHead = payRates ? `<th class="num">Pay (${escapeHTML(payRates.currency)})</th>` : '';
+    const summaryRows = summary.map((b) => `<tr><td>${b.type}</td><td class="num">${b.duration} min</td>` +
+      `<td class="num">${b.classes}</td><td class="num">${round2(b.count)}</td><td class="num">${round2(b.count * b.duration)}</td>` +
+      (payRates ? `<td class="num">${money(b.payCents, b.unpriced)}</td>` : '') + '</tr>').join('');
+    const classRows = mine.map((item) => `<tr><td>${escapeHTML(item.start)}</td><td>${escapeHTML(item.slug)}</td>` +
+      `<td>${item.type}</td><td class="num">${item.duration} min</td><td>${escapeHTML(classStatus(processedData[item.slug]))}</td>` +
+      `<td>${escapeHTML(item.rules)}</td><td class="num">${item.count}</td>` +
+      (payRates ? `<td class="num">${item.payCents === null ? 'no rate' : money(item.payCents)}</td>` : '') + '</tr>').join('');
+
+    const netTotal = `${round2(total.count)} classes, ${round2(total.minutes)} minutes` +
+      (payRates ? `, ${escapeHTML(payRates.currency)} ${money(total.payCents, total.unpriced)}` : '');
+
+    const html = `<section class="statement">
+<h1>Statement: ${escapeHTML(teacher)}</h1>
+<p>Period: ${escapeHTML(period || 'All dates')}</p>
+<h2>Summary</h2>
+<table><thead><tr><th>Class type</th><th class="num">Duration</th><th class="num">Classes</th><th class="num">Count</th><th class="num">Minutes</th>${payHead}</tr></thead>
+<tbody>${summaryRows}</tbody></table>
+<p class="total"><strong>Net total:</strong> ${netTotal}</p>
+<h2>Classes</h2>
+<table><thead><tr><th>Scheduled start</th><th>Class</th><th>Class type</th><th class="num">Duration</th><th>Status</th><th>Rules</th><th class="num">Count</th>${payHead}</tr></thead>
+<tbody>${classRows}</tbody></table>
+<h2>Settings</h2>
+<ul>${settingsList}</ul>
+</section>`;
+    return { teacher, html };
+  });
+}
+
+/*
+ * statementDocument
+ * ------------------
+ * Wraps statements from buildTeacherStatements() (or scorecards from
+ * buildTeacherScorecardHTML()) into a standalone, printable HTML page; with
+ * several, each prints on its own page.
+ *
+ * @param {string} title
+ * @param {Array<{html: string}>} statements
+ * @returns {string} HTML document
+ */
+function statementDocument(title, statements) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(title)}</title>
+<style>${STATEMENT_STYLE}
+</style>
+</head>
+<body>
+${statements.map((s) => s.html).join('\n')}
+</body>
+</html>
+`;
+}
+
+/*
+ * statementFileName
+ * ------------------
+ * "teacher-statement-<teacher>.html", keeping the teacher's name file-safe.
+ *
+ * @param {string} teacher
+ * @returns {string}
+ */
+function statementFileName(teacher) {
+  return `teacher-statement-${teacher.replace(/[^\w.-]+/g, '_')}.html`;
+}
+
+// "teacher-scorecard-<teacher>.html", as statementFileName()
+function scorecardFileName(teacher) {
+  return statementFileName(teacher).replace('teacher-statement-', 'teacher-scorecard-');
+}
+
+
+/* -----------------------------------------------------------------------------
+   3.12 Settings Presets
+   ----------------------------------------------------------------------------- */
+
+// Marks a JSON file as a settings config of this app
+const SETTINGS_CONFIG_TYPE = 'learncube-reports-settings';
+
+/*
+ * buildSettingsConfig
+ * --------------------
+ * The JSON config file the team shares: every named preset, each holding the
+ * inputs of the report settings panels (see collectPanelSettings() in main.js).
+ *
+ * @param {Object<string, Object>} presets - preset name → {panel id → panel settings}
+ * @returns {string} JSON text
+ */
+function buildSettingsConfig(presets) {
+  return JSON.stringify({ type: SETTINGS_CONFIG_TYPE, version: 1, presets }, null, 2);
+}
+
+/*
+ * parseSettingsConfig
+ * --------------------
+ * Reads a config file written by buildSettingsConfig().
+ *
+ * @param {string} text - JSON text
+ * @returns {Object<string, Object>} preset name → {panel id → panel settings}
+ * @throws {Error} when the text is not such a config
+ */
+function parseSettingsConfig(text) {
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`The settings file is not valid JSON (${e.message})`);
+  }
+  if (!config || config.type !== SETTINGS_CONFIG_TYPE || typeof config.presets !== 'object' || !config.presets) {
+    throw new Error('This is not a LearnCube Reports settings file');
+  }
+  // Panels are as collectPanelSettings() returns them: field values are strings,
+  // booleans or lists of strings; a group holds a radio's value or a list of checked boxes
+  const isObject = (v) => Boolean(v) && typeof v === 'object' && !Array.isArray(v);
+  const isStringList = (v) => Array.isArray(v) && v.every((s) => typeof s === 'string');
+  const isPanel = (panel) => isObject(panel) &&
+    isObject(panel.values) &&
+    Object.values(panel.values).every((v) => typeof v === 'string' || typeof v === 'boolean' || isStringList(v)) &&
+    isObject(panel.groups) &&
+    Object.values(panel.groups).every((v) => typeof v === 'string' || isStringList(v)) &&
+    (panel.tags === undefined || isStringList(panel.tags));
+  Object.entries(config.presets).forEach(([name, preset]) => {
+    if (!isObject(preset) || !Object.values(preset).every(isPanel)) {
+      throw new Error(`Preset "${name}" in the settings file is damaged`);
+    }
+  });
+  return config.presets;
+}
+
+
+/* -----------------------------------------------------------------------------
+   3.13 Teacher Scorecard
+   ----------------------------------------------------------------------------- */
+
+/*
+ * buildTeacherScorecard
+ * ----------------------
+ * Everything known about one teacher for a performance review: private, group and
+ * combined metrics (counted as in the Teacher Report), how many ratings of each
+ * score they got, a monthly trend, their feedback entries, courses and companies,
+ * and their attendance rate next to the average of all teachers.
+ *
+ * The attendance rate is the share of classes that were not cancelled in which the
+ * teacher showed up; the team average is the mean of every teacher's rate. The
+ * comparison (rate, average and rank) is made over `teamData`, so filters that
+ * narrow the metrics, such as a teacher or a company, do not shrink the team.
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @param {string} teacher - Username
+ * @param {Object<string, Object>} [teamData=processedData] - Classes to compare the
+ *   teacher's attendance with the team on (e.g. the period without other filters)
+ * @returns {Object|null} null when the teacher has no classes:
+ *   {teacher, metrics: {private, group, all}, attendanceRate, teamAttendanceRate, rank,
+ *   teacherCount, ratings: [{score, count}], months: [{month, delivered, noShows,
+ *   averageTardiness}], feedback: [{date, student, rating, feedback}], courses, companies}
+ */
+function buildTeacherScorecard(processedData, teacher, teamData = processedData) {
+  const emptyMetrics = () => ({
+    booked: 0, cancelledByTeacher: 0, cancelledByAdmin: 0, cancelledByStudent: 0, remaining: 0,
+    delivered: 0, teacherNoShows: 0, studentNoShows: 0, tardinessSum: 0, tardinessCount: 0,
+    ratingSum: 0, ratingCount: 0, feedbackCount: 0
+  });
+  // Attendance of every teacher, for the comparison
+  const attendance = {};
+  Object.values(teamData).forEach((cls) => {
+    const name = cls.teacher.username;
+    if (!name) return;
+    const a = attendance[name] = attendance[name] || { remaining: 0, delivered: 0 };
+    if (!cls.cancelledBy) {
+      a.remaining++;
+      if (cls.teacher.attended) a.delivered++;
+    }
+  });
+  const metrics = { private: emptyMetrics(), group: emptyMetrics(), all: emptyMetrics() };
+  const ratings = {};
+  const months = {};
+  const feedback = [];
+  const courses = new Set();
+  const companies = new Set();
+
+  Object.values(processedData).forEach((cls) => {
+    if (cls.teacher.username !== teacher) return;
+
+    const type = cls.available_seats === 1 ? 'private' : 'group';
+    const month = overviewPeriodStart(cls.scheduledStart, 'month');
+    const m = months[month] = months[month] || { delivered: 0, noShows: 0, tardinessSum: 0, tardinessCount: 0 };
+    if (cls.course_id) courses.add(cls.course_id);
+    if (cls.company) companies.add(cls.company);
+
+    [metrics[type], metrics.all].forEach((s) => {
+      s.booked++;
+      if (cls.cancelledByTeacher) s.cancelledByTeacher++;
+      else if (cls.cancelledByStudent) s.cancelledByStudent++;
+      else if (cls.cancelledByAdmin) s.cancelledByAdmin++;
+      if (!cls.cancelledBy) {
+        s.remaining++;
+        if (cls.teacher.attended) s.delivered++;
+        else s.teacherNoShows++;
+        if (cls.teacher.attended && cls.students.length && cls.students.every((st) => !st.attended)) s.studentNoShows++;
+      }
+      s.tardinessSum += cls.teacher.tardiness / 60;
+      s.tardinessCount++;
+    });
+
+    if (!cls.cancelledBy) {
+      if (cls.teacher.attended) m.delivered++;
+      else m.noShows++;
+    }
+    m.tardinessSum += cls.teacher.tardiness / 60;
+    m.tardinessCount++;
+
+    cls.students.forEach((st) => {
+      const r = parseFloat(st.rating);
+      const text = (st.feedback || '').trim();
+      if (!isNaN(r)) {
+        ratings[Math.round(r)] = (ratings[Math.round(r)] || 0) + 1;
+        [metrics[type], metrics.all].forEach((s) => {
+          s.ratingSum += r;
+          s.ratingCount++;
+        });
+      }
+      if (text || !isNaN(r)) {
+        [metrics[type], metrics.all].forEach((s) => s.feedbackCount++);
+        feedback.push({
+          date: toDisplayTimestamp(cls.scheduledStart),
+          student: st.username,
+          rating: isNaN(r) ? '' : r,
+          feedback: text
+        });
+      }
+    });
+  });
+  if (!metrics.all.booked) return null;
+
+  const rate = (a) => (a.remaining ? (a.delivered / a.remaining) * 100 : null);
+  const rates = Object.entries(attendance).map(([name, a]) => [name, rate(a)]).filter(([, r]) => r !== null);
+  const attendanceRate = attendance[teacher] ? rate(attendance[teacher]) : null;
+  const scores = Object.keys(ratings).map(Number);
+
+  return {
+    teacher,
+    metrics,
+    attendanceRate,
+    teamAttendanceRate: rates.length ? rates.reduce((sum, [, r]) => sum + r, 0) / rates.length : null,
+    rank: attendanceRate === null ? null : rates.filter(([, r]) => r > attendanceRate).length + 1,
+    teacherCount: rates.length,
+    ratings: Array.from({ length: Math.max(5, ...scores) - Math.min(1, ...scores) + 1 }, (_, i) => {
+      const score = Math.min(1, ...scores) + i;
+      return { score, count: ratings[score] || 0 };
+    }),
+    months: Object.keys(months).filter((month) => month !== 'null').sort().map((month) => ({
+      month: overviewPeriodLabel(month, 'month'),
+      delivered: months[month].delivered,
+      noShows: months[month].noShows,
+      averageTardiness: months[month].tardinessCount ? months[month].tardinessSum / months[month].tardinessCount : 0
+    })),
+    feedback: feedback.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0)),
+    courses: Array.from(courses).sort(),
+    companies: Array.from(companies).sort()
+  };
+}
+
+/*
+ * buildTeacherScorecardHTML
+ * --------------------------
+ * The scorecard from buildTeacherScorecard() as an HTML section, shown on the page
+ * and printed with statementDocument().
+ *
+ * @param {Object} card - From buildTeacherScorecard()
+ * @param {string} [period] - The period (and filters) the scorecard covers
+ * @returns {string} HTML
+ */
+function buildTeacherScorecardHTML(card, period) {
+  const pct = (n) => (n === null ? '–' : `${n.toFixed(1)}%`);
+  const avg = (sum, count) => (count ? (sum / count).toFixed(2) : '–');
+  const { metrics } = card;
+  const metricRows = [
+    ['Classes booked', (s) => s.booked],
+    ['Cancelled by teacher', (s) => s.cancelledByTeacher],
+    ['Cancelled by admin', (s) => s.cancelledByAdmin],
+    ['Cancelled by student', (s) => s.cancelledByStudent],
+    ['Classes delivered', (s) => s.delivered],
+    ['Teacher no-shows', (s) => s.teacherNoShows],
+    ['Classes no student attended', (s) => s.studentNoShows],
+    ['Attendance rate', (s) => pct(s.remaining ? (s.delivered / s.remaining) * 100 : null)],
+    ['Average tardiness (min)', (s) => avg(s.tardinessSum, s.tardinessCount)],
+    ['Average rating', (s) => avg(s.ratingSum, s.ratingCount)],
+    ['Ratings and feedback', (s) => s.feedbackCount]
+  ].map(([label, value]) => `<tr><th>${label}</th>` +
+    ['private', 'group', 'all'].map((t) => `<td class="num">${value(metrics[t])}</td>`).join('') + '</tr>').join('');
+
+  const difference = card.attendanceRate === null || card.teamAttendanceRate === null ? ''
+    : ` (${card.attendanceRate >= card.teamAttendanceRate ? '+' : ''}${(card.attendanceRate - card.teamAttendanceRate).toFixed(1)} points)`;
+  const ranking = card.rank === null ? '' : `; ${card.rank} of ${card.teacherCount} teachers`;
+
+  const most = Math.max(1, ...card.ratings.map((r) => r.count));
+  const ratingRows = card.ratings.map((r) => `<tr><th>${r.score}</th><td class="num">${r.count}</td>` +
+    `<td><span style="display:inline-block; height:0.8em; background:#328ccc; width:${(r.count / most) * 100}%"></span></td></tr>`).join('');
+  const monthRows = card.months.map((m) => `<tr><td>${m.month}</td><td class="num">${m.delivered}</td>` +
+    `<td class="num">${m.noShows}</td><td class="num">${m.averageTardiness.toFixed(2)}</td></tr>`).join('');
+  const feedbackRows = card.feedback.map((f) => `<tr><td>${escapeHTML(f.date)}</td><td>${escapeHTML(f.student)}</td>` +
+    `<td class="num">${f.rating}</td><td>${escapeHTML(f.feedback)}</td></tr>`).join('');
+
+  return `<section class="statement scorecard">
+<h1>Scorecard: ${escapeHTML(card.teacher)}</h1>
+<p>Period: ${escapeHTML(period || 'All dates')}</p>
+<p class="total"><strong>Attendance rate, all classes in the period:</strong> ${pct(card.attendanceRate)}; average of all teachers ${pct(card.teamAttendanceRate)}${difference}${ranking}</p>
+<p>Courses: ${escapeHTML(card.courses.join(', ') || '–')}<br>Companies: ${escapeHTML(card.companies.join(', ') || '–')}</p>
+<h2>Metrics</h2>
+<table><thead><tr><th></th><th class="num">Private</th><th class="num">Group</th><th class="num">All</th></tr></thead>
+<tbody>${metricRows}</tbody></table>
+<h2>Ratings</h2>
+<table><thead><tr><th>Score</th><th class="num">Ratings</th><th style="width:60%"></th></tr></thead>
+<tbody>${ratingRows}</tbody></table>
+<h2>Monthly trend</h2>
+<table><thead><tr><th>Month</th><th class="num">Classes delivered</th><th class="num">Teacher no-shows</th><th class="num">Average tardiness (min)</th></tr></thead>
+<tbody>${monthRows}</tbody></table>
+<h2>Feedback</h2>
+<table><thead><tr><th>Class date</th><th>Student</th><th class="num">Rating</th><th>Feedback</th></tr></thead>
+<tbody>${feedbackRows || '<tr><td colspan="4">No feedback in this period.</td></tr>'}</tbody></table>
+</section>`;
+}
+
+
+/* -----------------------------------------------------------------------------
+   3.14 Feedback Analysis
+   ----------------------------------------------------------------------------- */
+
+/*
+ * Built-in sentiment lexicon (English, Spanish, Italian), so feedback is scored
+ * without sending it anywhere. Words are lower case without accents (see
+ * feedbackTokens()); scores run from -3 (very negative) to +3 (very positive).
+ * Entries with spaces are phrases, matched before single words.
+ */
+const SENTIMENT_LEXICON = {
+  // English
+  good: 2, great: 3, excellent: 3, amazing: 3, awesome: 3, fantastic: 3, wonderful: 3, brilliant: 3,
+  helpful: 2, useful: 2, clear: 2, patient: 2, friendly: 2, kind: 2, nice: 2, fun: 2, interesting: 2,
+  engaging: 2, love: 3, loved: 3, like: 1, liked: 1, enjoy: 2, enjoyed: 2, best: 3, perfect: 3,
+  professional: 2, prepared: 1, thanks: 1, thank: 1, recommend: 2, happy: 2, pleasant: 2, dynamic: 2,
+  motivating: 2, learned: 1, learnt: 1,
+  bad: -2, poor: -2, terrible: -3, awful: -3, horrible: -3, boring: -2, slow: -1, late: -1, rude: -3,
+  unprepared: -2, confusing: -2, confused: -1, difficult: -1, disappointed: -2, disappointing: -2,
+  waste: -2, useless: -2, worst: -3, hate: -3, annoying: -2, problem: -1, problems: -1, unprofessional: -3,
+  distracted: -2, impatient: -2, unclear: -2, 'waste of time': -3,
+  // Spanish
+  bueno: 2, buena: 2, buenos: 2, buenas: 2, excelente: 3, genial: 3, fantastico: 3, fantastica: 3,
+  estupendo: 3, estupenda: 3, increible: 3, maravilloso: 3, maravillosa: 3, util: 2, utiles: 2, clara: 2,
+  paciente: 2, amable: 2, simpatico: 2, simpatica: 2, divertido: 2, divertida: 2, interesante: 2,
+  dinamico: 2, dinamica: 2, encanta: 3, encanto: 3, gusta: 2, gusto: 2, mejor: 2, perfecto: 3,
+  perfecta: 3, profesional: 2, gracias: 1, recomiendo: 2, contento: 2, contenta: 2, aprendi: 1,
+  malo: -2, mala: -2, malos: -2, malas: -2, pesimo: -3, pesima: -3, aburrido: -2, aburrida: -2,
+  lento: -1, lenta: -1, tarde: -1, grosero: -3, grosera: -3, confuso: -2, confusa: -2, dificil: -1,
+  decepcionado: -2, decepcionada: -2, decepcionante: -2, inutil: -2, peor: -2, odio: -3, molesto: -2,
+  problema: -1, problemas: -1, impuntual: -2, desorganizado: -2, desorganizada: -2, 'perdida de tiempo': -3,
+  // Italian
+  buono: 2, ottimo: 3, ottima: 3, eccellente: 3, bravo: 2, brava: 2, bravissimo: 3, bravissima: 3,
+  utile: 2, utili: 2, chiaro: 2, chiara: 2, gentile: 2, divertente: 2, interessante: 2, coinvolgente: 2,
+  piaciuto: 2, piaciuta: 2, piace: 2, adoro: 3, migliore: 2, perfetto: 3, perfetta: 3, professionale: 2,
+  grazie: 1, bello: 2, bella: 2, bellissimo: 3, bellissima: 3, stupendo: 3, preparato: 2, preparata: 2,
+  cattivo: -2, cattiva: -2, pessimo: -3, pessima: -3, terribile: -3, orribile: -3, noioso: -2, noiosa: -2,
+  ritardo: -1, maleducato: -3, maleducata: -3, difficile: -1, deluso: -2, delusa: -2, deludente: -2,
+  inutile: -2, peggiore: -3, fastidioso: -2, problemi: -1, disorganizzato: -2, disorganizzata: -2,
+  'perdita di tempo': -3
+};
+
+// Words that flip the sentiment of the next sentiment word in the same clause
+// ("not clear", "sin problemas", "non chiara"); whole negative words only, not
+// particles such as Italian "ne" or Spanish "ni"
+const SENTIMENT_NEGATORS = new Set([
+  // English
+  'not', 'no', 'never', 'nothing', 'hardly', 'without', 'nobody', 'neither', 'nor',
+  // Spanish
+  'no', 'nunca', 'jamas', 'nada', 'nadie', 'ningun', 'ninguno', 'ninguna', 'tampoco', 'sin',
+  // Italian
+  'non', 'mai', 'niente', 'nulla', 'nessun', 'nessuno', 'nessuna', 'neanche', 'nemmeno', 'senza'
+]);
+
+// Stands for clause punctuation (. , ; : ! ? and brackets) among feedbackTokens()
+const FEEDBACK_CLAUSE_BREAK = '|';
+
+// Words that strengthen the next word ("very good", "muy buena", "molto noiosa")
+const SENTIMENT_INTENSIFIERS = {
+  very: 1.5, really: 1.5, so: 1.3, extremely: 2, super: 1.5, too: 1.3, quite: 1.2,
+  muy: 1.5, bastante: 1.2, demasiado: 1.3, realmente: 1.5, extremadamente: 2,
+  molto: 1.5, davvero: 1.5, veramente: 1.5, troppo: 1.3, proprio: 1.3, estremamente: 2
+};
+
+// Words left out of the keywords: function words and what every comment is about
+const FEEDBACK_STOPWORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'is', 'was', 'were', 'be', 'been', 'are', 'am', 'i', 'me', 'my',
+  'you', 'your', 'he', 'she', 'it', 'we', 'they', 'his', 'her', 'its', 'our', 'their', 'this', 'that',
+  'these', 'those', 'to', 'of', 'in', 'on', 'for', 'with', 'at', 'by', 'from', 'as', 'have', 'has', 'had',
+  'do', 'did', 'does', 'there', 'what', 'which', 'who', 'will', 'would', 'can', 'could', 'just', 'also',
+  'more', 'much', 'all', 'some', 'very', 'really', 'too', 'so', 'not', 'no',
+  'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'y', 'o', 'pero', 'es', 'fue', 'era', 'son',
+  'de', 'del', 'en', 'con', 'por', 'para', 'que', 'se', 'lo', 'le', 'mi', 'muy', 'mas', 'su', 'sus', 'al',
+  'como', 'este', 'esta', 'esto', 'hay', 'ha', 'yo', 'tu', 'nos', 'sin', 'sobre', 'tambien', 'ya',
+  'il', 'i', 'gli', 'le', 'uno', 'e', 'ed', 'ma', 'che', 'di', 'della', 'dei', 'delle', 'da', 'per', 'tra',
+  'fra', 'non', 'ti', 'si', 'ci', 'sono', 'molto', 'piu', 'anche', 'questo', 'questa', 'alla', 'ho',
+  'abbiamo',
+  'class', 'lesson', 'teacher', 'clase', 'leccion', 'profesor', 'profesora', 'lezione', 'classe',
+  'insegnante', 'professore', 'professoressa'
+]);
+
+// Ratings from this up are "high" and up to FEEDBACK_LOW_RATING "low" (1–5 scale)
+const FEEDBACK_HIGH_RATING = 4;
+const FEEDBACK_LOW_RATING = 2;
+
+/*
+ * feedbackTokens
+ * ---------------
+ * Splits a comment into lower-case words without accents ("Clase muy útil, gracias"
+ * → ["clase", "muy", "util", "|", "gracias"]); "n't" is read as "not" and clause
+ * punctuation becomes FEEDBACK_CLAUSE_BREAK.
+ *
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function feedbackTokens(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/n['’]t\b/g, ' not')
+    .replace(/[.,;:!?()\n]+/g, ` ${FEEDBACK_CLAUSE_BREAK} `)
+    .split(/[^a-z0-9|]+/)
+    .filter(Boolean);
+}
+
+/*
+ * scoreFeedbackSentiment
+ * -----------------------
+ * Scores a comment with the built-in lexicon: the sum of its words' scores, each
+ * strengthened by an intensifier just before it. A negator flips the first
+ * sentiment word after it, if that is at most three words on and in the same
+ * clause ("No problems, great teacher" only flips "problems").
+ *
+ * @param {string} text
+ * @returns {{score: number, sentiment: string, terms: Array<string>}} sentiment is
+ *   'positive' (score ≥ 1), 'negative' (≤ -1) or 'neutral'; terms are the lexicon
+ *   entries found
+ */
+function scoreFeedbackSentiment(text) {
+  const tokens = feedbackTokens(text);
+  const terms = [];
+  let score = 0;
+  let negator = -1; // position of a negator not yet used up
+
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i] === FEEDBACK_CLAUSE_BREAK) {
+      negator = -1;
+      continue;
+    }
+    if (SENTIMENT_NEGATORS.has(tokens[i])) {
+      negator = i;
+      continue;
+    }
+    // Longest lexicon entry starting here (phrases of up to three words)
+    let size = 3;
+    while (size > 1 && SENTIMENT_LEXICON[tokens.slice(i, i + size).join(' ')] === undefined) size--;
+    const term = tokens.slice(i, i + size).join(' ');
+    const value = SENTIMENT_LEXICON[term];
+    if (value === undefined) continue;
+
+    const intensity = SENTIMENT_INTENSIFIERS[tokens[i - 1]] || 1;
+    const negated = negator >= 0 && i - negator <= 3;
+    negator = -1;
+    score += value * intensity * (negated ? -1 : 1);
+    terms.push(negated ? `not ${term}` : term);
+    i += size - 1;
+  }
+
+  score = round2(score);
+  return { score, sentiment: score >= 1 ? 'positive' : score <= -1 ? 'negative' : 'neutral', terms };
+}
+
+/*
+ * topFeedbackTerms
+ * -----------------
+ * The words and two-word phrases found in most comments (each counted once per
+ * comment), leaving out stopwords and terms found in a single comment.
+ *
+ * @param {Array<string>} comments
+ * @param {number} [limit=5]
+ * @returns {{keywords: Array<{term: string, count: number}>, phrases: Array<{term: string, count: number}>}}
+ */
+function topFeedbackTerms(comments, limit = 5) {
+  const keywords = {};
+  const phrases = {};
+  comments.forEach((text) => {
+    const tokens = feedbackTokens(text);
+    const kept = (t) => t.length > 2 && !FEEDBACK_STOPWORDS.has(t) && !SENTIMENT_NEGATORS.has(t) && isNaN(Number(t));
+    new Set(tokens.filter(kept)).forEach((t) => (keywords[t] = (keywords[t] || 0) + 1));
+    new Set(tokens.slice(1).map((t, i) => [tokens[i], t]).filter((pair) => pair.every(kept)).map((pair) => pair.join(' ')))
+      .forEach((p) => (phrases[p] = (phrases[p] || 0) + 1));
+  });
+  const top = (counts) => Object.entries(counts)
+    .filter(([, count]) => count > 1)
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, limit)
+    .map(([term, count]) => ({ term, count }));
+  return { keywords: top(keywords), phrases: top(phrases) };
+}
+
+/*
+ * analyseFeedback
+ * ----------------
+ * Every written comment with its sentiment, flagged when it disagrees with the
+ * rating given with it: a negative comment with a high rating, or a positive one
+ * with a low rating.
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @returns {Array<Object>} {teacher, student, date, rating (number or ''), feedback,
+ *   score, sentiment, terms, flag ('' when the two agree)}, by teacher and date
+ */
+function analyseFeedback(processedData) {
+  const entries = [];
+  Object.values(processedData).forEach((cls) => {
+    const teacher = cls.teacher.username;
+    if (!teacher) return;
+    cls.students.forEach((student) => {
+      const feedback = (student.feedback || '').replace(/\s+/g, ' ').trim();
+      if (!feedback) return;
+      const rating = parseFloat(student.rating);
+      const { score, sentiment, terms } = scoreFeedbackSentiment(feedback);
+      let flag = '';
+      if (!isNaN(rating) && rating >= FEEDBACK_HIGH_RATING && sentiment === 'negative') flag = 'negative comment, high rating';
+      if (!isNaN(rating) && rating <= FEEDBACK_LOW_RATING && sentiment === 'positive') flag = 'positive comment, low rating';
+      entries.push({
+        teacher,
+        student: student.username,
+        date: toDisplayTimestamp(cls.scheduledStart),
+        rating: isNaN(rating) ? '' : rating,
+        feedback,
+        score,
+        sentiment,
+        terms,
+        flag
+      });
+    });
+  });
+  return entries.sort((a, b) => (a.teacher < b.teacher ? -1 : a.teacher > b.teacher ? 1 : 0) ||
+    (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+// Quotes a CSV cell when it holds a comma, quote or semicolon list
+function feedbackCell(value) {
+  return /[",;]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : value;
+}
+
+/*
+ * buildFeedbackSummaryCSV
+ * ------------------------
+ * Per teacher: how many comments were positive, neutral or negative, the average
+ * sentiment score, how many disagree with their rating, and the most frequent
+ * keywords and phrases (with the number of comments using them).
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @returns {string} CSV text
+ */
+function buildFeedbackSummaryCSV(processedData) {
+  const entries = analyseFeedback(processedData);
+  const rows = ['teacher,comments,positive,neutral,negative,average sentiment,flagged,top keywords,top phrases'];
+  unique(entries.map((e) => e.teacher)).forEach((teacher) => {
+    const mine = entries.filter((e) => e.teacher === teacher);
+    const count = (sentiment) => mine.filter((e) => e.sentiment === sentiment).length;
+    const { keywords, phrases } = topFeedbackTerms(mine.map((e) => e.feedback));
+    const list = (terms) => terms.map((t) => `${t.term} (${t.count})`).join('; ');
+    rows.push([
+      teacher,
+      mine.length,
+      count('positive'),
+      count('neutral'),
+      count('negative'),
+      (mine.reduce((sum, e) => sum + e.score, 0) / mine.length).toFixed(2),
+      mine.filter((e) => e.flag).length,
+      feedbackCell(list(keywords)),
+      feedbackCell(list(phrases))
+    ].join(','));
+  });
+  return rows.join('\n');
+}
+
+/*
+ * buildFlaggedFeedbackCSV
+ * ------------------------
+ * The comments whose sentiment disagrees with their rating (see analyseFeedback()).
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @returns {string} CSV text
+ */
+function buildFlaggedFeedbackCSV(processedData) {
+  const rows = ['teacher,student,class date,rating,sentiment,score,flag,sentiment words,feedback'];
+  analyseFeedback(processedData).filter((e) => e.flag).forEach((e) => {
+    rows.push([
+      e.teacher,
+      e.student,
+      e.date,
+      e.rating,
+      e.sentiment,
+      e.score,
+      feedbackCell(e.flag),
+      feedbackCell(e.terms.join('; ')),
+      feedbackCell(e.feedback)
+    ].join(','));
+  });
+  return rows.join('\n');
+}
+
+
+/* -----------------------------------------------------------------------------
+   3.15 Reliability Alerts
+   ----------------------------------------------------------------------------- */
+
+/*
+ * The rules a teacher can breach, counted over all their classes (private and
+ * group) as in the Teacher Report. `name` is the key in a thresholds object and in
+ * parseReliabilityThresholds() text; 'above' rules breach when the value is over
+ * the threshold, 'below' rules when it is under.
+ */
+const RELIABILITY_RULES = [
+  { name: 'no-shows', column: 'teacher no shows', direction: 'above' },
+  { name: 'cancellations', column: 'teacher cancellations', direction: 'above' },
+  { name: 'late-cancellations', column: 'late teacher cancellations (%)', direction: 'above' },
+  { name: 'tardiness', column: 'average teacher tardiness', direction: 'above' },
+  { name: 'rating', column: 'average rating', direction: 'below' }
+];
+
+/*
+ * parseReliabilityThresholds
+ * ---------------------------
+ * Reads thresholds written as rule=value pairs, e.g.
+ * "no-shows=2,late-cancellations=10,tardiness=5,rating=4". Rules left out are off.
+ *
+ * @param {string} text
+ * @returns {Object<string, number>} rule name → threshold
+ * @throws {Error} On an unknown rule or a value that is not a number
+ */
+function parseReliabilityThresholds(text) {
+  const thresholds = {};
+  String(text || '').split(',').map((part) => part.trim()).filter(Boolean).forEach((part) => {
+    const [name, value] = part.split('=').map((s) => (s || '').trim());
+    if (!RELIABILITY_RULES.some((rule) => rule.name === name)) {
+      throw new Error(`Unknown alert rule "${name}"; use ${RELIABILITY_RULES.map((rule) => rule.name).join(', ')}`);
+    }
+    if (value === '' || isNaN(Number(value))) throw new Error(`Alert rule "${part}" needs a number, e.g. ${name}=2`);
+    thresholds[name] = Number(value);
+  });
+  return thresholds;
+}
+
+/*
+ * buildReliabilityAlerts
+ * -----------------------
+ * Checks every teacher against the thresholds and ranks those who breached at
+ * least one rule: most rules breached first, then by severity, the sum of how far
+ * past each threshold they are as a % of it (4 no-shows against 2 is 100).
+ *
+ * The classes behind a breach are the teacher's no-shows, cancellations or late
+ * cancellations, the classes they were later than the tardiness threshold to, or
+ * those with a rating under the rating threshold.
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @param {Object<string, number>} thresholds - See parseReliabilityThresholds()
+ * @param {number} cancellationWindow - Hours within which a teacher cancellation is "late"
+ * @returns {Array<Object>} {teacher, rank, severity, booked, values: {rule name → value
+ *   or null}, breaches: [{rule, value, threshold, classes: [{cls, detail}]}]}
+ */
+function buildReliabilityAlerts(processedData, thresholds, cancellationWindow) {
+  const limit = (name) => (typeof thresholds[name] === 'number' ? thresholds[name] : null);
+  const stats = {};
+
+  Object.values(processedData).forEach((cls) => {
+    const name = cls.teacher.username;
+    if (!name) return;
+    const s = stats[name] = stats[name] || {
+      booked: 0,
+      'no-shows': [],
+      cancellations: [],
+      'late-cancellations': [],
+      tardiness: [],
+      rating: [],
+      tardinessSum: 0,
+      tardinessCount: 0,
+      ratingSum: 0,
+      ratingCount: 0
+    };
+    s.booked++;
+
+    if (!cls.cancelledBy && !cls.teacher.attended) s['no-shows'].push({ cls, detail: '' });
+    if (cls.cancelledByTeacher) {
+      const hours = cls.cancelledInterval === '' ? '' : `cancelled ${cls.cancelledInterval} h before`;
+      s.cancellations.push({ cls, detail: hours });
+      if (hours && parseFloat(cls.cancelledInterval) < cancellationWindow) {
+        s['late-cancellations'].push({ cls, detail: hours });
+      }
+    }
+
+    if (typeof cls.teacher.tardiness === 'number') {
+      const minutes = cls.teacher.tardiness / 60;
+      s.tardinessSum += minutes;
+      s.tardinessCount++;
+      if (limit('tardiness') !== null && minutes > limit('tardiness')) {
+        s.tardiness.push({ cls, detail: `${minutes.toFixed(2)} min late` });
+      }
+    }
+
+    const low = [];
+    cls.students.forEach((st) => {
+      const r = parseFloat(st.rating);
+      if (isNaN(r)) return;
+      s.ratingSum += r;
+      s.ratingCount++;
+      if (limit('rating') !== null && r < limit('rating')) low.push(`${r} by ${st.username}`);
+    });
+    if (low.length) s.rating.push({ cls, detail: `rated ${low.join('; ')}` });
+  });
+
+  const alerts = [];
+  Object.entries(stats).forEach(([teacher, s]) => {
+    const values = {
+      'no-shows': s['no-shows'].length,
+      cancellations: s.cancellations.length,
+      'late-cancellations': round2((s['late-cancellations'].length / s.booked) * 100),
+      tardiness: s.tardinessCount ? round2(s.tardinessSum / s.tardinessCount) : 0,
+      rating: s.ratingCount ? round2(s.ratingSum / s.ratingCount) : null
+    };
+    let severity = 0;
+    const breaches = [];
+    RELIABILITY_RULES.forEach((rule) => {
+      const threshold = limit(rule.name);
+      const value = values[rule.name];
+      if (threshold === null || value === null) return;
+      const excess = rule.direction === 'above' ? value - threshold : threshold - value;
+      if (excess <= 0) return;
+      severity += (excess / (threshold || 1)) * 100;
+      breaches.push({ rule, value, threshold, classes: s[rule.name] });
+    });
+    if (breaches.length) alerts.push({ teacher, severity: Math.round(severity), booked: s.booked, values, breaches });
+  });
+
+  alerts
+    .sort((a, b) => b.breaches.length - a.breaches.length || b.severity - a.severity ||
+      (a.teacher < b.teacher ? -1 : 1))
+    .forEach((alert, i) => (alert.rank = i + 1));
+  return alerts;
+}
+
+/*
+ * buildReliabilityAlertsCSV
+ * --------------------------
+ * One row per teacher who breached a rule, in rank order, with every rule's value
+ * and the breaches spelled out. Pass `cellSlugs` to collect the classes behind the
+ * breached values (see addCellSlugs()).
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @param {Object<string, number>} thresholds - See parseReliabilityThresholds()
+ * @param {number} cancellationWindow - Hours within which a teacher cancellation is "late"
+ * @param {Object} [cellSlugs]
+ * @returns {string} CSV text
+ */
+function buildReliabilityAlertsCSV(processedData, thresholds, cancellationWindow, cellSlugs) {
+  const header = ['teacher', 'rank', 'severity', 'rules breached', 'total classes booked']
+    .concat(RELIABILITY_RULES.map((rule) => rule.column), 'breaches');
+  const rows = [header.join(',')];
+
+  buildReliabilityAlerts(processedData, thresholds, cancellationWindow).forEach((alert) => {
+    const shown = (rule) => {
+      const value = alert.values[rule.name];
+      if (value === null) return '';
+      return rule.name === 'no-shows' || rule.name === 'cancellations' ? value : value.toFixed(2);
+    };
+    alert.breaches.forEach((b) => addCellSlugs(cellSlugs, alert.teacher, b.rule.column, b.classes.map((c) => c.cls.slug)));
+    rows.push([
+      alert.teacher,
+      alert.rank,
+      alert.severity,
+      alert.breaches.length,
+      alert.booked,
+      ...RELIABILITY_RULES.map(shown),
+      alert.breaches
+        .map((b) => `${b.rule.column} ${shown(b.rule)} ${b.rule.direction === 'above' ? 'over' : 'under'} ${b.threshold}`)
+        .join('; ')
+    ].join(','));
+  });
+  return rows.join('\n');
+}
+
+/*
+ * buildReliabilityAlertClassesCSV
+ * --------------------------------
+ * The classes that caused each breach, by teacher rank then rule, oldest first.
+ *
+ * @param {Object<string, Object>} processedData - Output from processData()
+ * @param {Object<string, number>} thresholds - See parseReliabilityThresholds()
+ * @param {number} cancellationWindow - Hours within which a teacher cancellation is "late"
+ * @returns {string} CSV text
+ */
+function buildReliabilityAlertClassesCSV(processedData, thresholds, cancellationWindow) {
+  const rows = ['teacher,rank,rule,date,class slug,class type,status,detail'];
+  buildReliabilityAlerts(processedData, thresholds, cancellationWindow).forEach((alert) => {
+    alert.breaches.forEach((b) => {
+      b.classes
+        .slice()
+        .sort((x, y) => parseTimestamp(x.cls.scheduledStart) - parseTimestamp(y.cls.scheduledStart))
+        .forEach(({ cls, detail }) => {
+          rows.push([
+            alert.teacher,
+            alert.rank,
+            b.rule.column,
+            toDisplayTimestamp(cls.scheduledStart),
+            cls.slug,
+            cls.available_seats === 1 ? 'private' : 'group',
+            classStatus(cls),
+            detail
+          ].join(','));
+        });
+    });
+  });
+  return rows.join('\n');
+}
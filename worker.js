@@ -0,0 +1,24 @@
+/*******************************************************************************
+ * worker.js
+ *
+ * Runs the upload's parse and process tasks (see processing.js, section 2.5)
+ * off the main thread. Messages in:  {id, type, payload}
+ *                       Messages out: {id, progress} | {id, result} | {id, error}
+ ******************************************************************************/
+
+importScripts(
+  'https://cdn.jsdelivr.net/npm/papaparse@5.3.2/papaparse.min.js',
+  'processing.js'
+);
+
+self.onmessage = async (e) => {
+  const { id, type, payload } = e.data;
+  try {
+    const result = await PROCESSING_TASKS[type](payload, (progress) =>
+      self.postMessage({ id, progress })
+    );
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: err && err.message ? err.message : String(err) });
+  }
+};